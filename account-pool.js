@@ -0,0 +1,248 @@
+"use strict";
+
+/**
+ * Пул аккаунтов public search: хранит список аккаунтов (плоские поля из конфига —
+ * remaining_free, free_at, star_cost_per_query, star_balance, skip_stars, last_used_at, disabled),
+ * держит TDLib-клиент активного аккаунта и выбирает, на какой аккаунт переключиться.
+ * Отключённые (disabled) аккаунты остаются в конфиге, но никогда не выбираются.
+ *
+ * Выбор делается стратегией: пул сам отбирает подходящие аккаунты (free готов / есть звёзды)
+ * и упорядочивает их по кругу от `from`, стратегия выбирает одного из кандидатов.
+ * Новая стратегия — это функция `(candidates, ctx) => candidate | null` в STRATEGIES.
+ */
+
+const DEFAULT_STRATEGY = "round-robin";
+
+function freeAtMs(account) {
+  const freeAt = account?.free_at ? Date.parse(account.free_at) : NaN;
+  return Number.isFinite(freeAt) ? freeAt : null;
+}
+
+function isFreeReady(account) {
+  if (!account || account.disabled) return false;
+  if (Number.isFinite(account.remaining_free) && account.remaining_free > 0) return true;
+  const freeAt = freeAtMs(account);
+  return freeAt !== null && freeAt <= Date.now();
+}
+
+function canUseStars(account, minCost) {
+  if (!account || account.disabled || account.skip_stars) return false;
+  const cost = Number.isFinite(account.star_cost_per_query) ? account.star_cost_per_query : null;
+  const balance = Number.isFinite(account.star_balance) ? account.star_balance : null;
+  return cost !== null && cost >= minCost && balance !== null && balance > 0;
+}
+
+// free_at уже наступил — считаем, что квота восстановилась полностью
+function expectedFree(account) {
+  if (Number.isFinite(account.remaining_free) && account.remaining_free > 0) return account.remaining_free;
+  return Number.isFinite(account.daily_free) ? account.daily_free : 0;
+}
+
+function lastUsedMs(account) {
+  const ts = account?.last_used_at ? Date.parse(account.last_used_at) : NaN;
+  return Number.isFinite(ts) ? ts : 0;
+}
+
+// кандидаты уже идут по кругу от ctx.from, поэтому при равенстве побеждает более ранний
+function pickBy(candidates, score) {
+  let best = null;
+  let bestScore = null;
+  for (const candidate of candidates) {
+    const value = score(candidate.account);
+    if (best === null || value < bestScore) {
+      best = candidate;
+      bestScore = value;
+    }
+  }
+  return best;
+}
+
+const STRATEGIES = {
+  "round-robin": (candidates) => candidates[0] || null,
+  "most-remaining-free": (candidates) => pickBy(candidates, (acc) => -expectedFree(acc)),
+  "cheapest-stars": (candidates) =>
+    pickBy(candidates, (acc) => (Number.isFinite(acc.star_cost_per_query) ? acc.star_cost_per_query : Infinity)),
+  "least-recently-used": (candidates) => pickBy(candidates, lastUsedMs)
+};
+
+function resolveStrategy(name) {
+  const key = String(name || DEFAULT_STRATEGY).trim().toLowerCase();
+  if (!STRATEGIES[key]) {
+    throw new Error(`Unknown account strategy: ${name} (available: ${Object.keys(STRATEGIES).join(", ")})`);
+  }
+  return { name: key, pick: STRATEGIES[key] };
+}
+
+async function closeQuietly(client, detach) {
+  if (typeof detach === "function") {
+    try {
+      detach();
+    } catch (_) {
+      // ignore
+    }
+  }
+  if (!client) return;
+  try {
+    await client.close();
+    client.destroy();
+  } catch (_) {
+    // ignore
+  }
+}
+
+/**
+ * options:
+ * - accounts: массив аккаунтов (мутируется вызывающим кодом при обновлении лимитов);
+ * - createClient(account): создаёт (не логинит) TDLib-клиент аккаунта, может быть async;
+ * - login(client): авторизация;
+ * - attach(client, account): подписки активного клиента, возвращает функцию отписки;
+ * - freeStrategy / starStrategy: имена стратегий для free-запросов и запросов за звёзды;
+ * - canSpendStars(account): дополнительный фильтр для звёздных аккаунтов (например, бюджет).
+ */
+function createAccountPool(options) {
+  const { accounts, createClient, login, attach, canSpendStars } = options;
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new Error("Account pool requires at least one account");
+  }
+  const freeStrategy = resolveStrategy(options.freeStrategy);
+  const starStrategy = resolveStrategy(options.starStrategy);
+
+  let index = 0;
+  let client = null;
+  let detach = null;
+
+  const candidatesFrom = (from, predicate) => {
+    const total = accounts.length;
+    const start = ((Number.isFinite(from) ? from : 0) % total + total) % total;
+    const list = [];
+    for (let step = 0; step < total; step += 1) {
+      const idx = (start + step) % total;
+      if (predicate(accounts[idx])) list.push({ index: idx, account: accounts[idx] });
+    }
+    return list;
+  };
+
+  /**
+   * Индекс аккаунта с готовой бесплатной квотой (обход по кругу начинается с `from`) или null.
+   */
+  const pickFree = (from = 0) => {
+    const chosen = freeStrategy.pick(candidatesFrom(from, isFreeReady), { from, mode: "free" });
+    return chosen ? chosen.index : null;
+  };
+
+  /**
+   * Индекс аккаунта, на котором можно искать за звёзды (цена не ниже minCost, баланс > 0), или null.
+   * Обход начинается с текущего аккаунта, чтобы лишний раз не переключаться.
+   */
+  const pickStars = (minCost) => {
+    const chosen = starStrategy.pick(
+      candidatesFrom(
+        index,
+        (acc) => canUseStars(acc, minCost) && (typeof canSpendStars !== "function" || canSpendStars(acc))
+      ),
+      { from: index, mode: "stars" }
+    );
+    return chosen ? chosen.index : null;
+  };
+
+  const nextFreeTimestamp = () => {
+    const now = Date.now();
+    let ts = null;
+    for (const acc of accounts) {
+      if (acc.disabled) continue;
+      const freeTs = freeAtMs(acc);
+      if (freeTs && freeTs > now && (ts === null || freeTs < ts)) {
+        ts = freeTs;
+      }
+    }
+    return ts;
+  };
+
+  const openClient = async (account) => {
+    const created = await createClient(account);
+    try {
+      await login(created);
+    } catch (err) {
+      await closeQuietly(created);
+      throw err;
+    }
+    return created;
+  };
+
+  /**
+   * Делает активным аккаунт idx: закрывает прежний клиент, создаёт и логинит новый.
+   */
+  const switchTo = async (idx) => {
+    if (!Number.isInteger(idx) || idx < 0 || idx >= accounts.length) {
+      throw new Error(`Account index out of range: ${idx}`);
+    }
+    const prevClient = client;
+    const prevDetach = detach;
+    client = null;
+    detach = null;
+    await closeQuietly(prevClient, prevDetach);
+
+    index = idx;
+    const created = await createClient(accounts[idx]);
+    detach = typeof attach === "function" ? attach(created, accounts[idx]) : null;
+    try {
+      await login(created);
+    } catch (err) {
+      await closeQuietly(created, detach);
+      detach = null;
+      throw err;
+    }
+    client = created;
+    return client;
+  };
+
+  /**
+   * Выполняет fn(client, account) на аккаунте idx: для активного — на текущем клиенте,
+   * для остальных — на временном клиенте без подписок, который затем закрывается.
+   */
+  const withClient = async (idx, fn) => {
+    if (idx === index && client) {
+      return fn(client, accounts[idx]);
+    }
+    const temp = await openClient(accounts[idx]);
+    try {
+      return await fn(temp, accounts[idx]);
+    } finally {
+      await closeQuietly(temp);
+    }
+  };
+
+  const markUsed = () => {
+    accounts[index].last_used_at = new Date().toISOString();
+  };
+
+  const close = async () => {
+    const prevClient = client;
+    const prevDetach = detach;
+    client = null;
+    detach = null;
+    await closeQuietly(prevClient, prevDetach);
+  };
+
+  return {
+    accounts,
+    strategies: { free: freeStrategy.name, stars: starStrategy.name },
+    index: () => index,
+    current: () => accounts[index],
+    client: () => client,
+    pickFree,
+    pickStars,
+    nextFreeTimestamp,
+    switchTo,
+    withClient,
+    markUsed,
+    close
+  };
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  STRATEGIES,
+  isFreeReady,
+  createAccountPool
+};
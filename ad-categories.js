@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * Тематики рекламы (крипта, беттинг, онлайн-школы, маркетплейсы, займы, ...) по правилам из конфига.
+ *
+ * Конфиг — JSON-массив категорий (можно обернуть в `{ "categories": [...] }`):
+ * `{ id, title, keywords, words, regex, domains, min_score, enabled }`. keywords ищутся без учёта
+ * регистра (ё = е) с начала слова, так что «криптобирж» ловит и «криптобиржа»; words — так же, но только
+ * целым словом (для общих основ: «кредит» не должен ловить «кредитная карта», «интенсив» — «интенсивно»);
+ * regex — строки RegExp (флаги `iu`); domains — хосты ссылок поста вместе с поддоменами.
+ * Каждое сработавшее правило даёт +1 к score, категория ставится при score >= min_score (по умолчанию 1)
+ * или сразу, если сработал домен. Результат — таблица `post_categories`.
+ */
+
+const fs = require("node:fs");
+const { createLogger } = require("./logger");
+
+const log = createLogger("categories");
+
+function normalizeText(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/ё/g, "е");
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toStringList(value) {
+  return (Array.isArray(value) ? value : [])
+    .filter((item) => typeof item === "string")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function compileCategory(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const id = typeof raw.id === "string" ? raw.id.trim() : "";
+  if (!id || raw.enabled === false) return null;
+  const keywords = [
+    ...toStringList(raw.keywords).map((keyword) => ({
+      rule: `keyword:${keyword}`,
+      re: new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(normalizeText(keyword))}`, "u")
+    })),
+    ...toStringList(raw.words).map((word) => ({
+      rule: `word:${word}`,
+      re: new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(normalizeText(word))}(?![\\p{L}\\p{N}_])`, "u")
+    }))
+  ];
+  const patterns = [];
+  for (const source of toStringList(raw.regex)) {
+    try {
+      patterns.push({ rule: `regex:${source}`, re: new RegExp(source, "iu") });
+    } catch (err) {
+      log.warn("неверный regex", { category: id, regex: source, error: err });
+    }
+  }
+  const domains = toStringList(raw.domains).map((domain) => domain.toLowerCase().replace(/^www\./, ""));
+  const minScore = Number(raw.min_score);
+  return {
+    id,
+    title: typeof raw.title === "string" && raw.title.trim() ? raw.title.trim() : id,
+    keywords,
+    patterns,
+    domains,
+    min_score: Number.isFinite(minScore) && minScore > 0 ? minScore : 1
+  };
+}
+
+/**
+ * Читает и компилирует таксономию. Нет файла — пустой список (ничего не классифицируется).
+ */
+function loadTaxonomy(configPath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    if (err?.code !== "ENOENT") {
+      log.warn("не удалось прочитать таксономию", { config: configPath, error: err });
+    }
+    return [];
+  }
+  const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.categories) ? parsed.categories : [];
+  const seen = new Set();
+  const categories = [];
+  for (const category of list.map(compileCategory)) {
+    if (!category || seen.has(category.id)) continue;
+    seen.add(category.id);
+    categories.push(category);
+  }
+  return categories;
+}
+
+/**
+ * Категории поста: [{ category, score, matches }] по убыванию score.
+ * post — { text, hosts } (hosts — хосты ссылок поста без `www.`).
+ */
+function classifyPost(taxonomy, post) {
+  const rawText = String(post?.text || "");
+  const text = normalizeText(rawText);
+  const hosts = Array.from(new Set((post?.hosts || []).filter(Boolean).map((host) => String(host).toLowerCase())));
+  const result = [];
+  for (const category of taxonomy || []) {
+    const matches = [];
+    let domainMatched = false;
+    if (text) {
+      for (const { rule, re } of category.keywords) {
+        if (re.test(text)) matches.push(rule);
+      }
+      for (const { rule, re } of category.patterns) {
+        if (re.test(rawText)) matches.push(rule);
+      }
+    }
+    for (const domain of category.domains) {
+      if (hosts.some((host) => host === domain || host.endsWith(`.${domain}`))) {
+        matches.push(`domain:${domain}`);
+        domainMatched = true;
+      }
+    }
+    // ссылка на домен категории — сильный признак сама по себе, слова — только набором
+    if (domainMatched || matches.length >= category.min_score) {
+      result.push({ category: category.id, score: matches.length, matches });
+    }
+  }
+  return result.sort((a, b) => b.score - a.score);
+}
+
+function ensurePostCategoriesTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_categories (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      score INTEGER NOT NULL,
+      matches TEXT,
+      classified_at INTEGER NOT NULL,
+      PRIMARY KEY(chat_id, message_id, category)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_categories_category ON post_categories(category);
+  `);
+}
+
+function createPostCategoriesStore(db, taxonomy) {
+  ensurePostCategoriesTables(db);
+
+  const deleteCategories = db.prepare(`DELETE FROM post_categories WHERE chat_id = ? AND message_id = ?`);
+  const insertCategory = db.prepare(`
+    INSERT OR REPLACE INTO post_categories (chat_id, message_id, category, score, matches, classified_at)
+    VALUES (@chat_id, @message_id, @category, @score, @matches, @classified_at)
+  `);
+
+  /**
+   * Заменяет категории поста результатом классификации { text, hosts }; возвращает список категорий.
+   */
+  const save = (chatId, messageId, post) => {
+    const categories = classifyPost(taxonomy, post);
+    const classifiedAt = Math.floor(Date.now() / 1000);
+    deleteCategories.run(chatId, messageId);
+    for (const { category, score, matches } of categories) {
+      insertCategory.run({
+        chat_id: chatId,
+        message_id: messageId,
+        category,
+        score,
+        matches: matches.join("\n"),
+        classified_at: classifiedAt
+      });
+    }
+    return categories.map((c) => c.category);
+  };
+
+  return { save };
+}
+
+module.exports = {
+  loadTaxonomy,
+  classifyPost,
+  ensurePostCategoriesTables,
+  createPostCategoriesStore
+};
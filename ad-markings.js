@@ -0,0 +1,186 @@
+"use strict";
+
+/**
+ * Разбор рекламной маркировки (erid) из TDLib-сообщений:
+ * - текст/подпись: "erid: XXX", "ERID=XXX", "erid XXX";
+ * - ссылки в тексте, textEntityTypeTextUrl и url-кнопки inline-клавиатуры: параметр `?erid=XXX`.
+ * Токены складываются в `ad_markings` (по токену) и связываются с постами через `message_ad_markings`.
+ */
+
+const { getFormattedText } = require("./text-format");
+const { extractButtons } = require("./media-metadata");
+
+const TOKEN_RE = /^[A-Za-z0-9]{4,64}$/;
+// "е" в начале может быть кириллической — в постах встречается и так
+const TEXT_ERID_RE = /(?:^|[^A-Za-z0-9])[eEеЕ][rR][iI][dD]\s*([:=\-–—])?\s*([A-Za-z0-9]{4,64})/g;
+const URL_IN_TEXT_RE = /https?:\/\/[^\s<>"'«»]+/gi;
+const INVISIBLE_RE = /[\u200B-\u200D\u2060\uFEFF]/g;
+
+function normalizeToken(value) {
+  if (typeof value !== "string") return null;
+  const token = value.replace(INVISIBLE_RE, "").trim();
+  return TOKEN_RE.test(token) ? token : null;
+}
+
+function extractEridFromUrl(rawUrl) {
+  if (typeof rawUrl !== "string" || !rawUrl) return null;
+  let parsed;
+  try {
+    parsed = new URL(rawUrl.trim());
+  } catch (_) {
+    return null;
+  }
+  for (const [key, value] of parsed.searchParams) {
+    if (key.toLowerCase() === "erid") {
+      return normalizeToken(value);
+    }
+  }
+  return null;
+}
+
+function collectTextUrls(formatted) {
+  const urls = [];
+  const text = formatted?.text || "";
+  const entities = Array.isArray(formatted?.entities) ? formatted.entities : [];
+  for (const entity of entities) {
+    const type = entity?.type?._;
+    if (type === "textEntityTypeTextUrl" && entity.type.url) {
+      urls.push({ url: entity.type.url, source: "text_url" });
+    } else if (type === "textEntityTypeUrl" && Number.isFinite(entity.offset) && Number.isFinite(entity.length)) {
+      urls.push({ url: text.slice(entity.offset, entity.offset + entity.length), source: "url" });
+    }
+  }
+  for (const match of text.matchAll(URL_IN_TEXT_RE)) {
+    urls.push({ url: match[0], source: "url" });
+  }
+  return urls;
+}
+
+function collectButtonUrls(message) {
+  return extractButtons(message)
+    .filter((button) => (button.type === "url" || button.type === "login_url") && button.url)
+    .map((button) => ({ url: button.url, source: "button" }));
+}
+
+/**
+ * Все ссылки сообщения: { url, source }, source — url (в тексте), text_url или button.
+ * Возможны повторы одной ссылки (сущность url и совпадение в тексте).
+ */
+function collectMessageUrls(message) {
+  return [...collectTextUrls(getFormattedText(message)), ...collectButtonUrls(message)];
+}
+
+function extractEridFromText(text) {
+  const tokens = [];
+  if (typeof text !== "string" || !text) return tokens;
+  for (const match of text.replace(INVISIBLE_RE, "").matchAll(TEXT_ERID_RE)) {
+    const separator = match[1];
+    const token = normalizeToken(match[2]);
+    // без разделителя за "erid" может идти обычное слово — токен без цифр не считаем
+    if (!token || (!separator && !/\d/.test(token))) continue;
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+/**
+ * Возвращает уникальные пары { token, source } для сообщения.
+ * source: text | url | text_url | button.
+ */
+function extractEridTokens(message) {
+  const found = new Map();
+  const add = (token, source) => {
+    if (!token) return;
+    const key = `${token}\u0000${source}`;
+    if (!found.has(key)) found.set(key, { token, source });
+  };
+
+  const formatted = getFormattedText(message);
+  for (const token of extractEridFromText(formatted?.text)) {
+    add(token, "text");
+  }
+  for (const { url, source } of collectMessageUrls(message)) {
+    add(extractEridFromUrl(url), source);
+  }
+  return Array.from(found.values());
+}
+
+function ensureAdMarkingsTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ad_markings (
+      token TEXT PRIMARY KEY,
+      message_count INTEGER DEFAULT 0,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS message_ad_markings (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      token TEXT NOT NULL,
+      source TEXT NOT NULL,
+      inserted_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, message_id, token, source)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_ad_markings_token ON message_ad_markings(token);
+  `);
+}
+
+function createAdMarkingsStore(db) {
+  ensureAdMarkingsTables(db);
+
+  const selectTokens = db.prepare(`
+    SELECT DISTINCT token FROM message_ad_markings WHERE chat_id = ? AND message_id = ?
+  `);
+  const deleteLinks = db.prepare(`
+    DELETE FROM message_ad_markings WHERE chat_id = ? AND message_id = ?
+  `);
+  const insertLink = db.prepare(`
+    INSERT OR IGNORE INTO message_ad_markings (chat_id, message_id, token, source)
+    VALUES (@chat_id, @message_id, @token, @source)
+  `);
+  const upsertToken = db.prepare(`
+    INSERT INTO ad_markings (token, first_seen_at, last_seen_at)
+    VALUES (@token, datetime('now'), datetime('now'))
+    ON CONFLICT(token) DO UPDATE SET last_seen_at = datetime('now')
+  `);
+  const refreshCount = db.prepare(`
+    UPDATE ad_markings
+    SET message_count = (
+      SELECT COUNT(*) FROM (
+        SELECT DISTINCT chat_id, message_id FROM message_ad_markings WHERE token = @token
+      )
+    )
+    WHERE token = @token
+  `);
+
+  /**
+   * Заменяет набор токенов поста на переданный (пустой список снимает маркировку,
+   * например после редактирования поста).
+   */
+  const save = (chatId, messageId, tokens) => {
+    const list = Array.isArray(tokens) ? tokens : [];
+    const affected = new Set(selectTokens.all(chatId, messageId).map((r) => r.token));
+    deleteLinks.run(chatId, messageId);
+    for (const { token, source } of list) {
+      upsertToken.run({ token });
+      insertLink.run({ chat_id: chatId, message_id: messageId, token, source });
+      affected.add(token);
+    }
+    for (const token of affected) {
+      refreshCount.run({ token });
+    }
+  };
+
+  return { save };
+}
+
+module.exports = {
+  extractEridTokens,
+  extractEridFromText,
+  extractEridFromUrl,
+  collectMessageUrls,
+  ensureAdMarkingsTables,
+  createAdMarkingsStore
+};
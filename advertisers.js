@@ -0,0 +1,239 @@
+"use strict";
+
+/**
+ * Разбор рекламных дисклеймеров вида «Реклама. ООО «Ромашка», ИНН 7700000000, erid: XXX»:
+ * - маркер «Реклама» (в т.ч. #реклама);
+ * - рекламодатели: организационно-правовая форма + название, ИНН, ОГРН/ОГРНИП.
+ * Рекламодатели лежат в `advertisers`, связь с постами — `message_advertisers`,
+ * результат разбора поста (маркер и строка дисклеймера) — `message_disclaimers`.
+ */
+
+const LEGAL_FORMS = [
+  ["Общество с ограниченной ответственностью", "ООО"],
+  ["Публичное акционерное общество", "ПАО"],
+  ["Непубличное акционерное общество", "НАО"],
+  ["Закрытое акционерное общество", "ЗАО"],
+  ["Открытое акционерное общество", "ОАО"],
+  ["Акционерное общество", "АО"],
+  ["Индивидуальный предприниматель", "ИП"],
+  ["Автономная некоммерческая организация", "АНО"],
+  ["ООО", "ООО"],
+  ["ПАО", "ПАО"],
+  ["НАО", "НАО"],
+  ["ЗАО", "ЗАО"],
+  ["ОАО", "ОАО"],
+  ["АО", "АО"],
+  ["ИП", "ИП"],
+  ["АНО", "АНО"],
+  ["ТОО", "ТОО"],
+  ["LLC", "LLC"]
+];
+const FORM_ALIASES = new Map(LEGAL_FORMS.map(([raw, short]) => [raw.toLowerCase(), short]));
+
+const LETTER = "А-Яа-яЁёA-Za-z";
+const FORM_RE = new RegExp(
+  `(?<![${LETTER}])(${LEGAL_FORMS.map(([raw]) => raw).join("|")})(?![${LETTER}])\\s*` +
+    `(«[^»\\n]{1,120}»|"[^"\\n]{1,120}"|“[^”\\n]{1,120}”|„[^“\\n]{1,120}“|[^,;.()«»"\\n]{2,80})`,
+  "gi"
+);
+const INN_RE = /(?<![А-Яа-яЁёA-Za-z])ИНН\s*[:№]?\s*(\d{12}|\d{10})(?!\d)/gi;
+const INN_TEST_RE = new RegExp(INN_RE.source, "i");
+const OGRN_RE = /(?<![А-Яа-яЁёA-Za-z])ОГРН(?:ИП)?\s*[:№]?\s*(\d{15}|\d{13})(?!\d)/gi;
+const AD_MARKER_RE = /(?<![А-Яа-яЁёA-Za-z])#?реклама(?![А-Яа-яЁёA-Za-z])/i;
+const NAME_STOP_RE = /\s+(?:ИНН|ОГРН|erid|ерид)(?![А-Яа-яЁёA-Za-z]).*$/i;
+// ИНН/ОГРН относим к ближайшему названию левее, если оно не дальше этого числа символов
+const MAX_ID_DISTANCE = 200;
+
+function cleanName(raw) {
+  if (typeof raw !== "string") return null;
+  const name = raw
+    .replace(NAME_STOP_RE, "")
+    .replace(/^[«"“„]+|[»"”“]+$/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return name.length >= 2 ? name : null;
+}
+
+function nameKey(name) {
+  return name.toUpperCase().replace(/Ё/g, "Е").replace(/[^0-9A-ZА-Я]+/g, " ").trim();
+}
+
+function extractDisclaimerLine(text) {
+  const lines = text.split(/\n+/);
+  const line = lines.find((l) => AD_MARKER_RE.test(l)) || lines.find((l) => INN_TEST_RE.test(l));
+  return line ? line.trim().slice(0, 500) : null;
+}
+
+/**
+ * Возвращает { ad_marker, disclaimer, advertisers: [{ legal_form, name, inn, ogrn }] }.
+ */
+function parseAdDisclaimer(text) {
+  const result = { ad_marker: false, disclaimer: null, advertisers: [] };
+  if (typeof text !== "string" || !text.trim()) return result;
+
+  result.ad_marker = AD_MARKER_RE.test(text);
+  result.disclaimer = extractDisclaimerLine(text);
+
+  const names = [];
+  for (const match of text.matchAll(FORM_RE)) {
+    const name = cleanName(match[2]);
+    if (!name) continue;
+    names.push({
+      index: match.index,
+      legal_form: FORM_ALIASES.get(match[1].toLowerCase()) || match[1],
+      name,
+      quoted: /^[«"“„]/.test(match[2]),
+      inn: null,
+      ogrn: null
+    });
+  }
+
+  const orphans = [];
+  const attach = (field, value, index) => {
+    let owner = null;
+    for (const candidate of names) {
+      if (candidate.index > index) break;
+      if (index - candidate.index <= MAX_ID_DISTANCE && !candidate[field]) owner = candidate;
+    }
+    if (owner) {
+      owner[field] = value;
+      return;
+    }
+    const orphan = orphans.find((o) => !o[field] && o.index < index && index - o.index <= MAX_ID_DISTANCE);
+    if (orphan) {
+      orphan[field] = value;
+    } else {
+      orphans.push({ index, legal_form: null, name: null, inn: null, ogrn: null, [field]: value });
+    }
+  };
+  const ids = [
+    ...Array.from(text.matchAll(INN_RE), (m) => ({ field: "inn", value: m[1], index: m.index })),
+    ...Array.from(text.matchAll(OGRN_RE), (m) => ({ field: "ogrn", value: m[1], index: m.index }))
+  ].sort((a, b) => a.index - b.index);
+  for (const { field, value, index } of ids) {
+    attach(field, value, index);
+  }
+
+  // «Наше АО будет работать…», «Я ИП уже третий год» — форма в обычной речи, а не рекламодатель:
+  // название без кавычек принимаем только в посте с маркером рекламы или рядом с ИНН/ОГРН
+  const accepted = names.filter((entry) => entry.quoted || result.ad_marker || entry.inn || entry.ogrn);
+
+  const seen = new Set();
+  for (const entry of [...accepted, ...orphans]) {
+    const key = advertiserKey(entry);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    result.advertisers.push({
+      legal_form: entry.legal_form,
+      name: entry.name,
+      inn: entry.inn,
+      ogrn: entry.ogrn
+    });
+  }
+  return result;
+}
+
+function advertiserKey(advertiser) {
+  if (advertiser?.inn) return `inn:${advertiser.inn}`;
+  if (advertiser?.ogrn) return `ogrn:${advertiser.ogrn}`;
+  if (advertiser?.name) return `name:${advertiser.legal_form || ""}:${nameKey(advertiser.name)}`;
+  return null;
+}
+
+function ensureAdvertisersTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS advertisers (
+      advertiser_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      advertiser_key TEXT NOT NULL UNIQUE,
+      legal_form TEXT,
+      name TEXT,
+      inn TEXT,
+      ogrn TEXT,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      last_seen_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_advertisers_inn ON advertisers(inn);
+
+    CREATE TABLE IF NOT EXISTS message_advertisers (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      advertiser_id INTEGER NOT NULL,
+      PRIMARY KEY(chat_id, message_id, advertiser_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_advertisers_advertiser ON message_advertisers(advertiser_id);
+
+    CREATE TABLE IF NOT EXISTS message_disclaimers (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      ad_marker INTEGER DEFAULT 0,
+      disclaimer TEXT,
+      parsed_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, message_id)
+    );
+  `);
+}
+
+function createAdvertisersStore(db) {
+  ensureAdvertisersTables(db);
+
+  const upsertDisclaimer = db.prepare(`
+    INSERT INTO message_disclaimers (chat_id, message_id, ad_marker, disclaimer, parsed_at)
+    VALUES (@chat_id, @message_id, @ad_marker, @disclaimer, datetime('now'))
+    ON CONFLICT(chat_id, message_id) DO UPDATE SET
+      ad_marker = excluded.ad_marker,
+      disclaimer = excluded.disclaimer,
+      parsed_at = datetime('now')
+  `);
+  const upsertAdvertiser = db.prepare(`
+    INSERT INTO advertisers (advertiser_key, legal_form, name, inn, ogrn, first_seen_at, last_seen_at)
+    VALUES (@advertiser_key, @legal_form, @name, @inn, @ogrn, datetime('now'), datetime('now'))
+    ON CONFLICT(advertiser_key) DO UPDATE SET
+      legal_form = COALESCE(excluded.legal_form, advertisers.legal_form),
+      name = COALESCE(excluded.name, advertisers.name),
+      inn = COALESCE(excluded.inn, advertisers.inn),
+      ogrn = COALESCE(excluded.ogrn, advertisers.ogrn),
+      last_seen_at = datetime('now')
+  `);
+  const selectAdvertiserId = db.prepare(`SELECT advertiser_id FROM advertisers WHERE advertiser_key = ?`);
+  const deleteLinks = db.prepare(`DELETE FROM message_advertisers WHERE chat_id = ? AND message_id = ?`);
+  const insertLink = db.prepare(`
+    INSERT OR IGNORE INTO message_advertisers (chat_id, message_id, advertiser_id) VALUES (?, ?, ?)
+  `);
+
+  /**
+   * Сохраняет результат parseAdDisclaimer для поста, заменяя прежние связи с рекламодателями.
+   */
+  const save = (chatId, messageId, parsed) => {
+    const info = parsed || { ad_marker: false, disclaimer: null, advertisers: [] };
+    upsertDisclaimer.run({
+      chat_id: chatId,
+      message_id: messageId,
+      ad_marker: info.ad_marker ? 1 : 0,
+      disclaimer: info.disclaimer || null
+    });
+    deleteLinks.run(chatId, messageId);
+    for (const advertiser of info.advertisers || []) {
+      const key = advertiserKey(advertiser);
+      if (!key) continue;
+      upsertAdvertiser.run({
+        advertiser_key: key,
+        legal_form: advertiser.legal_form || null,
+        name: advertiser.name || null,
+        inn: advertiser.inn || null,
+        ogrn: advertiser.ogrn || null
+      });
+      const row = selectAdvertiserId.get(key);
+      if (row) insertLink.run(chatId, messageId, row.advertiser_id);
+    }
+  };
+
+  return { save };
+}
+
+module.exports = {
+  parseAdDisclaimer,
+  ensureAdvertisersTables,
+  createAdvertisersStore
+};
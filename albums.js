@@ -0,0 +1,120 @@
+"use strict";
+
+/**
+ * Альбомы (несколько медиа в одном посте, общий `media_album_id`) хранятся как один логический пост:
+ * строка `channel_messages` канонического сообщения + `post_albums` (сколько элементов, в каком подпись)
+ * + `post_album_items` (все сообщения альбома с типом контента).
+ *
+ * Каноническое сообщение — первое увиденное сообщение альбома; оно запоминается в `post_albums`
+ * и дальше не меняется, поэтому метрики и маркировка альбома между run'ами пишутся на один message_id.
+ */
+
+// TDLib отдаёт int64 строкой, "0" — сообщение не в альбоме
+function normalizeAlbumId(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  if (!/^-?\d+$/.test(str) || /^-?0+$/.test(str)) return null;
+  return str;
+}
+
+function ensureAlbumsTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_albums (
+      chat_id INTEGER NOT NULL,
+      album_id TEXT NOT NULL,
+      canonical_message_id INTEGER NOT NULL,
+      caption_message_id INTEGER,
+      item_count INTEGER DEFAULT 0,
+      first_seen_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, album_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS post_album_items (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      album_id TEXT NOT NULL,
+      content_type TEXT,
+      has_caption INTEGER DEFAULT 0,
+      seen_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, message_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_albums_canonical ON post_albums(chat_id, canonical_message_id);
+    CREATE INDEX IF NOT EXISTS idx_post_album_items_album ON post_album_items(chat_id, album_id);
+  `);
+}
+
+function createAlbumsStore(db) {
+  ensureAlbumsTables(db);
+
+  const insertAlbum = db.prepare(`
+    INSERT OR IGNORE INTO post_albums (chat_id, album_id, canonical_message_id, first_seen_at, updated_at)
+    VALUES (@chat_id, @album_id, @message_id, datetime('now'), datetime('now'))
+  `);
+  const upsertItem = db.prepare(`
+    INSERT INTO post_album_items (chat_id, message_id, album_id, content_type, has_caption, seen_at)
+    VALUES (@chat_id, @message_id, @album_id, @content_type, @has_caption, datetime('now'))
+    ON CONFLICT(chat_id, message_id) DO UPDATE SET
+      album_id = excluded.album_id,
+      content_type = COALESCE(excluded.content_type, post_album_items.content_type),
+      has_caption = excluded.has_caption,
+      seen_at = datetime('now')
+  `);
+  const updateAlbum = db.prepare(`
+    UPDATE post_albums
+    SET
+      item_count = (SELECT COUNT(*) FROM post_album_items WHERE chat_id = @chat_id AND album_id = @album_id),
+      caption_message_id = CASE WHEN @has_caption = 1 THEN @message_id ELSE caption_message_id END,
+      updated_at = datetime('now')
+    WHERE chat_id = @chat_id AND album_id = @album_id
+  `);
+  const selectAlbum = db.prepare(`
+    SELECT chat_id, album_id, canonical_message_id, caption_message_id, item_count
+    FROM post_albums
+    WHERE chat_id = ? AND album_id = ?
+  `);
+  const selectCanonicalByItem = db.prepare(`
+    SELECT a.canonical_message_id
+    FROM post_album_items i
+    JOIN post_albums a ON a.chat_id = i.chat_id AND a.album_id = i.album_id
+    WHERE i.chat_id = ? AND i.message_id = ?
+  `);
+
+  /**
+   * Запоминает сообщение альбома и возвращает строку post_albums (с canonical_message_id).
+   * item: { chat_id, message_id, album_id, content_type, has_caption }.
+   */
+  const register = (item) => {
+    const albumId = normalizeAlbumId(item.album_id);
+    if (!albumId || !Number.isFinite(item.chat_id) || !Number.isFinite(item.message_id)) return null;
+    const params = {
+      chat_id: item.chat_id,
+      message_id: item.message_id,
+      album_id: albumId,
+      content_type: item.content_type || null,
+      has_caption: item.has_caption ? 1 : 0
+    };
+    const key = { chat_id: params.chat_id, album_id: albumId };
+    insertAlbum.run({ ...key, message_id: params.message_id });
+    upsertItem.run(params);
+    updateAlbum.run({ ...key, message_id: params.message_id, has_caption: params.has_caption });
+    return selectAlbum.get(item.chat_id, albumId) || null;
+  };
+
+  /**
+   * Каноническое сообщение для любого известного элемента альбома (для апдейтов без media_album_id).
+   */
+  const canonicalFor = (chatId, messageId) => {
+    const row = selectCanonicalByItem.get(chatId, messageId);
+    return row ? row.canonical_message_id : null;
+  };
+
+  return { register, canonicalFor };
+}
+
+module.exports = {
+  normalizeAlbumId,
+  ensureAlbumsTables,
+  createAlbumsStore
+};
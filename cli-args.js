@@ -0,0 +1,65 @@
+"use strict";
+
+/**
+ * Разбор аргументов командной строки для скриптов: `--key value`, `--key=value`, флаги `--flag`
+ * и позиционные аргументы (подкоманды) в `_`.
+ *
+ * Настройки сканера читаются из env при загрузке модулей, поэтому CLI не передаёт их параметрами,
+ * а переписывает env (applyEnvOverrides) до того, как подключит сканер.
+ */
+
+/**
+ * options.boolean — флаги, которые никогда не забирают следующий аргумент как значение
+ * (иначе в `scan --once extra` значением --once стало бы `extra`).
+ */
+function parseArgs(argv = process.argv.slice(2), options = {}) {
+  const booleans = new Set(options.boolean || []);
+  const res = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--") {
+      res._.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("--")) {
+      res._.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    if (eq > 2) {
+      res[arg.slice(2, eq)] = arg.slice(eq + 1);
+      continue;
+    }
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (!booleans.has(key) && next !== undefined && !next.startsWith("--")) {
+      res[key] = next;
+      i += 1;
+    } else {
+      res[key] = true;
+    }
+  }
+  return res;
+}
+
+/**
+ * Переписывает env из аргументов: mapping — { флаг: "ENV_NAME" } или { флаг: ["ENV_NAME", value => string] }.
+ * Возвращает { ENV_NAME: значение } применённых переопределений.
+ */
+function applyEnvOverrides(args, mapping, env = process.env) {
+  const applied = {};
+  for (const [flag, target] of Object.entries(mapping)) {
+    if (args[flag] === undefined) continue;
+    const [name, convert] = Array.isArray(target) ? target : [target, null];
+    const value = convert ? convert(args[flag]) : args[flag];
+    if (value === undefined || value === null || value === true) continue;
+    env[name] = String(value);
+    applied[name] = env[name];
+  }
+  return applied;
+}
+
+module.exports = {
+  parseArgs,
+  applyEnvOverrides
+};
@@ -0,0 +1,256 @@
+"use strict";
+
+/**
+ * Локальный спул для вставок в ClickHouse.
+ *
+ * Если вставка не удалась (или ClickHouse ещё не готов), пачка строк дописывается строкой
+ * NDJSON в `clickhouse-spool.ndjson`: `{ id, table, columns, rows }`. Фоновый повтор читает
+ * файл с сохранённого смещения (`clickhouse-spool.offset`) и вставляет пачки строго по порядку;
+ * пока в спуле что-то есть, новые пачки тоже идут в спул, чтобы не обгонять старые.
+ * Каждая пачка вставляется с insert_deduplication_token = id, поэтому повтор после падения
+ * между вставкой и записью смещения не даёт дублей. Когда всё выгружено, файлы обнуляются.
+ *
+ * Пачку, которую ClickHouse отвергает по существу (4xx: нет таблицы, не те типы) или которую нельзя
+ * вставить вообще (`err.permanent`), повторять бесполезно: после maxAttempts таких ошибок подряд
+ * она переносится в `clickhouse-spool.dead.ndjson` (с текстом ошибки) и не держит очередь.
+ * Сетевые ошибки и 5xx повторяются бесконечно. Спул больше maxBytes новые пачки не принимает
+ * (строки теряются, в лог — предупреждение).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { createLogger } = require("./logger");
+
+const log = createLogger("spool");
+
+const READ_CHUNK_BYTES = 4 * 1024 * 1024;
+
+// ошибка не пройдёт от повтора: ClickHouse отверг запрос (4xx) или пачку нельзя вставить в принципе
+function isPermanentError(err) {
+  if (err?.permanent === true) return true;
+  return Number.isFinite(err?.statusCode) && err.statusCode >= 400 && err.statusCode < 500;
+}
+
+function createClickhouseSpool(options) {
+  const {
+    dir,
+    insert,
+    prepare = null,
+    retryMs = 30 * 1000,
+    maxAttempts = 3,
+    maxBytes = 0,
+    onChange = null
+  } = options;
+  const dataPath = path.join(dir, "clickhouse-spool.ndjson");
+  const offsetPath = path.join(dir, "clickhouse-spool.offset");
+  const deadPath = path.join(dir, "clickhouse-spool.dead.ndjson");
+  fs.mkdirSync(dir, { recursive: true });
+
+  let ready = typeof prepare !== "function";
+  let replaying = null;
+  let timer = null;
+  let failure = null; // { offset, attempts } — пачка в голове спула, которую ClickHouse отвергает
+  let overflowing = false;
+
+  const fileSize = () => {
+    try {
+      return fs.statSync(dataPath).size;
+    } catch (_) {
+      return 0;
+    }
+  };
+
+  const readOffset = () => {
+    try {
+      const value = Number(fs.readFileSync(offsetPath, "utf8").trim());
+      return Number.isFinite(value) && value >= 0 ? value : 0;
+    } catch (_) {
+      return 0;
+    }
+  };
+
+  const writeOffset = (offset) => {
+    const tmp = `${offsetPath}.tmp`;
+    fs.writeFileSync(tmp, String(offset), "utf8");
+    fs.renameSync(tmp, offsetPath);
+  };
+
+  const pendingBytes = () => Math.max(0, fileSize() - readOffset());
+
+  const notify = () => {
+    if (typeof onChange === "function") onChange(pendingBytes());
+  };
+
+  const append = (table, rows, columns) => {
+    const line = JSON.stringify({ id: crypto.randomUUID(), table, columns: columns || null, rows });
+    if (maxBytes > 0 && fileSize() + Buffer.byteLength(line) + 1 > maxBytes) {
+      if (!overflowing) {
+        log.warn("спул переполнен, новые строки метрик отбрасываются", { max_bytes: maxBytes, pending: pendingBytes() });
+        overflowing = true;
+      }
+      log.debug("строки отброшены", { table, rows: rows.length });
+      return;
+    }
+    overflowing = false;
+    fs.appendFileSync(dataPath, `${line}\n`, "utf8");
+    notify();
+  };
+
+  const deadLetter = (entry, err) => {
+    const line = JSON.stringify({ ...entry, error: err?.message || String(err), failed_at: new Date().toISOString() });
+    fs.appendFileSync(deadPath, `${line}\n`, "utf8");
+  };
+
+  const ensureReady = async () => {
+    if (ready) return true;
+    try {
+      await prepare();
+      ready = true;
+    } catch (err) {
+      log.warn("ClickHouse недоступен", { error: err });
+    }
+    return ready;
+  };
+
+  /**
+   * Вставляет пачку или, если не получилось, откладывает её в спул. Не бросает исключений.
+   */
+  const write = async (table, rows, columns = null) => {
+    if (!Array.isArray(rows) || rows.length === 0) return;
+    if (pendingBytes() > 0 || !(await ensureReady())) {
+      append(table, rows, columns);
+      return;
+    }
+    try {
+      await insert(table, rows, columns, null);
+    } catch (err) {
+      log.warn("вставка не удалась, строки отложены в спул", { table, rows: rows.length, error: err });
+      append(table, rows, columns);
+    }
+  };
+
+  // обходит полные строки файла начиная с offset, handler(entry, nextOffset) может быть async
+  const readEntries = async (offset, handler) => {
+    const fd = fs.openSync(dataPath, "r");
+    try {
+      let position = offset;
+      let carry = Buffer.alloc(0);
+      for (;;) {
+        const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+        const bytesRead = fs.readSync(fd, chunk, 0, chunk.length, position + carry.length);
+        if (bytesRead === 0) return;
+        let buffer = Buffer.concat([carry, chunk.subarray(0, bytesRead)]);
+        let newline = buffer.indexOf(0x0a);
+        while (newline !== -1) {
+          const line = buffer.subarray(0, newline).toString("utf8").trim();
+          const start = position;
+          position += newline + 1;
+          buffer = buffer.subarray(newline + 1);
+          if (line) {
+            let entry = null;
+            try {
+              entry = JSON.parse(line);
+            } catch (err) {
+              // недописанная строка (падение посреди append) — пропускаем
+              log.warn("битая строка в спуле", { offset: position, error: err });
+            }
+            if (entry) await handler(entry, position, start);
+            else writeOffset(position);
+          }
+          newline = buffer.indexOf(0x0a);
+        }
+        carry = Buffer.from(buffer);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  const doReplay = async () => {
+    if (pendingBytes() === 0) return 0;
+    if (!(await ensureReady())) return 0;
+    let replayed = 0;
+    try {
+      await readEntries(readOffset(), async (entry, nextOffset, entryOffset) => {
+        const rows = Array.isArray(entry.rows) ? entry.rows : [];
+        if (rows.length > 0) {
+          try {
+            await insert(entry.table, rows, entry.columns, entry.id);
+          } catch (err) {
+            if (!isPermanentError(err)) throw err;
+            const attempts = (failure?.offset === entryOffset ? failure.attempts : 0) + 1;
+            failure = { offset: entryOffset, attempts };
+            if (attempts < maxAttempts) throw err;
+            deadLetter(entry, err);
+            log.error("пачка отвергнута ClickHouse, перенесена в dead-letter", {
+              table: entry.table,
+              rows: rows.length,
+              attempts,
+              dead_letter: deadPath,
+              error: err
+            });
+            failure = null;
+            writeOffset(nextOffset);
+            return;
+          }
+        }
+        failure = null;
+        writeOffset(nextOffset);
+        replayed += rows.length;
+      });
+    } catch (err) {
+      log.warn("повтор остановлен", { error: err });
+    }
+    if (fileSize() > 0 && pendingBytes() === 0) {
+      // всё выгружено — начинаем файл заново, чтобы он не рос бесконечно
+      fs.truncateSync(dataPath, 0);
+      writeOffset(0);
+    }
+    if (replayed > 0) {
+      log.info("спул выгружен в ClickHouse", { rows: replayed });
+    }
+    notify();
+    return replayed;
+  };
+
+  /**
+   * Один проход повтора; параллельные вызовы ждут уже идущий.
+   */
+  const replay = () => {
+    if (!replaying) {
+      replaying = doReplay().finally(() => {
+        replaying = null;
+      });
+    }
+    return replaying;
+  };
+
+  const start = () => {
+    if (timer) return;
+    notify();
+    replay();
+    timer = setInterval(replay, retryMs);
+    timer.unref();
+  };
+
+  const stop = async () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    if (replaying) await replaying;
+  };
+
+  return {
+    write,
+    replay,
+    start,
+    stop,
+    pendingBytes
+  };
+}
+
+module.exports = {
+  createClickhouseSpool
+};
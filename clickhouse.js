@@ -9,6 +9,8 @@ const DEFAULT_DATABASE = process.env.CLICKHOUSE_DATABASE || "default";
 const DEFAULT_USER = process.env.CLICKHOUSE_USER || "default";
 const DEFAULT_PASSWORD = process.env.CLICKHOUSE_PASSWORD || "";
 const DEFAULT_TIMEOUT_MS = Number(process.env.CLICKHOUSE_TIMEOUT_MS || 10000);
+// сколько последних вставок MergeTree помнит для insert_deduplication_token (повтор из спула)
+const DEDUPLICATION_WINDOW = 1000;
 
 function sanitizeIdentifier(value, label) {
   if (typeof value !== "string" || value.length === 0) {
@@ -57,7 +59,9 @@ function createClickhouseClient(options = {}) {
               resolve(text);
               return;
             }
-            reject(new Error(`ClickHouse ${res.statusCode || 0}: ${text}`));
+            const err = new Error(`ClickHouse ${res.statusCode || 0}: ${text}`);
+            err.statusCode = res.statusCode || 0;
+            reject(err);
           });
         }
       );
@@ -82,13 +86,18 @@ function createClickhouseClient(options = {}) {
       .map((line) => JSON.parse(line));
   };
 
-  const insertJsonEachRow = async (table, rows, columns = null) => {
+  const insertJsonEachRow = async (table, rows, columns = null, options = {}) => {
     if (!Array.isArray(rows) || rows.length === 0) return;
     const safeTable = sanitizeIdentifier(table, "table");
     const cols = Array.isArray(columns) && columns.length > 0 ? columns.map((col) => sanitizeIdentifier(col, "column")) : null;
     const columnSql = cols ? ` (${cols.join(",")})` : "";
     const body = `${rows.map((row) => JSON.stringify(row)).join("\n")}\n`;
-    const query = `INSERT INTO ${safeTable}${columnSql} FORMAT JSONEachRow`;
+    const token = options.dedupToken ? String(options.dedupToken) : null;
+    if (token && !/^[A-Za-z0-9_-]+$/.test(token)) {
+      throw new Error(`Invalid ClickHouse deduplication token: ${token}`);
+    }
+    const settingsSql = token ? ` SETTINGS insert_deduplication_token = '${token}'` : "";
+    const query = `INSERT INTO ${safeTable}${columnSql}${settingsSql} FORMAT JSONEachRow`;
     await request(query, body);
   };
 
@@ -105,20 +114,48 @@ function createClickhouseClient(options = {}) {
         reply_count Nullable(UInt32),
         reactions_total Nullable(UInt32),
         reactions_paid Nullable(UInt32),
-        reactions_free Nullable(UInt32)
+        reactions_free Nullable(UInt32),
+        source LowCardinality(String) DEFAULT 'search'
       )
       ENGINE = MergeTree
       PARTITION BY toDate(ts)
       ORDER BY (chat_id, message_id, ts, run_id)
+      SETTINGS non_replicated_deduplication_window = ${DEDUPLICATION_WINDOW}
     `;
     await exec(ddl);
+    // таблицы, созданные до появления source и спула
+    await exec(`ALTER TABLE ${safeTable} ADD COLUMN IF NOT EXISTS source LowCardinality(String) DEFAULT 'search'`);
+    await exec(`ALTER TABLE ${safeTable} MODIFY SETTING non_replicated_deduplication_window = ${DEDUPLICATION_WINDOW}`);
+  };
+
+  const ensureChannelMetricsTable = async (table) => {
+    const safeTable = sanitizeIdentifier(table, "table");
+    const ddl = `
+      CREATE TABLE IF NOT EXISTS ${safeTable} (
+        run_id UInt64,
+        chat_id Int64,
+        ts DateTime('UTC'),
+        source LowCardinality(String),
+        member_count Nullable(UInt32),
+        boost_level Nullable(UInt16),
+        gift_count Nullable(UInt32),
+        outgoing_paid_message_star_count Nullable(UInt32)
+      )
+      ENGINE = MergeTree
+      PARTITION BY toYYYYMM(ts)
+      ORDER BY (chat_id, ts)
+      SETTINGS non_replicated_deduplication_window = ${DEDUPLICATION_WINDOW}
+    `;
+    await exec(ddl);
+    await exec(`ALTER TABLE ${safeTable} MODIFY SETTING non_replicated_deduplication_window = ${DEDUPLICATION_WINDOW}`);
   };
 
   return {
     exec,
     queryJsonEachRow,
     insertJsonEachRow,
-    ensureMessageMetricsTable
+    ensureMessageMetricsTable,
+    ensureChannelMetricsTable
   };
 }
 
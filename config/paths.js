@@ -18,8 +18,14 @@ const PUBLIC_SEARCH_DB_PATH =
   process.env.PUBLIC_SEARCH_DB_PATH || path.join(DATA_DIR, "db", "public-search.sqlite");
 const PUBLIC_SEARCH_ACCOUNTS_CONFIG =
   process.env.PUBLIC_SEARCH_ACCOUNTS_CONFIG || path.join(DATA_DIR, "public-search-accounts.json");
+const PUBLIC_SEARCH_QUERIES_CONFIG =
+  process.env.PUBLIC_SEARCH_QUERIES_CONFIG || path.join(DATA_DIR, "public-search-queries.json");
+const CLICKHOUSE_SPOOL_DIR =
+  process.env.CLICKHOUSE_SPOOL_DIR || path.join(DATA_DIR, "spool");
 const GROWTH_SETS_PATH =
   process.env.GROWTH_SETS_PATH || path.join(DATA_DIR, "growth-sets.json");
+const AD_CATEGORIES_CONFIG =
+  process.env.AD_CATEGORIES_CONFIG || path.join(ROOT_DIR, "config", "ad-categories.json");
 
 module.exports = {
   ROOT_DIR,
@@ -30,5 +36,8 @@ module.exports = {
   TDLIB_PATH,
   PUBLIC_SEARCH_DB_PATH,
   PUBLIC_SEARCH_ACCOUNTS_CONFIG,
-  GROWTH_SETS_PATH
+  PUBLIC_SEARCH_QUERIES_CONFIG,
+  CLICKHOUSE_SPOOL_DIR,
+  GROWTH_SETS_PATH,
+  AD_CATEGORIES_CONFIG
 };
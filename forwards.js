@@ -0,0 +1,122 @@
+"use strict";
+
+/**
+ * Происхождение пересланных постов (`message.forward_info`): кто опубликовал оригинал
+ * (канал + message_id, чат, пользователь или скрытый пользователь), дата оригинала, подпись автора,
+ * и, если TDLib его знает, промежуточный источник (`forward_info.source` — откуда переслали именно этот пост).
+ * Хранится в `post_forwards`; по (origin_chat_id, origin_message_id) восстанавливается цепочка репостов.
+ */
+
+const ORIGIN_TYPES = {
+  messageOriginChannel: "channel",
+  messageOriginChat: "chat",
+  messageOriginUser: "user",
+  messageOriginHiddenUser: "hidden_user"
+};
+
+function toInt(value) {
+  const num = Number(value);
+  return Number.isFinite(num) && num !== 0 ? Math.trunc(num) : null;
+}
+
+function senderUserId(sender) {
+  return sender?._ === "messageSenderUser" ? toInt(sender.user_id) : null;
+}
+
+/**
+ * Разбор forward_info или null, если сообщение не переслано.
+ */
+function extractForwardOrigin(message) {
+  const info = message?.forward_info;
+  const origin = info?.origin;
+  const originType = ORIGIN_TYPES[origin?._];
+  if (!originType) return null;
+  const source = info.source || null;
+  return {
+    origin_type: originType,
+    origin_chat_id: toInt(origin.chat_id ?? origin.sender_chat_id),
+    origin_message_id: toInt(origin.message_id),
+    origin_user_id: toInt(origin.sender_user_id),
+    origin_sender_name: origin.sender_name || null,
+    author_signature: origin.author_signature || null,
+    origin_date: toInt(info.date),
+    from_chat_id: toInt(source?.chat_id),
+    from_message_id: toInt(source?.message_id),
+    from_user_id: senderUserId(source?.sender_id),
+    from_date: toInt(source?.date)
+  };
+}
+
+function ensureForwardsTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_forwards (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      origin_type TEXT NOT NULL,
+      origin_chat_id INTEGER,
+      origin_message_id INTEGER,
+      origin_user_id INTEGER,
+      origin_sender_name TEXT,
+      author_signature TEXT,
+      origin_date INTEGER,
+      from_chat_id INTEGER,
+      from_message_id INTEGER,
+      from_user_id INTEGER,
+      from_date INTEGER,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, message_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_forwards_origin ON post_forwards(origin_chat_id, origin_message_id);
+    CREATE INDEX IF NOT EXISTS idx_post_forwards_from ON post_forwards(from_chat_id, from_message_id);
+  `);
+}
+
+function createForwardsStore(db) {
+  ensureForwardsTables(db);
+
+  const upsertForward = db.prepare(`
+    INSERT INTO post_forwards (
+      chat_id, message_id, origin_type, origin_chat_id, origin_message_id, origin_user_id, origin_sender_name,
+      author_signature, origin_date, from_chat_id, from_message_id, from_user_id, from_date, updated_at
+    ) VALUES (
+      @chat_id, @message_id, @origin_type, @origin_chat_id, @origin_message_id, @origin_user_id, @origin_sender_name,
+      @author_signature, @origin_date, @from_chat_id, @from_message_id, @from_user_id, @from_date, datetime('now')
+    )
+    ON CONFLICT(chat_id, message_id) DO UPDATE SET
+      origin_type = excluded.origin_type,
+      origin_chat_id = excluded.origin_chat_id,
+      origin_message_id = excluded.origin_message_id,
+      origin_user_id = excluded.origin_user_id,
+      origin_sender_name = excluded.origin_sender_name,
+      author_signature = excluded.author_signature,
+      origin_date = excluded.origin_date,
+      from_chat_id = COALESCE(excluded.from_chat_id, post_forwards.from_chat_id),
+      from_message_id = COALESCE(excluded.from_message_id, post_forwards.from_message_id),
+      from_user_id = COALESCE(excluded.from_user_id, post_forwards.from_user_id),
+      from_date = COALESCE(excluded.from_date, post_forwards.from_date),
+      updated_at = datetime('now')
+  `);
+  const deleteForward = db.prepare(`DELETE FROM post_forwards WHERE chat_id = ? AND message_id = ?`);
+
+  /**
+   * Сохраняет происхождение поста из сообщения с content; возвращает разбор (null — пост не переслан).
+   */
+  const save = (chatId, messageId, message) => {
+    const forward = extractForwardOrigin(message);
+    if (forward) {
+      upsertForward.run({ chat_id: chatId, message_id: messageId, ...forward });
+    } else {
+      deleteForward.run(chatId, messageId);
+    }
+    return forward;
+  };
+
+  return { save };
+}
+
+module.exports = {
+  extractForwardOrigin,
+  ensureForwardsTables,
+  createForwardsStore
+};
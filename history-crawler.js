@@ -0,0 +1,314 @@
+"use strict";
+
+/**
+ * Обход истории известных каналов (`public_search`) через getChatHistory: поиск отдаёт лишь часть
+ * постов канала, а рекламу можно найти локально — по erid и маркеру «Реклама». Рекламные посты
+ * отдаются наружу (onMessages) и пишутся тем же путём, что и найденные поиском, но с source = history.
+ *
+ * По каждому каналу в `history_crawl` хранится, докуда он пройден: история идёт вглубь
+ * до начала окна (windowDays), а новые посты сверху проходятся до `newest_message_id`. Обход одного
+ * канала за проход ограничен pagesPerChannel страницами, незаконченный канал продолжается со следующего.
+ *
+ * Канал, на котором getChatHistory падает (приватный, удалён, бан), откладывается до `retry_at`:
+ * после FLOOD_WAIT — до конца блокировки, после прочих ошибок — на 10 минут с удвоением за каждую
+ * ошибку подряд (`fail_count`), но не дольше recrawlSec. Иначе несколько мёртвых каналов занимали бы
+ * каждый проход, а пройденные каналы не перепроверялись бы.
+ */
+
+const { extractEridTokens } = require("./ad-markings");
+const { parseAdDisclaimer } = require("./advertisers");
+const { getFormattedText } = require("./text-format");
+const { createLogger } = require("./logger");
+const { createPeriodicLoop } = require("./periodic-loop");
+const { parseFloodWait } = require("./rate-limiter");
+
+const log = createLogger("history");
+
+const PAGE_LIMIT = 100;
+// пауза после первой ошибки канала, дальше удваивается
+const FAILURE_BACKOFF_SEC = 10 * 60;
+
+/**
+ * Рекламный ли пост: есть erid (текст, ссылки, кнопки) или маркер «Реклама».
+ */
+function isAdPost(message) {
+  if (!message?.content) return false;
+  if (extractEridTokens(message).length > 0) return true;
+  return parseAdDisclaimer(getFormattedText(message)?.text || "").ad_marker;
+}
+
+function ensureHistoryCrawlTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS history_crawl (
+      chat_id INTEGER PRIMARY KEY,
+      newest_message_id INTEGER,
+      oldest_message_id INTEGER,
+      oldest_date INTEGER,
+      complete INTEGER DEFAULT 0,
+      pages INTEGER DEFAULT 0,
+      messages_seen INTEGER DEFAULT 0,
+      ad_posts INTEGER DEFAULT 0,
+      last_crawled_at INTEGER,
+      last_error TEXT,
+      fail_count INTEGER DEFAULT 0,
+      retry_at INTEGER
+    );
+  `);
+  const columns = new Set(db.prepare("PRAGMA table_info(history_crawl)").all().map((col) => col.name));
+  if (!columns.has("fail_count")) db.exec("ALTER TABLE history_crawl ADD COLUMN fail_count INTEGER DEFAULT 0;");
+  if (!columns.has("retry_at")) db.exec("ALTER TABLE history_crawl ADD COLUMN retry_at INTEGER;");
+}
+
+function createHistoryCrawler(options) {
+  const {
+    db,
+    getClient,
+    onMessages,
+    windowDays = 30,
+    intervalMs = 60 * 1000,
+    channelsPerTick = 5,
+    pagesPerChannel = 20,
+    recrawlSec = 24 * 3600,
+    pageDelayMs = 1000
+  } = options;
+  if (!Number.isFinite(windowDays) || windowDays <= 0) {
+    throw new Error(`Invalid history crawl window: ${windowDays}`);
+  }
+
+  ensureHistoryCrawlTables(db);
+
+  // сначала ни разу не обходившиеся каналы, потом недообойдённые, потом — давно не обновлявшиеся;
+  // упавшие в прошлый раз — только когда подошёл retry_at
+  const selectDue = db.prepare(`
+    SELECT ps.chat_id, hc.newest_message_id, hc.oldest_message_id, hc.complete, hc.fail_count
+    FROM public_search ps
+    LEFT JOIN history_crawl hc ON hc.chat_id = ps.chat_id
+    WHERE hc.chat_id IS NULL
+       OR (hc.last_error IS NULL AND (hc.complete = 0 OR hc.last_crawled_at <= @recrawl_before))
+       OR (hc.last_error IS NOT NULL AND COALESCE(hc.retry_at, hc.last_crawled_at + @recrawl_sec) <= @now)
+    ORDER BY hc.chat_id IS NOT NULL, hc.complete, hc.last_crawled_at
+    LIMIT @limit
+  `);
+  const saveState = db.prepare(`
+    INSERT INTO history_crawl (
+      chat_id, newest_message_id, oldest_message_id, oldest_date, complete,
+      pages, messages_seen, ad_posts, last_crawled_at, last_error, fail_count, retry_at
+    ) VALUES (
+      @chat_id, @newest_message_id, @oldest_message_id, @oldest_date, @complete,
+      @pages, @messages_seen, @ad_posts, @last_crawled_at, @last_error, @fail_count, @retry_at
+    )
+    ON CONFLICT(chat_id) DO UPDATE SET
+      newest_message_id = COALESCE(excluded.newest_message_id, history_crawl.newest_message_id),
+      oldest_message_id = COALESCE(excluded.oldest_message_id, history_crawl.oldest_message_id),
+      oldest_date = COALESCE(excluded.oldest_date, history_crawl.oldest_date),
+      complete = excluded.complete,
+      pages = history_crawl.pages + excluded.pages,
+      messages_seen = history_crawl.messages_seen + excluded.messages_seen,
+      ad_posts = history_crawl.ad_posts + excluded.ad_posts,
+      last_crawled_at = excluded.last_crawled_at,
+      last_error = excluded.last_error,
+      fail_count = excluded.fail_count,
+      retry_at = excluded.retry_at
+  `);
+
+  const loop = createPeriodicLoop({
+    tick: () => tick(),
+    intervalMs,
+    log,
+    onTick: (found, ms) => {
+      if (found > 0) log.info("найдены рекламные посты", { found, ms });
+    }
+  });
+
+  /**
+   * Проходит страницы истории от fromMessageId вниз, пока stop(message) не скажет остановиться
+   * или не кончится бюджет страниц. Возвращает { pages, seen, ads, newest, oldest, oldestDate, top, exhausted };
+   * top — id верхнего поста первой страницы, даже если он уже за stop.
+   */
+  const walk = async (client, chatId, fromMessageId, stop, budget) => {
+    const result = {
+      pages: 0,
+      seen: 0,
+      ads: 0,
+      newest: null,
+      oldest: null,
+      oldestDate: null,
+      top: null,
+      exhausted: false
+    };
+    let from = fromMessageId;
+    while (result.pages < budget && !loop.stopping()) {
+      const res = await client.invoke({
+        _: "getChatHistory",
+        chat_id: chatId,
+        from_message_id: from,
+        offset: 0,
+        limit: PAGE_LIMIT,
+        only_local: false
+      });
+      result.pages += 1;
+      // с offset 0 TDLib включает в ответ само from_message_id — его уже видели
+      const page = (Array.isArray(res?.messages) ? res.messages : []).filter(
+        (m) => m && Number.isFinite(m.id) && (from === 0 || m.id < from)
+      );
+      if (page.length === 0) {
+        result.exhausted = true;
+        break;
+      }
+      if (result.top === null) result.top = Math.max(...page.map((m) => m.id));
+      const inRange = [];
+      let reachedStop = false;
+      for (const message of page) {
+        if (stop(message)) {
+          reachedStop = true;
+          break;
+        }
+        inRange.push(message);
+      }
+      for (const message of inRange) {
+        if (result.newest === null || message.id > result.newest) result.newest = message.id;
+        if (result.oldest === null || message.id < result.oldest) {
+          result.oldest = message.id;
+          result.oldestDate = Number.isFinite(message.date) ? message.date : result.oldestDate;
+        }
+      }
+      result.seen += inRange.length;
+      const ads = inRange.filter(isAdPost);
+      if (ads.length > 0) {
+        result.ads += ads.length;
+        await onMessages(ads);
+      }
+      if (reachedStop) {
+        result.exhausted = true;
+        break;
+      }
+      from = page[page.length - 1].id;
+      if (pageDelayMs > 0) await loop.wait(pageDelayMs);
+    }
+    return result;
+  };
+
+  const crawlChannel = async (client, state, nowSec) => {
+    const chatId = state.chat_id;
+    const windowStart = nowSec - Math.round(windowDays * 86400);
+    let budget = pagesPerChannel;
+    const totals = { pages: 0, seen: 0, ads: 0 };
+    let newest = null;
+    let oldest = null;
+    let oldestDate = null;
+    let complete = state.complete ? 1 : 0;
+
+    const add = (part) => {
+      totals.pages += part.pages;
+      totals.seen += part.seen;
+      totals.ads += part.ads;
+      budget -= part.pages;
+    };
+
+    // вглубь до начала окна; недообойдённому каналу бюджет сначала на это, иначе он не сдвинется
+    if (!complete) {
+      const from = Number.isFinite(state.oldest_message_id) ? state.oldest_message_id : 0;
+      const deep = await walk(client, chatId, from, (m) => Number.isFinite(m.date) && m.date < windowStart, budget);
+      add(deep);
+      // у канала без постов в окне граница новых — его верхний пост, иначе новые посты сверху не пойдут
+      if (from === 0) newest = deep.newest !== null ? deep.newest : deep.top;
+      oldest = deep.oldest;
+      oldestDate = deep.oldestDate;
+      if (deep.exhausted) complete = 1;
+    }
+    // новые посты сверху — до уже пройденной границы; у пройденного канала без границы (был пуст) — до окна
+    const boundary = Number.isFinite(state.newest_message_id) ? state.newest_message_id : null;
+    if ((boundary !== null || state.complete) && budget > 0 && !loop.stopping()) {
+      const fresh = await walk(
+        client,
+        chatId,
+        0,
+        (m) => (boundary !== null && m.id <= boundary) || (Number.isFinite(m.date) && m.date < windowStart),
+        budget
+      );
+      add(fresh);
+      // границу двигаем, только если дошли до неё: иначе между новыми и старыми постами останется дыра
+      if (fresh.exhausted) newest = fresh.newest !== null ? fresh.newest : fresh.top;
+    }
+
+    saveState.run({
+      chat_id: chatId,
+      newest_message_id: newest,
+      oldest_message_id: oldest,
+      oldest_date: oldestDate,
+      complete,
+      pages: totals.pages,
+      messages_seen: totals.seen,
+      ad_posts: totals.ads,
+      last_crawled_at: nowSec,
+      last_error: null,
+      fail_count: 0,
+      retry_at: null
+    });
+    return totals;
+  };
+
+  /**
+   * Один проход: обходит до channelsPerTick каналов. Возвращает число найденных рекламных постов.
+   */
+  const tick = async () => {
+    const client = getClient();
+    if (!client) return 0;
+    const nowSec = Math.floor(Date.now() / 1000);
+    const due = selectDue.all({
+      now: nowSec,
+      recrawl_before: nowSec - recrawlSec,
+      recrawl_sec: recrawlSec,
+      limit: channelsPerTick
+    });
+    let found = 0;
+    for (const state of due) {
+      if (loop.stopping()) break;
+      try {
+        found += (await crawlChannel(client, state, nowSec)).ads;
+      } catch (err) {
+        // FLOOD_WAIT — беда аккаунта, а не канала: ошибку не засчитываем, ждём конца блокировки
+        const floodMs = parseFloodWait(err);
+        const failCount = (state.fail_count || 0) + (floodMs === null ? 1 : 0);
+        const retrySec =
+          floodMs !== null
+            ? Math.max(1, Math.ceil(floodMs / 1000))
+            : Math.min(recrawlSec, FAILURE_BACKOFF_SEC * 2 ** (failCount - 1));
+        log.warn("getChatHistory failed", {
+          chat_id: state.chat_id,
+          fail_count: failCount,
+          retry_in_sec: retrySec,
+          error: err
+        });
+        saveState.run({
+          chat_id: state.chat_id,
+          newest_message_id: null,
+          oldest_message_id: null,
+          oldest_date: null,
+          complete: state.complete ? 1 : 0,
+          pages: 0,
+          messages_seen: 0,
+          ad_posts: 0,
+          last_crawled_at: nowSec,
+          last_error: String(err.message || err),
+          fail_count: failCount,
+          retry_at: nowSec + retrySec
+        });
+      }
+    }
+    return found;
+  };
+
+
+  return {
+    tick,
+    start: loop.start,
+    stop: loop.stop
+  };
+}
+
+module.exports = {
+  isAdPost,
+  ensureHistoryCrawlTables,
+  createHistoryCrawler
+};
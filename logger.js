@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * Логи с уровнями: одна запись — одна строка JSON `{ ts, level, scope, msg, ...поля }`, где поля —
+ * run_id, account, query, page, тайминги (`*_ms`) и т.п., так что логи всех аккаунтов и run'ов
+ * фильтруются grep/jq по полю, а не по тексту сообщения.
+ *
+ * LOG_FORMAT: `json` или `pretty` (та же запись одной читаемой строкой); по умолчанию pretty,
+ * если stdout — терминал, иначе json (systemd, перенаправление в файл).
+ * LOG_LEVEL: debug | info | warn | error (по умолчанию info). warn/error пишутся в stderr, остальное — в stdout.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = "info";
+
+function resolveLevel(value) {
+  const level = String(value || "").trim().toLowerCase();
+  return Object.hasOwn(LEVELS, level) ? level : DEFAULT_LEVEL;
+}
+
+function resolveFormat(value) {
+  const format = String(value || "").trim().toLowerCase();
+  if (format === "json" || format === "pretty") return format;
+  return process.stdout.isTTY ? "pretty" : "json";
+}
+
+// Error и прочее, что JSON.stringify превращает в `{}`
+function normalizeValue(value) {
+  if (value instanceof Error) return value.message || String(value);
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+function prettyValue(value) {
+  if (typeof value === "string") return /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+  return JSON.stringify(value);
+}
+
+function formatPretty(record) {
+  const { ts, level, scope, msg, ...fields } = record;
+  const pairs = Object.entries(fields).map(([key, value]) => `${key}=${prettyValue(value)}`);
+  return [ts.slice(11, 23), level.toUpperCase().padEnd(5), scope ? `[${scope}]` : null, msg, ...pairs]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * scope — источник записей (scanner, history, visualizer, ...); fields — поля, добавляемые в каждую запись.
+ * options.level / options.format переопределяют LOG_LEVEL / LOG_FORMAT, options.write(line, level) — вывод
+ * (по умолчанию stdout/stderr).
+ */
+function createLogger(scope, fields = {}, options = {}) {
+  const level = resolveLevel(options.level ?? process.env.LOG_LEVEL);
+  const format = resolveFormat(options.format ?? process.env.LOG_FORMAT);
+  const threshold = LEVELS[level];
+  const write =
+    options.write ||
+    ((line, recordLevel) => (LEVELS[recordLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`));
+
+  const emit = (recordLevel, msg, extra) => {
+    if (LEVELS[recordLevel] < threshold) return;
+    const record = { ts: new Date().toISOString(), level: recordLevel, scope, msg: String(msg) };
+    for (const source of [fields, extra]) {
+      if (!source) continue;
+      for (const [key, value] of Object.entries(source)) {
+        if (value === undefined) continue;
+        record[key] = normalizeValue(value);
+      }
+    }
+    write(format === "pretty" ? formatPretty(record) : JSON.stringify(record), recordLevel);
+  };
+
+  return {
+    level,
+    format,
+    debug: (msg, extra) => emit("debug", msg, extra),
+    info: (msg, extra) => emit("info", msg, extra),
+    warn: (msg, extra) => emit("warn", msg, extra),
+    error: (msg, extra) => emit("error", msg, extra),
+    isEnabled: (recordLevel) => LEVELS[recordLevel] >= threshold,
+    // тот же логгер с дополнительными полями (run, аккаунт, запрос) во всех записях
+    child: (extra) => createLogger(scope, { ...fields, ...extra }, { level, format, write })
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger
+};
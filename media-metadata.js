@@ -0,0 +1,254 @@
+"use strict";
+
+/**
+ * Метаданные медиа из TDLib-сообщений без скачивания файлов: вид (photo/video/animation/document/
+ * audio/voice_note/video_note), размеры, длительность, размер файла, mime/имя, превью;
+ * плюс кнопки inline-клавиатуры с URL. Хранится по реальному message_id (у альбома — по каждому
+ * элементу), таблицы `message_media` и `message_buttons`.
+ *
+ * Превью можно докачать отдельно (downloadThumbnail): TDLib кладёт файл в files_directory аккаунта,
+ * путь пишется в `message_media.thumbnail_path`.
+ */
+
+const CONTENT_FIELDS = {
+  messagePhoto: { kind: "photo", field: "photo" },
+  messageVideo: { kind: "video", field: "video" },
+  messageAnimation: { kind: "animation", field: "animation" },
+  messageDocument: { kind: "document", field: "document" },
+  messageAudio: { kind: "audio", field: "audio" },
+  messageVoiceNote: { kind: "voice_note", field: "voice_note" },
+  messageVideoNote: { kind: "video_note", field: "video_note" }
+};
+
+// поле с самим файлом внутри объекта медиа
+const FILE_FIELDS = {
+  video: "video",
+  animation: "animation",
+  document: "document",
+  audio: "audio",
+  voice_note: "voice",
+  video_note: "video"
+};
+
+function toInt(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? Math.trunc(num) : null;
+}
+
+function fileSize(file) {
+  if (!file) return null;
+  const size = toInt(file.size);
+  if (size !== null && size > 0) return size;
+  const expected = toInt(file.expected_size);
+  return expected !== null && expected > 0 ? expected : null;
+}
+
+function thumbnailInfo(thumbnail) {
+  if (!thumbnail?.file) return { thumbnail_file_id: null, thumbnail_width: null, thumbnail_height: null };
+  return {
+    thumbnail_file_id: toInt(thumbnail.file.id),
+    thumbnail_width: toInt(thumbnail.width),
+    thumbnail_height: toInt(thumbnail.height)
+  };
+}
+
+function extractPhoto(content) {
+  const sizes = Array.isArray(content.photo?.sizes) ? content.photo.sizes : [];
+  if (sizes.length === 0) return null;
+  const bySide = [...sizes].sort((a, b) => (a.width || 0) * (a.height || 0) - (b.width || 0) * (b.height || 0));
+  const largest = bySide[bySide.length - 1];
+  const smallest = bySide[0];
+  return {
+    width: toInt(largest.width),
+    height: toInt(largest.height),
+    duration: null,
+    file_size: fileSize(largest.photo),
+    mime_type: null,
+    file_name: null,
+    has_spoiler: content.has_spoiler ? 1 : 0,
+    ...thumbnailInfo(smallest !== largest ? { file: smallest.photo, width: smallest.width, height: smallest.height } : null)
+  };
+}
+
+function extractFileMedia(kind, media, content) {
+  const file = media[FILE_FIELDS[kind]];
+  const thumbnail = kind === "audio" ? media.album_cover_thumbnail : media.thumbnail;
+  const side = kind === "video_note" ? toInt(media.length) : null;
+  return {
+    width: side ?? toInt(media.width),
+    height: side ?? toInt(media.height),
+    duration: toInt(media.duration),
+    file_size: fileSize(file),
+    mime_type: media.mime_type || null,
+    file_name: media.file_name || null,
+    has_spoiler: content.has_spoiler ? 1 : 0,
+    ...thumbnailInfo(thumbnail)
+  };
+}
+
+/**
+ * Медиа сообщения или null, если контент не медийный.
+ */
+function extractMedia(message) {
+  const content = message?.content;
+  const spec = content ? CONTENT_FIELDS[content._] : null;
+  if (!spec) return null;
+  const info = spec.kind === "photo"
+    ? extractPhoto(content)
+    : content[spec.field]
+      ? extractFileMedia(spec.kind, content[spec.field], content)
+      : null;
+  return info ? { kind: spec.kind, ...info } : null;
+}
+
+/**
+ * Кнопки inline-клавиатуры: { row_index, button_index, text, type, url }.
+ * url есть у url-кнопок и у кнопок логина (loginUrl).
+ */
+function extractButtons(message) {
+  const rows = message?.reply_markup?._ === "replyMarkupInlineKeyboard" ? message.reply_markup.rows : null;
+  if (!Array.isArray(rows)) return [];
+  const buttons = [];
+  rows.forEach((row, rowIndex) => {
+    if (!Array.isArray(row)) return;
+    row.forEach((button, buttonIndex) => {
+      const type = button?.type?._ || null;
+      buttons.push({
+        row_index: rowIndex,
+        button_index: buttonIndex,
+        text: button?.text || null,
+        // inlineKeyboardButtonTypeLoginUrl -> login_url
+        type: type
+          ? type
+            .replace(/^inlineKeyboardButtonType/, "")
+            .replace(/(?!^)([A-Z])/g, "_$1")
+            .toLowerCase()
+          : null,
+        url: typeof button?.type?.url === "string" ? button.type.url : null
+      });
+    });
+  });
+  return buttons;
+}
+
+function ensureMediaTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_media (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      duration INTEGER,
+      file_size INTEGER,
+      mime_type TEXT,
+      file_name TEXT,
+      has_spoiler INTEGER DEFAULT 0,
+      thumbnail_width INTEGER,
+      thumbnail_height INTEGER,
+      thumbnail_path TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, message_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_media_kind ON message_media(kind);
+
+    CREATE TABLE IF NOT EXISTS message_buttons (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      row_index INTEGER NOT NULL,
+      button_index INTEGER NOT NULL,
+      text TEXT,
+      type TEXT,
+      url TEXT,
+      PRIMARY KEY(chat_id, message_id, row_index, button_index)
+    );
+  `);
+}
+
+function createMediaStore(db) {
+  ensureMediaTables(db);
+
+  const upsertMedia = db.prepare(`
+    INSERT INTO message_media (
+      chat_id, message_id, kind, width, height, duration, file_size, mime_type, file_name, has_spoiler,
+      thumbnail_width, thumbnail_height, updated_at
+    ) VALUES (
+      @chat_id, @message_id, @kind, @width, @height, @duration, @file_size, @mime_type, @file_name, @has_spoiler,
+      @thumbnail_width, @thumbnail_height, datetime('now')
+    )
+    ON CONFLICT(chat_id, message_id) DO UPDATE SET
+      kind = excluded.kind,
+      width = COALESCE(excluded.width, message_media.width),
+      height = COALESCE(excluded.height, message_media.height),
+      duration = COALESCE(excluded.duration, message_media.duration),
+      file_size = COALESCE(excluded.file_size, message_media.file_size),
+      mime_type = COALESCE(excluded.mime_type, message_media.mime_type),
+      file_name = COALESCE(excluded.file_name, message_media.file_name),
+      has_spoiler = excluded.has_spoiler,
+      thumbnail_width = COALESCE(excluded.thumbnail_width, message_media.thumbnail_width),
+      thumbnail_height = COALESCE(excluded.thumbnail_height, message_media.thumbnail_height),
+      updated_at = datetime('now')
+  `);
+  const deleteMedia = db.prepare(`DELETE FROM message_media WHERE chat_id = ? AND message_id = ?`);
+  const deleteButtons = db.prepare(`DELETE FROM message_buttons WHERE chat_id = ? AND message_id = ?`);
+  const insertButton = db.prepare(`
+    INSERT OR REPLACE INTO message_buttons (chat_id, message_id, row_index, button_index, text, type, url)
+    VALUES (@chat_id, @message_id, @row_index, @button_index, @text, @type, @url)
+  `);
+  const selectThumbnailPath = db.prepare(`
+    SELECT thumbnail_path FROM message_media WHERE chat_id = ? AND message_id = ?
+  `);
+  const updateThumbnailPath = db.prepare(`
+    UPDATE message_media SET thumbnail_path = ?, updated_at = datetime('now') WHERE chat_id = ? AND message_id = ?
+  `);
+
+  /**
+   * Сохраняет медиа и кнопки сообщения (у которого есть content), заменяя прежние.
+   */
+  const save = (chatId, messageId, message) => {
+    const media = extractMedia(message);
+    if (media) {
+      const { thumbnail_file_id: _fileId, ...row } = media;
+      upsertMedia.run({ chat_id: chatId, message_id: messageId, ...row });
+    } else {
+      deleteMedia.run(chatId, messageId);
+    }
+    deleteButtons.run(chatId, messageId);
+    for (const button of extractButtons(message)) {
+      insertButton.run({ chat_id: chatId, message_id: messageId, ...button });
+    }
+  };
+
+  const hasThumbnail = (chatId, messageId) => Boolean(selectThumbnailPath.get(chatId, messageId)?.thumbnail_path);
+
+  const setThumbnailPath = (chatId, messageId, filePath) => updateThumbnailPath.run(filePath, chatId, messageId);
+
+  return { save, hasThumbnail, setThumbnailPath };
+}
+
+/**
+ * Скачивает превью медиа сообщения через TDLib (синхронно, с низким приоритетом).
+ * Возвращает локальный путь или null, если превью нет.
+ */
+async function downloadThumbnail(client, message) {
+  const fileId = extractMedia(message)?.thumbnail_file_id;
+  if (!Number.isFinite(fileId)) return null;
+  const file = await client.invoke({
+    _: "downloadFile",
+    file_id: fileId,
+    priority: 1,
+    offset: 0,
+    limit: 0,
+    synchronous: true
+  });
+  return file?.local?.is_downloading_completed ? file.local.path || null : null;
+}
+
+module.exports = {
+  extractMedia,
+  extractButtons,
+  ensureMediaTables,
+  createMediaStore,
+  downloadThumbnail
+};
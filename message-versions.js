@@ -0,0 +1,144 @@
+"use strict";
+
+/**
+ * История правок и удаления постов: каждая наблюдённая версия содержимого (текст, сущности,
+ * тип контента, кнопки) пишется в `message_versions` со временем наблюдения, `edit_date` из TDLib
+ * и источником (search/update/tracker). Новая версия появляется, только если изменился хэш содержимого,
+ * поэтому повторные выдачи и опросы трекера историю не раздувают.
+ *
+ * Удаление — отдельная запись с `event = 'delete'` (апдейт updateDeleteMessages или пост, который
+ * трекер перестал находить через getMessages).
+ */
+
+const crypto = require("node:crypto");
+const { getFormattedText, toHtml } = require("./text-format");
+const { extractButtons } = require("./media-metadata");
+const { extractEridTokens } = require("./ad-markings");
+
+const EVENT_INITIAL = "initial";
+const EVENT_EDIT = "edit";
+const EVENT_DELETE = "delete";
+
+function contentHash(message) {
+  const formatted = getFormattedText(message);
+  const payload = {
+    type: message?.content?._ || null,
+    text: formatted?.text || "",
+    entities: (formatted?.entities || []).map((e) => [e.offset, e.length, e.type?._, e.type?.url || null]),
+    buttons: extractButtons(message).map((b) => [b.row_index, b.button_index, b.text, b.url])
+  };
+  return crypto.createHash("sha1").update(JSON.stringify(payload)).digest("hex");
+}
+
+function ensureMessageVersionsTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_versions (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      source TEXT,
+      observed_at INTEGER NOT NULL,
+      edit_date INTEGER,
+      content_type TEXT,
+      text_plain TEXT,
+      text_html TEXT,
+      erids TEXT,
+      content_hash TEXT,
+      PRIMARY KEY(chat_id, message_id, version)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_versions_event ON message_versions(event, observed_at);
+  `);
+}
+
+function createMessageVersionsStore(db) {
+  ensureMessageVersionsTables(db);
+
+  const selectLast = db.prepare(`
+    SELECT version, event, content_hash
+    FROM message_versions
+    WHERE chat_id = ? AND message_id = ?
+    ORDER BY version DESC
+    LIMIT 1
+  `);
+  const insertVersion = db.prepare(`
+    INSERT INTO message_versions (
+      chat_id, message_id, version, event, source, observed_at, edit_date,
+      content_type, text_plain, text_html, erids, content_hash
+    ) VALUES (
+      @chat_id, @message_id, @version, @event, @source, @observed_at, @edit_date,
+      @content_type, @text_plain, @text_html, @erids, @content_hash
+    )
+  `);
+  const selectVersions = db.prepare(`
+    SELECT version, event, source, observed_at, edit_date, content_type, text_plain, text_html, erids
+    FROM message_versions
+    WHERE chat_id = ? AND message_id = ?
+    ORDER BY version
+  `);
+
+  /**
+   * Записывает версию поста из сообщения с content, если содержимое изменилось
+   * (или пост снова виден после удаления). Возвращает event записанной версии или null.
+   */
+  const record = (chatId, messageId, message, options = {}) => {
+    if (!message?.content) return null;
+    const hash = contentHash(message);
+    const last = selectLast.get(chatId, messageId);
+    if (last && last.event !== EVENT_DELETE && last.content_hash === hash) return null;
+    const formatted = getFormattedText(message);
+    const event = last ? EVENT_EDIT : EVENT_INITIAL;
+    insertVersion.run({
+      chat_id: chatId,
+      message_id: messageId,
+      version: last ? last.version + 1 : 1,
+      event,
+      source: options.source || null,
+      observed_at: Math.floor(Date.now() / 1000),
+      edit_date: Number.isFinite(message.edit_date) && message.edit_date > 0 ? message.edit_date : null,
+      content_type: message.content._ || null,
+      text_plain: formatted?.text || null,
+      text_html: toHtml(formatted),
+      erids: Array.from(new Set(extractEridTokens(message).map((t) => t.token))).join(",") || null,
+      content_hash: hash
+    });
+    return event;
+  };
+
+  /**
+   * Отмечает пост удалённым; повторная отметка ничего не пишет (возвращает false).
+   * У постов, сохранённых до появления истории, удаление становится первой версией.
+   */
+  const markDeleted = (chatId, messageId, options = {}) => {
+    const last = selectLast.get(chatId, messageId);
+    if (last?.event === EVENT_DELETE) return false;
+    insertVersion.run({
+      chat_id: chatId,
+      message_id: messageId,
+      version: last ? last.version + 1 : 1,
+      event: EVENT_DELETE,
+      source: options.source || null,
+      observed_at: Math.floor(Date.now() / 1000),
+      edit_date: null,
+      content_type: null,
+      text_plain: null,
+      text_html: null,
+      erids: null,
+      content_hash: null
+    });
+    return true;
+  };
+
+  const list = (chatId, messageId) => selectVersions.all(chatId, messageId);
+
+  return { record, markDeleted, list };
+}
+
+module.exports = {
+  EVENT_INITIAL,
+  EVENT_EDIT,
+  EVENT_DELETE,
+  ensureMessageVersionsTables,
+  createMessageVersionsStore
+};
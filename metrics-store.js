@@ -0,0 +1,324 @@
+"use strict";
+
+/**
+ * Хранилище временных рядов метрик: точки по сообщениям (`message_metrics`) и по каналам
+ * (`channel_metrics`). Реализации — ClickHouse и SQLite, выбор через METRICS_STORE.
+ *
+ * Интерфейс хранилища:
+ * - ensureTables() — создать/мигрировать таблицы;
+ * - insertRows(kind, rows, { dedupToken }) — kind = MESSAGE_METRICS | CHANNEL_METRICS (ClickHouse
+ *   принимает и имя таблицы — так записаны старые пачки спула), ts в строках — unix-секунды;
+ * - fetchMetricsSeries(chatId, messageId), fetchChannelMetricsSeries(chatId, fromTs, toTs) —
+ *   точки по возрастанию ts, ts в unix-секундах;
+ * - fetchMetricsCounts(ids) — Map `${chat_id}:${message_id}` -> число точек.
+ */
+
+const MESSAGE_METRICS = "message_metrics";
+const CHANNEL_METRICS = "channel_metrics";
+const BACKENDS = ["clickhouse", "sqlite"];
+const DEFAULT_BACKEND = "clickhouse";
+
+const COLUMNS = {
+  [MESSAGE_METRICS]: [
+    "run_id",
+    "chat_id",
+    "message_id",
+    "ts",
+    "view_count",
+    "forward_count",
+    "reply_count",
+    "reactions_total",
+    "reactions_paid",
+    "reactions_free",
+    "source"
+  ],
+  [CHANNEL_METRICS]: [
+    "run_id",
+    "chat_id",
+    "ts",
+    "source",
+    "member_count",
+    "boost_level",
+    "gift_count",
+    "outgoing_paid_message_star_count"
+  ]
+};
+
+const SERIES_COLUMNS = COLUMNS[MESSAGE_METRICS].filter((col) => col !== "chat_id" && col !== "message_id");
+const CHANNEL_SERIES_COLUMNS = COLUMNS[CHANNEL_METRICS].filter((col) => col !== "chat_id");
+
+function metricsKey(chatId, messageId) {
+  return `${chatId}:${messageId}`;
+}
+
+function resolveBackend(name) {
+  const key = String(name || DEFAULT_BACKEND).trim().toLowerCase();
+  if (!BACKENDS.includes(key)) {
+    throw new Error(`Unknown metrics store: ${name} (available: ${BACKENDS.join(", ")})`);
+  }
+  return key;
+}
+
+function columnsFor(kind) {
+  const columns = COLUMNS[kind];
+  if (!columns) {
+    const err = new Error(`Unknown metrics kind: ${kind}`);
+    // повтор не поможет: спул переносит такую пачку в dead-letter
+    err.permanent = true;
+    throw err;
+  }
+  return columns;
+}
+
+function positiveOr(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? Math.trunc(num) : fallback;
+}
+
+function chunked(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * options: clickhouse (клиент из clickhouse.js), tables { messages, channels }, readChunk.
+ */
+function createClickhouseMetricsStore(options) {
+  const { clickhouse } = options;
+  const tables = {
+    [MESSAGE_METRICS]: options.tables?.messages || MESSAGE_METRICS,
+    [CHANNEL_METRICS]: options.tables?.channels || CHANNEL_METRICS
+  };
+  for (const table of Object.values(tables)) {
+    if (!/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)?$/.test(table)) {
+      throw new Error(`Invalid ClickHouse metrics table: ${table}`);
+    }
+  }
+  const readChunk = positiveOr(options.readChunk, 1000);
+
+  const ensureTables = async () => {
+    await clickhouse.ensureMessageMetricsTable(tables[MESSAGE_METRICS]);
+    await clickhouse.ensureChannelMetricsTable(tables[CHANNEL_METRICS]);
+  };
+
+  // пачки спула, записанные до появления kind, хранят настоящее имя таблицы (CLICKHOUSE_METRICS_TABLE и т.п.)
+  const kindOf = (name) => Object.keys(tables).find((kind) => kind === name || tables[kind] === name) || name;
+
+  const insertRows = async (kindOrTable, rows, insertOptions = {}) => {
+    const kind = kindOf(kindOrTable);
+    const columns = columnsFor(kind);
+    await clickhouse.insertJsonEachRow(tables[kind], rows, columns, { dedupToken: insertOptions.dedupToken });
+  };
+
+  const fetchMetricsSeries = async (chatId, messageId) => {
+    const select = SERIES_COLUMNS.map((col) => (col === "ts" ? "toUnixTimestamp(ts) AS ts" : col));
+    const sql = `
+      SELECT ${select.join(", ")}
+      FROM ${tables[MESSAGE_METRICS]}
+      WHERE chat_id = ${Math.trunc(chatId)} AND message_id = ${Math.trunc(messageId)}
+      ORDER BY ts ASC, run_id ASC
+    `;
+    return clickhouse.queryJsonEachRow(sql);
+  };
+
+  const fetchChannelMetricsSeries = async (chatId, fromTs, toTs) => {
+    const conditions = [`chat_id = ${Math.trunc(chatId)}`];
+    if (Number.isFinite(fromTs)) conditions.push(`ts >= toDateTime(${Math.trunc(fromTs)})`);
+    if (Number.isFinite(toTs)) conditions.push(`ts <= toDateTime(${Math.trunc(toTs)})`);
+    const select = CHANNEL_SERIES_COLUMNS.map((col) => (col === "ts" ? "toUnixTimestamp(ts) AS ts" : col));
+    const sql = `
+      SELECT ${select.join(", ")}
+      FROM ${tables[CHANNEL_METRICS]}
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ts ASC
+    `;
+    return clickhouse.queryJsonEachRow(sql);
+  };
+
+  const fetchMetricsCounts = async (ids) => {
+    const map = new Map();
+    if (!Array.isArray(ids) || ids.length === 0) return map;
+    for (const chunk of chunked(ids, readChunk)) {
+      const tuples = chunk.map((row) => `(${Math.trunc(row.chat_id)},${Math.trunc(row.message_id)})`).join(",");
+      const sql = `
+        SELECT chat_id, message_id, count() AS cnt
+        FROM ${tables[MESSAGE_METRICS]}
+        WHERE (chat_id, message_id) IN (${tuples})
+        GROUP BY chat_id, message_id
+      `;
+      const rows = await clickhouse.queryJsonEachRow(sql);
+      for (const r of rows) {
+        map.set(metricsKey(r.chat_id, r.message_id), Number(r.cnt) || 0);
+      }
+    }
+    return map;
+  };
+
+  return {
+    backend: "clickhouse",
+    ensureTables,
+    insertRows,
+    fetchMetricsSeries,
+    fetchChannelMetricsSeries,
+    fetchMetricsCounts
+  };
+}
+
+/**
+ * Таблицы метрик в SQLite. message_metrics совпадает по схеме со старой таблицей, которую
+ * раньше писал сканер (до переезда в ClickHouse), поэтому старые точки остаются читаемыми.
+ */
+function ensureSqliteMetricsTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_metrics (
+      run_id INTEGER,
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      ts INTEGER NOT NULL,
+      view_count INTEGER,
+      forward_count INTEGER,
+      reply_count INTEGER,
+      reactions_total INTEGER,
+      reactions_paid INTEGER,
+      reactions_free INTEGER,
+      source TEXT DEFAULT 'search'
+    );
+
+    CREATE TABLE IF NOT EXISTS channel_metrics (
+      run_id INTEGER,
+      chat_id INTEGER NOT NULL,
+      ts INTEGER NOT NULL,
+      source TEXT,
+      member_count INTEGER,
+      boost_level INTEGER,
+      gift_count INTEGER,
+      outgoing_paid_message_star_count INTEGER
+    );
+  `);
+  const columns = db.prepare("PRAGMA table_info(message_metrics)").all();
+  if (!columns.some((col) => col.name === "source")) {
+    db.exec("ALTER TABLE message_metrics ADD COLUMN source TEXT DEFAULT 'search';");
+  }
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_message_metrics_message ON message_metrics(chat_id, message_id, ts);
+    CREATE INDEX IF NOT EXISTS idx_channel_metrics_chat ON channel_metrics(chat_id, ts);
+  `);
+}
+
+/**
+ * options: db (DatabaseSync), readChunk.
+ */
+function createSqliteMetricsStore(options) {
+  const { db } = options;
+  const readChunk = positiveOr(options.readChunk, 1000);
+  let ready = false;
+
+  const ensureTables = async () => {
+    ensureSqliteMetricsTables(db);
+    ready = true;
+  };
+
+  const statements = new Map();
+  const prepared = (sql) => {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  };
+
+  const insertSql = (kind) => {
+    const columns = columnsFor(kind);
+    return `INSERT INTO ${kind} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`;
+  };
+
+  // dedupToken не нужен: вставка локальная и идёт одной транзакцией
+  const insertRows = async (kind, rows) => {
+    if (!Array.isArray(rows) || rows.length === 0) return;
+    if (!ready) await ensureTables();
+    const columns = columnsFor(kind);
+    const stmt = prepared(insertSql(kind));
+    db.exec("BEGIN");
+    try {
+      for (const row of rows) {
+        stmt.run(...columns.map((col) => (row[col] === undefined ? null : row[col])));
+      }
+      db.exec("COMMIT");
+    } catch (err) {
+      db.exec("ROLLBACK");
+      throw err;
+    }
+  };
+
+  const fetchMetricsSeries = async (chatId, messageId) => {
+    const select = SERIES_COLUMNS.map((col) => (col === "ts" ? "CAST(ts AS INTEGER) AS ts" : col));
+    return prepared(`
+      SELECT ${select.join(", ")}
+      FROM message_metrics
+      WHERE chat_id = ? AND message_id = ?
+      ORDER BY ts ASC, run_id ASC
+    `).all(Math.trunc(chatId), Math.trunc(messageId));
+  };
+
+  const fetchChannelMetricsSeries = async (chatId, fromTs, toTs) => {
+    const conditions = ["chat_id = ?"];
+    const params = [Math.trunc(chatId)];
+    if (Number.isFinite(fromTs)) {
+      conditions.push("ts >= ?");
+      params.push(Math.trunc(fromTs));
+    }
+    if (Number.isFinite(toTs)) {
+      conditions.push("ts <= ?");
+      params.push(Math.trunc(toTs));
+    }
+    return prepared(`
+      SELECT ${CHANNEL_SERIES_COLUMNS.join(", ")}
+      FROM channel_metrics
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ts ASC
+    `).all(...params);
+  };
+
+  const fetchMetricsCounts = async (ids) => {
+    const map = new Map();
+    if (!Array.isArray(ids) || ids.length === 0) return map;
+    for (const chunk of chunked(ids, readChunk)) {
+      const rows = db
+        .prepare(`
+          SELECT chat_id, message_id, COUNT(*) AS cnt
+          FROM message_metrics
+          WHERE (chat_id, message_id) IN (VALUES ${chunk.map(() => "(?, ?)").join(", ")})
+          GROUP BY chat_id, message_id
+        `)
+        .all(...chunk.flatMap((row) => [Math.trunc(row.chat_id), Math.trunc(row.message_id)]));
+      for (const r of rows) {
+        map.set(metricsKey(r.chat_id, r.message_id), Number(r.cnt) || 0);
+      }
+    }
+    return map;
+  };
+
+  return {
+    backend: "sqlite",
+    ensureTables,
+    insertRows,
+    fetchMetricsSeries,
+    fetchChannelMetricsSeries,
+    fetchMetricsCounts
+  };
+}
+
+/**
+ * options.backend — "clickhouse" | "sqlite"; остальные опции передаются реализации.
+ */
+function createMetricsStore(options) {
+  const backend = resolveBackend(options.backend);
+  return backend === "sqlite" ? createSqliteMetricsStore(options) : createClickhouseMetricsStore(options);
+}
+
+module.exports = {
+  MESSAGE_METRICS,
+  CHANNEL_METRICS,
+  DEFAULT_BACKEND,
+  metricsKey,
+  ensureSqliteMetricsTables,
+  createMetricsStore
+};
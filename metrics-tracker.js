@@ -0,0 +1,282 @@
+"use strict";
+
+/**
+ * Трекер «живых» постов: периодически перечитывает найденные посты обычным getMessages
+ * (без searchPublicPosts, т.е. без расхода free/звёздных лимитов) и отдаёт их наружу
+ * для записи точек метрик. Интервал опроса зависит от возраста поста: часто в первые часы,
+ * реже потом; после последней ступени расписания пост перестаёт отслеживаться.
+ *
+ * Пост без даты не отслеживается: без возраста его нельзя поставить на расписание.
+ * Если getMessages по каналу падает (канал недоступен, аккаунт под FLOOD_WAIT), посты канала
+ * откладываются: после FLOOD_WAIT — до конца блокировки, после прочих ошибок — с растущей паузой,
+ * а после MAX_FAILURES ошибок подряд снимаются с отслеживания.
+ *
+ * Состояние хранится в SQLite (`tracked_posts`), поэтому переживает рестарты сканера.
+ */
+
+const { createLogger } = require("./logger");
+const { createPeriodicLoop } = require("./periodic-loop");
+const { parseFloodWait } = require("./rate-limiter");
+
+const log = createLogger("tracker");
+
+const DEFAULT_SCHEDULE = "1h=5m,6h=15m,24h=1h,72h=3h,168h=12h";
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const MAX_IDS_PER_REQUEST = 100;
+const MAX_MISSES = 3;
+const MAX_FAILURES = 5;
+// пауза после первой ошибки getMessages, дальше удваивается
+const FAILURE_BACKOFF_SEC = 5 * 60;
+
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd])?$/i.exec(String(value || "").trim());
+  if (!match) return null;
+  const unit = DURATION_UNITS[(match[2] || "s").toLowerCase()];
+  const seconds = Math.round(Number(match[1]) * unit);
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * "1h=5m,6h=15m" -> [{ maxAge: 3600, interval: 300 }, { maxAge: 21600, interval: 900 }]
+ */
+function parseSchedule(spec) {
+  const steps = [];
+  for (const part of String(spec || "").split(",")) {
+    const [age, interval] = part.split("=");
+    const maxAge = parseDuration(age);
+    const every = parseDuration(interval);
+    if (maxAge && every) steps.push({ maxAge, interval: every });
+  }
+  return steps.sort((a, b) => a.maxAge - b.maxAge);
+}
+
+function nextPollAt(schedule, messageDate, nowSec) {
+  if (!Number.isFinite(messageDate)) return null;
+  const age = Math.max(0, nowSec - messageDate);
+  const step = schedule.find((s) => age < s.maxAge);
+  return step ? nowSec + step.interval : null;
+}
+
+function ensureTrackerTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tracked_posts (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      message_date INTEGER,
+      active INTEGER DEFAULT 1,
+      next_poll_at INTEGER,
+      last_polled_at INTEGER,
+      poll_count INTEGER DEFAULT 0,
+      miss_count INTEGER DEFAULT 0,
+      fail_count INTEGER DEFAULT 0,
+      added_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, message_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tracked_posts_due ON tracked_posts(active, next_poll_at);
+  `);
+  const columns = db.prepare("PRAGMA table_info(tracked_posts)").all();
+  if (!columns.some((col) => col.name === "fail_count")) {
+    db.exec("ALTER TABLE tracked_posts ADD COLUMN fail_count INTEGER DEFAULT 0;");
+  }
+}
+
+function createMetricsTracker(options) {
+  const {
+    db,
+    getClient,
+    onMessages,
+    onGone = null,
+    schedule: scheduleSpec = DEFAULT_SCHEDULE,
+    intervalMs = 60 * 1000,
+    batchSize = 200
+  } = options;
+  const schedule = parseSchedule(scheduleSpec);
+  if (schedule.length === 0) {
+    throw new Error(`Invalid metrics tracker schedule: ${scheduleSpec}`);
+  }
+  const maxAge = schedule[schedule.length - 1].maxAge;
+
+  ensureTrackerTables(db);
+
+  const insertTracked = db.prepare(`
+    INSERT INTO tracked_posts (chat_id, message_id, message_date, active, next_poll_at)
+    VALUES (@chat_id, @message_id, @message_date, 1, @next_poll_at)
+    ON CONFLICT(chat_id, message_id) DO UPDATE SET
+      message_date = COALESCE(excluded.message_date, tracked_posts.message_date)
+  `);
+  const selectDue = db.prepare(`
+    SELECT chat_id, message_id, message_date, miss_count, fail_count
+    FROM tracked_posts
+    WHERE active = 1 AND next_poll_at <= ?
+    ORDER BY next_poll_at ASC
+    LIMIT ?
+  `);
+  const markPolled = db.prepare(`
+    UPDATE tracked_posts
+    SET last_polled_at = @now,
+        message_date = COALESCE(message_date, @message_date),
+        next_poll_at = @next_poll_at,
+        active = @active,
+        poll_count = poll_count + 1,
+        miss_count = 0,
+        fail_count = 0
+    WHERE chat_id = @chat_id AND message_id = @message_id
+  `);
+  const markMissed = db.prepare(`
+    UPDATE tracked_posts
+    SET last_polled_at = @now,
+        next_poll_at = @next_poll_at,
+        miss_count = miss_count + 1,
+        fail_count = 0,
+        active = CASE WHEN miss_count + 1 >= ${MAX_MISSES} THEN 0 ELSE active END
+    WHERE chat_id = @chat_id AND message_id = @message_id
+  `);
+  // getMessages упал: пост откладывается; @failed = 0 — ошибка не засчитывается (FLOOD_WAIT аккаунта)
+  const markFailed = db.prepare(`
+    UPDATE tracked_posts
+    SET next_poll_at = @next_poll_at,
+        fail_count = fail_count + @failed,
+        active = CASE WHEN fail_count + @failed >= ${MAX_FAILURES} THEN 0 ELSE active END
+    WHERE chat_id = @chat_id AND message_id = @message_id
+  `);
+
+  const loop = createPeriodicLoop({
+    tick: () => tick(),
+    intervalMs,
+    log,
+    onTick: (refreshed, ms) => {
+      if (refreshed > 0) log.info("обновлены посты", { refreshed, ms });
+    }
+  });
+
+  /**
+   * Ставит посты на отслеживание (строки channel_messages: chat_id, message_id, message_date).
+   * Посты старше последней ступени расписания пропускаются.
+   */
+  const track = (rows) => {
+    if (!Array.isArray(rows)) return 0;
+    const nowSec = Math.floor(Date.now() / 1000);
+    let added = 0;
+    for (const row of rows) {
+      if (!Number.isFinite(row?.chat_id) || !Number.isFinite(row?.message_id)) continue;
+      const messageDate = Number.isFinite(row.message_date) ? row.message_date : null;
+      if (messageDate !== null && nowSec - messageDate >= maxAge) continue;
+      const next = nextPollAt(schedule, messageDate, nowSec);
+      if (next === null) continue;
+      insertTracked.run({
+        chat_id: row.chat_id,
+        message_id: row.message_id,
+        message_date: messageDate,
+        next_poll_at: next
+      });
+      added += 1;
+    }
+    return added;
+  };
+
+  const pollChat = async (client, chatId, posts, nowSec) => {
+    const ids = posts.map((p) => p.message_id);
+    const res = await client.invoke({ _: "getMessages", chat_id: chatId, message_ids: ids });
+    const list = Array.isArray(res?.messages) ? res.messages : [];
+    const found = new Map();
+    for (const message of list) {
+      if (message && Number.isFinite(message.id)) found.set(message.id, message);
+    }
+    if (found.size > 0) {
+      await onMessages(Array.from(found.values()));
+    }
+    const gone = [];
+    for (const post of posts) {
+      // у старых строк даты может не быть — берём её из самого сообщения
+      const messageDate = post.message_date ?? found.get(post.message_id)?.date ?? null;
+      const next = nextPollAt(schedule, messageDate, nowSec);
+      if (found.has(post.message_id)) {
+        markPolled.run({
+          chat_id: chatId,
+          message_id: post.message_id,
+          message_date: Number.isFinite(messageDate) ? messageDate : null,
+          now: nowSec,
+          next_poll_at: next,
+          active: next === null ? 0 : 1
+        });
+      } else {
+        markMissed.run({
+          chat_id: chatId,
+          message_id: post.message_id,
+          now: nowSec,
+          next_poll_at: next ?? nowSec
+        });
+        if ((post.miss_count || 0) + 1 >= MAX_MISSES) gone.push(post);
+      }
+    }
+    // пост, который getMessages не находит MAX_MISSES раз подряд, считаем удалённым
+    if (gone.length > 0 && typeof onGone === "function") {
+      await onGone(chatId, gone);
+    }
+    return found.size;
+  };
+
+  // иначе строки упавшего канала остаются первыми в selectDue и вытесняют все остальные посты
+  const postponeChat = (chatId, posts, nowSec, err) => {
+    const floodMs = parseFloodWait(err);
+    for (const post of posts) {
+      const scheduled = nextPollAt(schedule, post.message_date, nowSec);
+      const backoff = FAILURE_BACKOFF_SEC * 2 ** (post.fail_count || 0);
+      let delaySec = scheduled === null ? backoff : Math.max(scheduled - nowSec, backoff);
+      if (floodMs !== null) delaySec = Math.max(1, Math.ceil(floodMs / 1000));
+      markFailed.run({
+        chat_id: chatId,
+        message_id: post.message_id,
+        next_poll_at: nowSec + delaySec,
+        failed: floodMs !== null ? 0 : 1
+      });
+    }
+  };
+
+  /**
+   * Один проход: опрашивает все посты, у которых подошло время. Возвращает число обновлённых.
+   */
+  const tick = async () => {
+    const client = getClient();
+    if (!client) return 0;
+    const nowSec = Math.floor(Date.now() / 1000);
+    const due = selectDue.all(nowSec, batchSize);
+    if (due.length === 0) return 0;
+
+    const byChat = new Map();
+    for (const row of due) {
+      if (!byChat.has(row.chat_id)) byChat.set(row.chat_id, []);
+      byChat.get(row.chat_id).push(row);
+    }
+    let refreshed = 0;
+    for (const [chatId, posts] of byChat) {
+      for (let i = 0; i < posts.length; i += MAX_IDS_PER_REQUEST) {
+        if (loop.stopping()) return refreshed;
+        const chunk = posts.slice(i, i + MAX_IDS_PER_REQUEST);
+        try {
+          refreshed += await pollChat(client, chatId, chunk, nowSec);
+        } catch (err) {
+          log.warn("getMessages failed", { chat_id: chatId, posts: chunk.length, error: err });
+          postponeChat(chatId, chunk, nowSec, err);
+        }
+      }
+    }
+    return refreshed;
+  };
+
+
+  return {
+    track,
+    tick,
+    start: loop.start,
+    stop: loop.stop
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  parseSchedule,
+  ensureTrackerTables,
+  createMetricsTracker
+};
@@ -0,0 +1,78 @@
+"use strict";
+
+/**
+ * Фоновый цикл «проход — пауза — проход» для трекера метрик и обходов каналов: start/stop,
+ * пауза, которую stop прерывает сразу, и флаг остановки для долгих проходов.
+ */
+
+/**
+ * options:
+ * - tick() — один проход (может быть async); исключение логируется, цикл продолжается;
+ * - intervalMs — пауза между проходами;
+ * - log — логгер модуля;
+ * - onTick(result, ms) — после удачного прохода (например, записать в лог, сколько сделано).
+ */
+function createPeriodicLoop(options) {
+  const { tick, intervalMs, log, onTick = null } = options;
+
+  let running = false;
+  let stopRequested = false;
+  let cancelWait = null;
+  let loopPromise = null;
+
+  /**
+   * Пауза, которую stop прерывает сразу (и между проходами, и внутри прохода).
+   */
+  const wait = (ms) =>
+    new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        cancelWait = null;
+        resolve();
+      }, ms);
+      cancelWait = () => {
+        clearTimeout(timer);
+        cancelWait = null;
+        resolve();
+      };
+    });
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    stopRequested = false;
+    loopPromise = (async () => {
+      while (!stopRequested) {
+        const startedAt = Date.now();
+        try {
+          const result = await tick();
+          if (typeof onTick === "function") onTick(result, Date.now() - startedAt);
+        } catch (err) {
+          log.warn("tick failed", { error: err });
+        }
+        if (stopRequested) break;
+        await wait(intervalMs);
+      }
+      running = false;
+    })();
+  };
+
+  const stop = async () => {
+    stopRequested = true;
+    if (typeof cancelWait === "function") cancelWait();
+    if (loopPromise) {
+      await loopPromise;
+      loopPromise = null;
+    }
+  };
+
+  return {
+    start,
+    stop,
+    wait,
+    stopping: () => stopRequested
+  };
+}
+
+module.exports = {
+  createPeriodicLoop
+};
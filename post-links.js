@@ -0,0 +1,192 @@
+"use strict";
+
+/**
+ * Исходящие ссылки постов: из текста, text-url сущностей и url-кнопок inline-клавиатуры.
+ * Для каждой ссылки разбираются хост (без `www.`), путь, UTM-метки, параметр erid и цель в Telegram
+ * (t.me/username[/post], приглашения t.me/+hash и joinchat, tg://resolve). Таблица `post_links`,
+ * индекс по хосту — для списка посадочных доменов.
+ */
+
+const { collectMessageUrls, extractEridFromUrl } = require("./ad-markings");
+
+const UTM_KEYS = ["utm_source", "utm_medium", "utm_campaign", "utm_content", "utm_term"];
+const TELEGRAM_HOSTS = ["t.me", "telegram.me", "telegram.dog"];
+const TG_USERNAME_RE = /^[A-Za-z][A-Za-z0-9_]{3,31}$/;
+// служебные пути t.me, которые не являются username
+const TG_RESERVED = new Set(["s", "c", "joinchat", "addstickers", "addemoji", "share", "proxy", "socks", "iv", "boost"]);
+// хвостовая пунктуация после ссылки в тексте: "(см. https://ex.com)."
+const TRAILING_PUNCT_RE = /[.,;:!?)\]}]+$/;
+
+function toInt(value) {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? Math.trunc(num) : null;
+}
+
+function normalizeHost(hostname) {
+  const host = String(hostname || "").toLowerCase().replace(/\.$/, "");
+  return host.replace(/^www\./, "") || null;
+}
+
+function emptyTelegramTarget() {
+  return { tg_username: null, tg_message_id: null, tg_invite: null };
+}
+
+function telegramTarget(parsed, host) {
+  const target = emptyTelegramTarget();
+  if (parsed.protocol === "tg:") {
+    const action = (parsed.hostname || parsed.pathname.replace(/^\/+/, "")).toLowerCase();
+    if (action === "resolve") {
+      const domain = parsed.searchParams.get("domain");
+      target.tg_username = TG_USERNAME_RE.test(domain || "") ? domain : null;
+      target.tg_message_id = toInt(parsed.searchParams.get("post"));
+    } else if (action === "join") {
+      target.tg_invite = parsed.searchParams.get("invite") || null;
+    }
+    return target;
+  }
+
+  // username.t.me
+  const subdomain = TELEGRAM_HOSTS.map((base) => (host.endsWith(`.${base}`) ? host.slice(0, -base.length - 1) : null)).find(
+    Boolean
+  );
+  if (subdomain) {
+    target.tg_username = TG_USERNAME_RE.test(subdomain) ? subdomain : null;
+    return target;
+  }
+
+  const segments = parsed.pathname.split("/").filter(Boolean);
+  if (segments.length === 0) return target;
+  if (segments[0].startsWith("+")) {
+    target.tg_invite = segments[0].slice(1) || null;
+  } else if (segments[0].toLowerCase() === "joinchat") {
+    target.tg_invite = segments[1] || null;
+  } else if (segments[0].toLowerCase() === "s" && TG_USERNAME_RE.test(segments[1] || "")) {
+    target.tg_username = segments[1];
+    target.tg_message_id = toInt(segments[2]);
+  } else if (!TG_RESERVED.has(segments[0].toLowerCase()) && TG_USERNAME_RE.test(segments[0])) {
+    target.tg_username = segments[0];
+    target.tg_message_id = toInt(segments[1]);
+  }
+  return target;
+}
+
+/**
+ * Разбирает одну ссылку. Возвращает null для невалидных и не-http(s)/tg ссылок.
+ * Ссылка без схемы (`example.com/x` из сущности url) считается https.
+ */
+function parseLink(rawUrl) {
+  if (typeof rawUrl !== "string") return null;
+  const url = rawUrl.trim();
+  if (!url) return null;
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z0-9+.-]*:/i.test(url) ? url : `https://${url}`);
+  } catch (_) {
+    return null;
+  }
+  if (!["http:", "https:", "tg:"].includes(parsed.protocol)) return null;
+
+  const host = parsed.protocol === "tg:" ? "t.me" : normalizeHost(parsed.hostname);
+  if (!host) return null;
+  const utm = Object.fromEntries(UTM_KEYS.map((key) => [key, null]));
+  for (const [key, value] of parsed.searchParams) {
+    const lower = key.toLowerCase();
+    if (lower in utm && utm[lower] === null && value) utm[lower] = value;
+  }
+  const isTelegram = parsed.protocol === "tg:" || TELEGRAM_HOSTS.some((base) => host === base || host.endsWith(`.${base}`));
+
+  return {
+    url,
+    host,
+    path: parsed.protocol === "tg:" ? null : parsed.pathname || "/",
+    ...utm,
+    erid: extractEridFromUrl(parsed.href),
+    ...(isTelegram ? telegramTarget(parsed, host) : emptyTelegramTarget())
+  };
+}
+
+/**
+ * Уникальные ссылки сообщения с разбором: { link_index, source, url, host, path, utm_*, erid, tg_* }.
+ * source: url (в тексте) | text_url | button.
+ */
+function extractLinks(message) {
+  const seen = new Set();
+  const links = [];
+  for (const { url, source } of collectMessageUrls(message)) {
+    const raw = source === "url" && typeof url === "string" ? url.trim().replace(TRAILING_PUNCT_RE, "") : url;
+    const link = parseLink(raw);
+    if (!link) continue;
+    const key = `${source}\u0000${link.url}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    links.push({ link_index: links.length, source, ...link });
+  }
+  return links;
+}
+
+function ensurePostLinksTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS post_links (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      link_index INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      url TEXT NOT NULL,
+      host TEXT,
+      path TEXT,
+      utm_source TEXT,
+      utm_medium TEXT,
+      utm_campaign TEXT,
+      utm_content TEXT,
+      utm_term TEXT,
+      erid TEXT,
+      tg_username TEXT,
+      tg_message_id INTEGER,
+      tg_invite TEXT,
+      inserted_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, message_id, link_index)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_links_host ON post_links(host);
+    CREATE INDEX IF NOT EXISTS idx_post_links_tg_username ON post_links(tg_username);
+  `);
+}
+
+function createPostLinksStore(db) {
+  ensurePostLinksTables(db);
+
+  const deleteLinks = db.prepare(`DELETE FROM post_links WHERE chat_id = ? AND message_id = ?`);
+  const insertLink = db.prepare(`
+    INSERT OR REPLACE INTO post_links (
+      chat_id, message_id, link_index, source, url, host, path,
+      utm_source, utm_medium, utm_campaign, utm_content, utm_term, erid,
+      tg_username, tg_message_id, tg_invite, inserted_at
+    ) VALUES (
+      @chat_id, @message_id, @link_index, @source, @url, @host, @path,
+      @utm_source, @utm_medium, @utm_campaign, @utm_content, @utm_term, @erid,
+      @tg_username, @tg_message_id, @tg_invite, datetime('now')
+    )
+  `);
+
+  /**
+   * Заменяет ссылки поста ссылками из сообщения (с content); возвращает число сохранённых.
+   */
+  const save = (chatId, messageId, message) => {
+    const links = extractLinks(message);
+    deleteLinks.run(chatId, messageId);
+    for (const link of links) {
+      insertLink.run({ chat_id: chatId, message_id: messageId, ...link });
+    }
+    return links.length;
+  };
+
+  return { save };
+}
+
+module.exports = {
+  TELEGRAM_HOSTS,
+  parseLink,
+  extractLinks,
+  ensurePostLinksTables,
+  createPostLinksStore
+};
@@ -0,0 +1,282 @@
+"use strict";
+
+/**
+ * Ограничитель частоты вызовов TDLib, общий для поиска, трекера и обходов.
+ *
+ * Клиент оборачивается так же, как в tdlib-recorder: у обёртки тот же интерфейс, а каждый `invoke`
+ * проходит через состояние аккаунта:
+ * - между вызовами аккаунта выдерживается интервал: базовый (minIntervalMs) плюс адаптивная добавка,
+ *   которая удваивается после каждого FLOOD_WAIT / 429 и тает на удачных вызовах;
+ * - FLOOD_WAIT_N / «Too Many Requests: retry after N» — аккаунт блокируется на N секунд, все его
+ *   вызовы ждут окончания блокировки, запрос повторяется. Блокировка дольше maxFloodWaitMs не
+ *   пережидается внутри invoke: ошибка уходит вызывающему, а следующие вызовы аккаунта до её конца
+ *   падают сразу, не трогая TDLib;
+ * - сетевые ошибки и таймауты повторяются с экспоненциальной паузой (кроме платного поиска:
+ *   повтор мог бы списать звёзды второй раз).
+ * Каждый такой случай пишется в `throttle_events`, чтобы подбирать паузы по данным.
+ */
+
+const { createLogger } = require("./logger");
+
+const log = createLogger("ratelimit");
+
+const RATE_LIMIT_STOPPED = "RATE_LIMIT_STOPPED";
+const FLOOD_WAIT_RE = /(?:FLOOD(?:_PREMIUM)?_WAIT_|retry after\s+)(\d+)/i;
+const TRANSIENT_RE =
+  /NETWORK|timeout|timed out|connection (?:closed|reset|lost|refused)|ECONNRESET|ETIMEDOUT|EAI_AGAIN|request aborted/i;
+// 429 без числа секунд — ждём хотя бы столько
+const DEFAULT_FLOOD_WAIT_MS = 5000;
+
+/**
+ * Сколько мс ждать по ошибке FLOOD_WAIT / 429; null — это не ограничение частоты.
+ */
+function parseFloodWait(err) {
+  if (Number.isFinite(err?.retryAfterMs)) return err.retryAfterMs;
+  const msg = String(err?.message || "");
+  const match = msg.match(FLOOD_WAIT_RE);
+  if (match) return Number(match[1]) * 1000;
+  if (err?.code === 429 || /too many requests/i.test(msg)) return DEFAULT_FLOOD_WAIT_MS;
+  return null;
+}
+
+function isTransientError(err) {
+  if (!err || parseFloodWait(err) !== null) return false;
+  if (Number.isFinite(err.code) && err.code >= 500) return true;
+  return TRANSIENT_RE.test(String(err.message || ""));
+}
+
+function isRateLimitStopped(err) {
+  return err?.code === RATE_LIMIT_STOPPED;
+}
+
+function ensureThrottleTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS throttle_events (
+      event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_name TEXT NOT NULL,
+      method TEXT,
+      kind TEXT NOT NULL,
+      action TEXT NOT NULL,
+      wait_ms INTEGER,
+      attempt INTEGER,
+      interval_ms INTEGER,
+      error TEXT,
+      occurred_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_throttle_events_occurred_at ON throttle_events(occurred_at);
+    CREATE INDEX IF NOT EXISTS idx_throttle_events_account ON throttle_events(account_name, occurred_at);
+  `);
+}
+
+function stoppedError() {
+  const err = new Error("Rate limiter stopped");
+  err.code = RATE_LIMIT_STOPPED;
+  return err;
+}
+
+/**
+ * options:
+ * - db — куда писать throttle_events (без db события только логируются);
+ * - minIntervalMs — базовая пауза между вызовами одного аккаунта;
+ * - maxIntervalMs — потолок адаптивной паузы;
+ * - maxRetries — повторов одного запроса после FLOOD_WAIT или сетевой ошибки;
+ * - maxFloodWaitMs — дольше этого FLOOD_WAIT внутри invoke не пережидается;
+ * - retryBaseMs — первая пауза перед повтором после сетевой ошибки (дальше удваивается);
+ * - skipWaits — не спать (воспроизведение записи: ответы уже готовы);
+ * - onEvent(event) — после каждого события (метрики).
+ */
+function createRateLimiter(options = {}) {
+  const {
+    db = null,
+    minIntervalMs = 0,
+    maxIntervalMs = 60000,
+    maxRetries = 3,
+    maxFloodWaitMs = 300000,
+    retryBaseMs = 1000,
+    skipWaits = false,
+    onEvent
+  } = options;
+
+  if (db) ensureThrottleTables(db);
+  const insertEvent = db
+    ? db.prepare(`
+        INSERT INTO throttle_events (account_name, method, kind, action, wait_ms, attempt, interval_ms, error)
+        VALUES (@account_name, @method, @kind, @action, @wait_ms, @attempt, @interval_ms, @error)
+      `)
+    : null;
+
+  const states = new Map(); // account -> { extraMs, nextAt, blockedUntil }
+  const sleepers = new Set();
+  let stopped = false;
+
+  const state = (account) => {
+    if (!states.has(account)) states.set(account, { extraMs: 0, nextAt: 0, blockedUntil: 0 });
+    return states.get(account);
+  };
+
+  const sleep = (ms) => {
+    if (stopped) return Promise.reject(stoppedError());
+    if (skipWaits || ms <= 0) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const sleeper = {
+        timer: setTimeout(() => {
+          sleepers.delete(sleeper);
+          resolve();
+        }, ms),
+        cancel: () => {
+          clearTimeout(sleeper.timer);
+          sleepers.delete(sleeper);
+          reject(stoppedError());
+        }
+      };
+      sleepers.add(sleeper);
+    });
+  };
+
+  const record = (event) => {
+    const fields = {
+      account: event.account,
+      method: event.method,
+      kind: event.kind,
+      action: event.action,
+      wait_ms: event.waitMs,
+      attempt: event.attempt,
+      interval_ms: event.intervalMs
+    };
+    if (event.action === "fail") {
+      log.warn("TDLib: ограничение частоты, запрос не повторяем", { ...fields, error: event.error });
+    } else {
+      log.info("TDLib: ограничение частоты, ждём и повторяем", { ...fields, error: event.error });
+    }
+    if (insertEvent) {
+      try {
+        insertEvent.run({
+          account_name: event.account,
+          method: event.method,
+          kind: event.kind,
+          action: event.action,
+          wait_ms: event.waitMs,
+          attempt: event.attempt,
+          interval_ms: event.intervalMs,
+          error: event.error
+        });
+      } catch (err) {
+        log.warn("не удалось записать throttle_events", { error: err });
+      }
+    }
+    if (typeof onEvent === "function") {
+      try {
+        onEvent(event);
+      } catch (_) {
+        // ignore
+      }
+    }
+  };
+
+  const interval = (st) => minIntervalMs + st.extraMs;
+
+  // резервирует слот вызова: ждёт конца блокировки и интервала после предыдущего вызова аккаунта
+  const acquire = async (account, method) => {
+    const st = state(account);
+    const now = Date.now();
+    if (!skipWaits && st.blockedUntil - now > maxFloodWaitMs) {
+      const err = new Error(`FLOOD_WAIT_${Math.ceil((st.blockedUntil - now) / 1000)}`);
+      err.code = 429;
+      err.retryAfterMs = st.blockedUntil - now;
+      log.debug("аккаунт заблокирован FLOOD_WAIT, вызов пропущен", { account, method, wait_ms: err.retryAfterMs });
+      throw err;
+    }
+    const at = Math.max(now, st.nextAt, st.blockedUntil);
+    st.nextAt = at + interval(st);
+    await sleep(at - now);
+  };
+
+  const invoke = async (client, account, request) => {
+    const method = request?._ || null;
+    const paid = Number(request?.star_count) > 0;
+    for (let attempt = 1; ; attempt += 1) {
+      await acquire(account, method);
+      try {
+        const response = await client.invoke(request);
+        const st = state(account);
+        // адаптивная добавка тает на удачных вызовах
+        if (st.extraMs > 0) st.extraMs = st.extraMs < 100 ? 0 : Math.floor(st.extraMs * 0.9);
+        return response;
+      } catch (err) {
+        if (isRateLimitStopped(err)) throw err;
+        const floodMs = parseFloodWait(err);
+        const transient = floodMs === null && !paid && isTransientError(err);
+        if (floodMs === null && !transient) throw err;
+
+        const st = state(account);
+        let waitMs;
+        if (floodMs !== null) {
+          st.blockedUntil = Math.max(st.blockedUntil, Date.now() + floodMs);
+          st.extraMs = Math.min(maxIntervalMs, Math.max(st.extraMs * 2, retryBaseMs));
+          waitMs = floodMs;
+        } else {
+          waitMs = Math.min(maxIntervalMs, retryBaseMs * 2 ** (attempt - 1));
+        }
+        const retry = attempt <= maxRetries && (floodMs === null || floodMs <= maxFloodWaitMs) && !stopped;
+        record({
+          account,
+          method,
+          kind: floodMs !== null ? "flood_wait" : "network",
+          action: retry ? "retry" : "fail",
+          waitMs,
+          attempt,
+          intervalMs: interval(st),
+          error: err?.message || String(err)
+        });
+        if (!retry) {
+          if (floodMs !== null) err.retryAfterMs = floodMs;
+          throw err;
+        }
+        // после FLOOD_WAIT ожидание уже в blockedUntil, acquire его выдержит
+        if (floodMs === null) await sleep(waitMs);
+      }
+    }
+  };
+
+  /**
+   * Обёртка над client того же интерфейса, что и у tdlib-recorder.wrap.
+   */
+  const wrap = (client, account = "default") => ({
+    invoke: (request) => invoke(client, account, request),
+    on: (event, handler) => client.on(event, handler),
+    off: (event, handler) => client.off(event, handler),
+    login: (...args) => client.login(...args),
+    close: () => client.close(),
+    destroy: () => client.destroy()
+  });
+
+  /**
+   * Сколько мс аккаунт ещё заблокирован FLOOD_WAIT (0 — не заблокирован).
+   */
+  const blockedFor = (account) => Math.max(0, state(account).blockedUntil - Date.now());
+
+  /**
+   * Прерывает все ожидания: ждущие invoke падают с кодом RATE_LIMIT_STOPPED.
+   */
+  const stop = () => {
+    stopped = true;
+    for (const sleeper of Array.from(sleepers)) sleeper.cancel();
+  };
+
+  return {
+    wrap,
+    blockedFor,
+    intervalMs: (account) => interval(state(account)),
+    stop
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_STOPPED,
+  parseFloodWait,
+  isTransientError,
+  isRateLimitStopped,
+  ensureThrottleTables,
+  createRateLimiter
+};
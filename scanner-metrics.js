@@ -0,0 +1,212 @@
+"use strict";
+
+/**
+ * Метрики процесса сканера в текстовом формате Prometheus (`GET /metrics`).
+ * Без зависимостей: счётчики и gauge'и с метками держатся в памяти и живут до рестарта.
+ */
+
+const http = require("node:http");
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelsKey(labels) {
+  const keys = Object.keys(labels || {}).sort();
+  if (keys.length === 0) return "";
+  return `{${keys.map((key) => `${key}="${escapeLabel(labels[key])}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+function createRegistry() {
+  const metrics = new Map(); // name -> { type, help, values: Map(labelsKey -> number) }
+
+  const register = (type, name, help) => {
+    if (!metrics.has(name)) {
+      metrics.set(name, { type, help, values: new Map() });
+    }
+    const metric = metrics.get(name);
+    return {
+      inc: (labels = {}, value = 1) => {
+        const key = labelsKey(labels);
+        metric.values.set(key, (metric.values.get(key) || 0) + value);
+      },
+      set: (labels = {}, value) => {
+        const key = labelsKey(labels);
+        if (value === null || value === undefined || Number.isNaN(Number(value))) {
+          metric.values.delete(key);
+        } else {
+          metric.values.set(key, Number(value));
+        }
+      }
+    };
+  };
+
+  const render = () => {
+    const lines = [];
+    for (const [name, metric] of metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      for (const [key, value] of metric.values) {
+        lines.push(`${name}${key} ${formatValue(value)}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  };
+
+  return {
+    counter: (name, help) => register("counter", name, help),
+    gauge: (name, help) => register("gauge", name, help),
+    render
+  };
+}
+
+/**
+ * Набор метрик сканера public search.
+ */
+function createScannerMetrics() {
+  const registry = createRegistry();
+  const startedAt = Date.now();
+  let lastSuccessAt = null;
+
+  const pages = registry.counter("erid_scanner_pages_total", "searchPublicPosts pages fetched");
+  const messages = registry.counter("erid_scanner_messages_upserted_total", "Messages upserted into SQLite by source");
+  const posts = registry.counter("erid_scanner_search_posts_total", "Posts returned by search, new vs already known");
+  const runs = registry.counter("erid_scanner_runs_total", "Finished search runs by outcome");
+  const freeRemaining = registry.gauge("erid_scanner_free_queries_remaining", "Remaining free search queries per account");
+  const starCost = registry.gauge("erid_scanner_star_cost_per_query", "Star price of a paid search per account");
+  const starBalance = registry.gauge("erid_scanner_star_balance", "Star balance per account");
+  const flushes = registry.counter("erid_scanner_clickhouse_flushes_total", "ClickHouse inserts by table");
+  const flushErrors = registry.counter("erid_scanner_clickhouse_flush_errors_total", "Failed ClickHouse inserts by table");
+  const flushSeconds = registry.counter(
+    "erid_scanner_clickhouse_flush_seconds_total",
+    "Total time spent in ClickHouse inserts by table"
+  );
+  const spoolBytes = registry.gauge(
+    "erid_scanner_clickhouse_spool_bytes",
+    "Bytes of metric rows waiting in the local spool for ClickHouse"
+  );
+  const flushLast = registry.gauge("erid_scanner_clickhouse_flush_last_seconds", "Duration of the last ClickHouse insert");
+  const lastSuccess = registry.gauge(
+    "erid_scanner_last_success_timestamp_seconds",
+    "Unix time of the last successfully finished run"
+  );
+  const sinceSuccess = registry.gauge(
+    "erid_scanner_seconds_since_last_success",
+    "Seconds since the last successful run (since process start if none yet)"
+  );
+  const uptime = registry.gauge("erid_scanner_uptime_seconds", "Seconds since the scanner process started");
+  const throttles = registry.counter(
+    "erid_scanner_tdlib_throttle_total",
+    "TDLib FLOOD_WAIT and network errors by account, method, kind and action (retry or fail)"
+  );
+  const throttleWait = registry.counter(
+    "erid_scanner_tdlib_throttle_wait_seconds_total",
+    "Seconds requested by FLOOD_WAIT and retry backoff by account"
+  );
+  const tdlibInterval = registry.gauge(
+    "erid_scanner_tdlib_interval_seconds",
+    "Current adaptive pause between TDLib calls per account"
+  );
+
+  /**
+   * Оборачивает вставку в ClickHouse: время, число вставок и ошибок по таблице.
+   */
+  const observeFlush = async (table, fn) => {
+    const started = process.hrtime.bigint();
+    try {
+      return await fn();
+    } catch (err) {
+      flushErrors.inc({ table });
+      throw err;
+    } finally {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      flushes.inc({ table });
+      flushSeconds.inc({ table }, seconds);
+      flushLast.set({ table }, seconds);
+    }
+  };
+
+  const updateAccounts = (accounts) => {
+    for (const acc of accounts || []) {
+      const labels = { account: acc.name || "default" };
+      freeRemaining.set(labels, acc.remaining_free);
+      starCost.set(labels, acc.star_cost_per_query);
+      starBalance.set(labels, acc.star_balance);
+    }
+  };
+
+  const recordRun = (outcome) => {
+    runs.inc({ outcome });
+    if (outcome !== "error" && outcome !== "interrupted" && outcome !== "flood_wait") {
+      lastSuccessAt = Date.now();
+      lastSuccess.set({}, Math.floor(lastSuccessAt / 1000));
+    }
+  };
+
+  // событие ограничителя частоты TDLib (rate-limiter.js)
+  const throttled = (event) => {
+    const account = event.account || "default";
+    throttles.inc({ account, method: event.method || "unknown", kind: event.kind, action: event.action });
+    if (Number.isFinite(event.waitMs)) throttleWait.inc({ account }, event.waitMs / 1000);
+    if (Number.isFinite(event.intervalMs)) tdlibInterval.set({ account }, event.intervalMs / 1000);
+  };
+
+  const render = () => {
+    const now = Date.now();
+    uptime.set({}, Math.floor((now - startedAt) / 1000));
+    sinceSuccess.set({}, Math.floor((now - (lastSuccessAt ?? startedAt)) / 1000));
+    return registry.render();
+  };
+
+  return {
+    pageFetched: (query) => pages.inc({ query }),
+    messagesUpserted: (source, count) => messages.inc({ source }, count),
+    searchPosts: (kind, count) => posts.inc({ kind }, count),
+    recordRun,
+    throttled,
+    updateAccounts,
+    observeFlush,
+    spoolPending: (bytes) => spoolBytes.set({}, bytes),
+    render
+  };
+}
+
+/**
+ * HTTP-сервер с `/metrics` и `/healthz`. Возвращает промис с сервером после listen.
+ */
+function startMetricsServer({ port, host, metrics }) {
+  const server = http.createServer((req, res) => {
+    const pathname = (req.url || "/").split("?")[0];
+    if (req.method === "GET" && pathname === "/metrics") {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(metrics.render());
+      return;
+    }
+    if (req.method === "GET" && pathname === "/healthz") {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end("ok\n");
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  createRegistry,
+  createScannerMetrics,
+  startMetricsServer
+};
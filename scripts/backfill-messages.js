@@ -0,0 +1,216 @@
+"use strict";
+
+/**
+ * Повторно разбирает уже сохранённые channel_messages:
+ * - старые строки, где в text_markdown лежал плоский текст: переносит его в text_plain
+ *   и строит text_markdown / text_html (сущностей у таких строк нет, поэтому без оформления);
+ * - erid-токены по text_plain и сохранённым message_entities (text-url ссылки)
+ *   -> ad_markings / message_ad_markings (только посты, у которых маркировки ещё нет);
+ * - рекламодатели (название, ИНН, ОГРН) и маркер «Реклама» -> advertisers / message_advertisers /
+ *   message_disclaimers (только посты, которые ещё не разбирались);
+ * - исходящие ссылки (хост, UTM, erid, цели в Telegram) по text_plain и message_entities -> post_links
+ *   (только посты, у которых ссылок ещё нет; url-кнопки у старых строк не сохранены);
+ * - тематики по таксономии (AD_CATEGORIES_CONFIG) по text_plain и хостам из post_links -> post_categories
+ *   (все посты заново: после правки таксономии категории пересчитываются).
+ *
+ * Пример:
+ *   node scripts/backfill-messages.js
+ */
+
+const { DatabaseSync } = require("node:sqlite");
+const { extractEridTokens, createAdMarkingsStore } = require("../ad-markings");
+const { parseAdDisclaimer, createAdvertisersStore } = require("../advertisers");
+const { toMarkdown, toHtml, entitiesFromRows, createEntitiesStore } = require("../text-format");
+const { createPostLinksStore } = require("../post-links");
+const { loadTaxonomy, createPostCategoriesStore } = require("../ad-categories");
+const { PUBLIC_SEARCH_DB_PATH, AD_CATEGORIES_CONFIG } = require("../config/paths");
+
+const BATCH_SIZE = Number(process.env.BACKFILL_BATCH_SIZE || 1000);
+
+function textToMessage(text, entities = []) {
+  return { content: { _: "messageText", text: { text, entities } } };
+}
+
+// колонки появляются при запуске сканера; бэкфилл может идти раньше него
+function ensureColumn(db, table, column, type) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some((col) => col.name === column)) return;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type};`);
+}
+
+function processInBatches(db, selectBatch, handleRow) {
+  let lastRowId = 0;
+  let scanned = 0;
+  for (;;) {
+    const rows = selectBatch.all(lastRowId, BATCH_SIZE);
+    if (rows.length === 0) break;
+    db.exec("BEGIN IMMEDIATE;");
+    try {
+      for (const row of rows) handleRow(row);
+      db.exec("COMMIT;");
+    } catch (err) {
+      db.exec("ROLLBACK;");
+      throw err;
+    }
+    scanned += rows.length;
+    lastRowId = rows[rows.length - 1].rid;
+  }
+  return scanned;
+}
+
+function backfillTextFormats(db) {
+  const update = db.prepare(`
+    UPDATE channel_messages
+    SET text_plain = @text_plain, text_markdown = @text_markdown, text_html = @text_html
+    WHERE chat_id = @chat_id AND message_id = @message_id
+  `);
+  const selectBatch = db.prepare(`
+    SELECT cm.rowid AS rid, cm.chat_id, cm.message_id, cm.text_markdown
+    FROM channel_messages cm
+    WHERE cm.rowid > ?
+      AND cm.text_plain IS NULL
+      AND cm.text_markdown IS NOT NULL
+    ORDER BY cm.rowid
+    LIMIT ?
+  `);
+
+  let converted = 0;
+  const scanned = processInBatches(db, selectBatch, (row) => {
+    const formatted = { text: row.text_markdown, entities: [] };
+    update.run({
+      chat_id: row.chat_id,
+      message_id: row.message_id,
+      text_plain: row.text_markdown,
+      text_markdown: toMarkdown(formatted),
+      text_html: toHtml(formatted)
+    });
+    converted += 1;
+  });
+  return { scanned, converted };
+}
+
+function backfillAdMarkings(db) {
+  const store = createAdMarkingsStore(db);
+  const entities = createEntitiesStore(db);
+  const selectBatch = db.prepare(`
+    SELECT cm.rowid AS rid, cm.chat_id, cm.message_id, cm.text_plain
+    FROM channel_messages cm
+    WHERE cm.rowid > ?
+      AND cm.text_plain IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM message_ad_markings mam WHERE mam.chat_id = cm.chat_id AND mam.message_id = cm.message_id
+      )
+    ORDER BY cm.rowid
+    LIMIT ?
+  `);
+
+  let marked = 0;
+  const scanned = processInBatches(db, selectBatch, (row) => {
+    const message = textToMessage(row.text_plain, entitiesFromRows(entities.list(row.chat_id, row.message_id)));
+    const tokens = extractEridTokens(message);
+    if (tokens.length === 0) return;
+    store.save(row.chat_id, row.message_id, tokens);
+    marked += 1;
+  });
+  return { scanned, marked };
+}
+
+function backfillAdvertisers(db) {
+  const store = createAdvertisersStore(db);
+  const selectBatch = db.prepare(`
+    SELECT cm.rowid AS rid, cm.chat_id, cm.message_id, cm.text_plain
+    FROM channel_messages cm
+    WHERE cm.rowid > ?
+      AND NOT EXISTS (
+        SELECT 1 FROM message_disclaimers md WHERE md.chat_id = cm.chat_id AND md.message_id = cm.message_id
+      )
+    ORDER BY cm.rowid
+    LIMIT ?
+  `);
+
+  let withAdvertisers = 0;
+  const scanned = processInBatches(db, selectBatch, (row) => {
+    const parsed = parseAdDisclaimer(row.text_plain);
+    store.save(row.chat_id, row.message_id, parsed);
+    if (parsed.advertisers.length > 0) withAdvertisers += 1;
+  });
+  return { scanned, withAdvertisers };
+}
+
+function backfillPostLinks(db) {
+  const store = createPostLinksStore(db);
+  const entities = createEntitiesStore(db);
+  const selectBatch = db.prepare(`
+    SELECT cm.rowid AS rid, cm.chat_id, cm.message_id, cm.text_plain
+    FROM channel_messages cm
+    WHERE cm.rowid > ?
+      AND cm.text_plain IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM post_links pl WHERE pl.chat_id = cm.chat_id AND pl.message_id = cm.message_id
+      )
+    ORDER BY cm.rowid
+    LIMIT ?
+  `);
+
+  let withLinks = 0;
+  const scanned = processInBatches(db, selectBatch, (row) => {
+    const message = textToMessage(row.text_plain, entitiesFromRows(entities.list(row.chat_id, row.message_id)));
+    if (store.save(row.chat_id, row.message_id, message) > 0) withLinks += 1;
+  });
+  return { scanned, withLinks };
+}
+
+function backfillCategories(db, taxonomy) {
+  const store = createPostCategoriesStore(db, taxonomy);
+  const selectHosts = db.prepare(`SELECT DISTINCT host FROM post_links WHERE chat_id = ? AND message_id = ?`);
+  const selectBatch = db.prepare(`
+    SELECT cm.rowid AS rid, cm.chat_id, cm.message_id, COALESCE(cm.text_plain, cm.text_markdown) AS text
+    FROM channel_messages cm
+    WHERE cm.rowid > ?
+    ORDER BY cm.rowid
+    LIMIT ?
+  `);
+
+  let classified = 0;
+  const scanned = processInBatches(db, selectBatch, (row) => {
+    const hosts = selectHosts.all(row.chat_id, row.message_id).map((r) => r.host);
+    if (store.save(row.chat_id, row.message_id, { text: row.text, hosts }).length > 0) classified += 1;
+  });
+  return { scanned, classified };
+}
+
+function main() {
+  const db = new DatabaseSync(PUBLIC_SEARCH_DB_PATH);
+  try {
+    ensureColumn(db, "channel_messages", "text_plain", "TEXT");
+    ensureColumn(db, "channel_messages", "text_html", "TEXT");
+    const formats = backfillTextFormats(db);
+    console.log(`[backfill] текст: просмотрено ${formats.scanned}, переведено в Markdown/HTML ${formats.converted}`);
+    const erid = backfillAdMarkings(db);
+    console.log(`[backfill] erid: просмотрено ${erid.scanned}, с маркировкой ${erid.marked}`);
+    const adv = backfillAdvertisers(db);
+    console.log(`[backfill] рекламодатели: просмотрено ${adv.scanned}, с рекламодателем ${adv.withAdvertisers}`);
+    const links = backfillPostLinks(db);
+    console.log(`[backfill] ссылки: просмотрено ${links.scanned}, со ссылками ${links.withLinks}`);
+    const taxonomy = loadTaxonomy(AD_CATEGORIES_CONFIG);
+    if (taxonomy.length > 0) {
+      const categories = backfillCategories(db, taxonomy);
+      console.log(`[backfill] категории: просмотрено ${categories.scanned}, с категорией ${categories.classified}`);
+    } else {
+      console.log(`[backfill] категории: таксономия ${AD_CATEGORIES_CONFIG} пуста или не найдена, пропускаем`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,384 @@
+"use strict";
+
+/**
+ * Единая точка входа с подкомандами. Флаги переопределяют env (значения из окружения и .env
+ * остаются значениями по умолчанию), поэтому сканер и остальные модули подключаются только
+ * после разбора аргументов.
+ *
+ * Примеры:
+ *   node scripts/cli.js scan                           # цикл поиска, как npm run public-search
+ *   node scripts/cli.js scan --once --query "erid:"    # один run одного запроса и выход
+ *   node scripts/cli.js limits                         # free/звёзды по аккаунтам (запрос в TDLib)
+ *   node scripts/cli.js limits --cached                # то же из конфига аккаунтов, без TDLib
+ *   node scripts/cli.js accounts list
+ *   node scripts/cli.js accounts check acc1 acc2
+ *   node scripts/cli.js accounts disable acc2          # enable — включить обратно
+ *   node scripts/cli.js export --format csv --out posts.csv --since 2024-05-01 --category crypto
+ *   node scripts/cli.js stats
+ *   node scripts/cli.js backfill --db ./data/db/other.sqlite
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { parseArgs, applyEnvOverrides } = require("../cli-args");
+
+const BOOLEAN_FLAGS = ["once", "cached", "help", "no-tracker", "history", "similar", "has-erid", "no-erid"];
+
+// флаги, общие для всех подкоманд
+const COMMON_ENV = {
+  "data-dir": "DATA_DIR",
+  db: "PUBLIC_SEARCH_DB_PATH",
+  accounts: "PUBLIC_SEARCH_ACCOUNTS_CONFIG",
+  categories: "AD_CATEGORIES_CONFIG",
+  replay: "PUBLIC_SEARCH_REPLAY"
+};
+
+const SCAN_ENV = {
+  queries: "PUBLIC_SEARCH_QUERIES_CONFIG",
+  limit: "PUBLIC_SEARCH_LIMIT",
+  delay: "PUBLIC_SEARCH_DELAY_MS",
+  period: "PUBLIC_SEARCH_PERIOD_MS",
+  "star-spend": "PUBLIC_SEARCH_STAR_SPEND",
+  strategy: "PUBLIC_SEARCH_ACCOUNT_STRATEGY",
+  "star-strategy": "PUBLIC_SEARCH_STAR_ACCOUNT_STRATEGY",
+  "metrics-store": "METRICS_STORE",
+  "metrics-port": "PUBLIC_SEARCH_METRICS_PORT",
+  record: "PUBLIC_SEARCH_RECORD",
+  "no-tracker": ["METRICS_TRACKER_ENABLED", () => "0"],
+  history: ["HISTORY_CRAWL_ENABLED", () => "1"],
+  similar: ["SIMILAR_CHANNELS_ENABLED", () => "1"]
+};
+
+const USAGE = `Использование: node scripts/cli.js <команда> [флаги]
+
+Команды:
+  scan [--once] [--query q]           поиск (--once — один run и выход)
+  limits [--cached]                   free/звёзды по аккаунтам
+  accounts list                       аккаунты из конфига
+  accounts check [имя...]             проверить лимиты и баланс через TDLib
+  accounts disable|enable <имя...>    отключить / включить аккаунт
+  export [--format csv|ndjson|json] [--out файл] [--since дата] [--until дата]
+         [--category id] [--chat chat_id] [--has-erid|--no-erid] [--limit n]
+  stats                               сводка по базе
+  backfill                            повторный разбор сохранённых постов
+
+Общие флаги: --db, --accounts, --data-dir, --categories, --replay
+Флаги scan: --queries, --limit, --delay, --period, --star-spend, --strategy, --star-strategy,
+  --metrics-store, --metrics-port, --record, --no-tracker, --history, --similar`;
+
+function accountLabel(acc) {
+  return acc.name || "default";
+}
+
+function formatTable(rows, columns) {
+  const widths = columns.map((col) => Math.max(col.length, ...rows.map((row) => String(row[col] ?? "—").length)));
+  const line = (cells) => cells.map((cell, i) => String(cell ?? "—").padEnd(widths[i])).join("  ").trimEnd();
+  return [line(columns), ...rows.map((row) => line(columns.map((col) => row[col])))].join("\n");
+}
+
+function printAccounts(accounts) {
+  const rows = accounts.map((acc) => ({
+    name: accountLabel(acc),
+    state: acc.disabled ? "disabled" : "active",
+    free: Number.isFinite(acc.remaining_free) ? `${acc.remaining_free}/${acc.daily_free ?? "?"}` : null,
+    free_at: acc.free_at,
+    star_cost: acc.star_cost_per_query,
+    star_balance: acc.star_balance,
+    stars: acc.skip_stars ? "skip" : "ok",
+    checked_at: acc.last_checked_at
+  }));
+  console.log(formatTable(rows, ["name", "state", "free", "free_at", "star_cost", "star_balance", "stars", "checked_at"]));
+}
+
+async function cmdScan(args) {
+  const { main } = require("./search-public-posts");
+  await main({ once: Boolean(args.once), query: typeof args.query === "string" ? args.query : null });
+}
+
+async function cmdLimits(args) {
+  const { readAccounts, checkAccounts } = require("./search-public-posts");
+  const accounts = args.cached ? await readAccounts() : await checkAccounts();
+  printAccounts(accounts);
+}
+
+async function cmdAccounts(args) {
+  const { readAccounts, writeAccounts, checkAccounts } = require("./search-public-posts");
+  const { PUBLIC_SEARCH_ACCOUNTS_CONFIG: ACCOUNTS_CONFIG_PATH } = require("../config/paths");
+  const [action = "list", ...names] = args._.slice(1);
+  if (action === "list") {
+    const accounts = await readAccounts();
+    if (accounts.length === 0) {
+      console.log(`В ${ACCOUNTS_CONFIG_PATH} нет аккаунтов (npm run init-accounts)`);
+      return;
+    }
+    printAccounts(accounts);
+    return;
+  }
+  if (action === "check") {
+    printAccounts(await checkAccounts(names.length > 0 ? names : null));
+    return;
+  }
+  if (action === "disable" || action === "enable") {
+    if (names.length === 0) throw new Error(`accounts ${action}: укажите имя аккаунта`);
+    const accounts = await readAccounts();
+    const unknown = names.filter((name) => !accounts.some((acc) => accountLabel(acc) === name));
+    if (unknown.length > 0) throw new Error(`Нет аккаунтов: ${unknown.join(", ")}`);
+    for (const acc of accounts) {
+      if (names.includes(accountLabel(acc))) acc.disabled = action === "disable";
+    }
+    if (accounts.every((acc) => acc.disabled)) {
+      console.warn("Внимание: отключены все аккаунты, сканер не запустится");
+    }
+    await writeAccounts(accounts);
+    console.log(`${action === "disable" ? "Отключены" : "Включены"}: ${names.join(", ")} (${ACCOUNTS_CONFIG_PATH})`);
+    return;
+  }
+  throw new Error(`Неизвестное действие accounts: ${action}`);
+}
+
+// дата YYYY-MM-DD[THH:MM], ISO или unix-секунды -> unix-секунды
+function parseDateArg(value, flag) {
+  if (value === undefined) return null;
+  const raw = String(value).trim();
+  const ts = /^\d+$/.test(raw) ? Number(raw) : Math.floor(Date.parse(raw) / 1000);
+  if (!Number.isFinite(ts)) throw new Error(`--${flag}: не удалось разобрать дату ${raw}`);
+  return ts;
+}
+
+function openDb() {
+  const { DatabaseSync } = require("node:sqlite");
+  const { PUBLIC_SEARCH_DB_PATH } = require("../config/paths");
+  if (!fs.existsSync(PUBLIC_SEARCH_DB_PATH)) {
+    throw new Error(`База ${PUBLIC_SEARCH_DB_PATH} не найдена — сначала запустите scan`);
+  }
+  const db = new DatabaseSync(PUBLIC_SEARCH_DB_PATH);
+  // старые базы: таблицы разбора создаются пустыми, чтобы запросы ниже не падали
+  require("../ad-markings").ensureAdMarkingsTables(db);
+  require("../advertisers").ensureAdvertisersTables(db);
+  require("../ad-categories").ensurePostCategoriesTables(db);
+  return { db, dbPath: PUBLIC_SEARCH_DB_PATH };
+}
+
+const EXPORT_COLUMNS = [
+  "chat_id",
+  "message_id",
+  "username",
+  "title",
+  "message_link",
+  "message_date",
+  "view_count",
+  "forward_count",
+  "reply_count",
+  "reactions_total",
+  "erids",
+  "advertisers",
+  "categories",
+  "source",
+  "text"
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+async function cmdExport(args) {
+  const format = String(args.format || "csv").toLowerCase();
+  if (!["csv", "ndjson", "json"].includes(format)) throw new Error(`--format: csv, ndjson или json, а не ${format}`);
+  const since = parseDateArg(args.since, "since");
+  const until = parseDateArg(args.until, "until");
+  const limit = Number(args.limit);
+
+  const conditions = [];
+  const params = [];
+  if (since !== null) {
+    conditions.push("cm.message_date >= ?");
+    params.push(since);
+  }
+  if (until !== null) {
+    conditions.push("cm.message_date <= ?");
+    params.push(until);
+  }
+  if (args.chat !== undefined) {
+    conditions.push("cm.chat_id = ?");
+    params.push(Number(args.chat));
+  }
+  if (typeof args.category === "string") {
+    conditions.push("EXISTS (SELECT 1 FROM post_categories pc WHERE pc.chat_id = cm.chat_id AND pc.message_id = cm.message_id AND pc.category = ?)");
+    params.push(args.category);
+  }
+  if (args["has-erid"] || args["no-erid"]) {
+    const exists = "EXISTS (SELECT 1 FROM message_ad_markings mam WHERE mam.chat_id = cm.chat_id AND mam.message_id = cm.message_id)";
+    conditions.push(args["has-erid"] ? exists : `NOT ${exists}`);
+  }
+
+  const { db } = openDb();
+  try {
+    const columns = new Set(db.prepare("PRAGMA table_info(channel_messages)").all().map((col) => col.name));
+    const rows = db
+      .prepare(
+        `
+        SELECT cm.chat_id, cm.message_id, ps.active_username AS username, ps.title, cm.message_link, cm.message_date,
+               cm.view_count, cm.forward_count, cm.reply_count, cm.reactions_total,
+               (SELECT GROUP_CONCAT(DISTINCT mam.token) FROM message_ad_markings mam
+                 WHERE mam.chat_id = cm.chat_id AND mam.message_id = cm.message_id) AS erids,
+               (SELECT GROUP_CONCAT(a.name, '; ') FROM message_advertisers ma JOIN advertisers a ON a.advertiser_id = ma.advertiser_id
+                 WHERE ma.chat_id = cm.chat_id AND ma.message_id = cm.message_id) AS advertisers,
+               (SELECT GROUP_CONCAT(pc.category) FROM post_categories pc
+                 WHERE pc.chat_id = cm.chat_id AND pc.message_id = cm.message_id) AS categories,
+               ${columns.has("source") ? "cm.source" : "NULL AS source"},
+               ${columns.has("text_plain") ? "COALESCE(cm.text_plain, cm.text_markdown)" : "cm.text_markdown"} AS text
+        FROM channel_messages cm
+        LEFT JOIN public_search ps ON ps.chat_id = cm.chat_id
+        ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+        ORDER BY cm.message_date, cm.chat_id, cm.message_id
+        ${Number.isFinite(limit) && limit > 0 ? `LIMIT ${Math.floor(limit)}` : ""}
+      `
+      )
+      .all(...params)
+      .map((row) => ({
+        ...row,
+        message_date: Number.isFinite(row.message_date) ? new Date(row.message_date * 1000).toISOString() : null
+      }));
+
+    let output;
+    if (format === "json") {
+      output = `${JSON.stringify(rows, null, 2)}\n`;
+    } else if (format === "ndjson") {
+      output = rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+    } else {
+      output = [EXPORT_COLUMNS, ...rows.map((row) => EXPORT_COLUMNS.map((key) => row[key]))]
+        .map((cells) => cells.map(csvCell).join(","))
+        .join("\n");
+      output += "\n";
+    }
+    if (typeof args.out === "string") {
+      fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+      fs.writeFileSync(args.out, output, "utf8");
+      console.error(`[export] ${rows.length} постов -> ${args.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+function cmdStats() {
+  const { createStarBudget } = require("../star-budget");
+  const { db, dbPath } = openDb();
+  const one = (sql, ...params) => {
+    try {
+      return db.prepare(sql).get(...params) || {};
+    } catch (_) {
+      // таблицы нет (модуль ещё ни разу не запускался)
+      return {};
+    }
+  };
+  try {
+    const size = fs.statSync(dbPath).size;
+    const posts = one(`
+      SELECT COUNT(*) AS total,
+             SUM(EXISTS (SELECT 1 FROM message_ad_markings mam WHERE mam.chat_id = cm.chat_id AND mam.message_id = cm.message_id)) AS with_erid,
+             SUM(EXISTS (SELECT 1 FROM post_categories pc WHERE pc.chat_id = cm.chat_id AND pc.message_id = cm.message_id)) AS with_category,
+             MIN(message_date) AS first_date, MAX(message_date) AS last_date
+      FROM channel_messages cm
+    `);
+    const channels = one(`SELECT COUNT(*) AS total, SUM(active_username IS NOT NULL) AS with_username FROM public_search`);
+    const runs = one(`SELECT COUNT(*) AS total, MAX(started_at) AS last_started_at FROM runs`);
+    let runStatuses = [];
+    try {
+      runStatuses = db
+        .prepare(`SELECT status, COUNT(*) AS runs FROM runs WHERE status IS NOT NULL GROUP BY status ORDER BY runs DESC`)
+        .all();
+    } catch (_) {
+      // база до появления runs.status
+    }
+    const budget = createStarBudget({ db, limits: null });
+    let throttles = [];
+    try {
+      throttles = db
+        .prepare(`
+          SELECT kind, COUNT(*) AS events, SUM(wait_ms) AS wait_ms
+          FROM throttle_events
+          WHERE occurred_at >= datetime('now', '-1 day')
+          GROUP BY kind
+          ORDER BY events DESC
+        `)
+        .all();
+    } catch (_) {
+      // база до появления throttle_events
+    }
+    const tracked = one(`SELECT SUM(active = 1) AS active, COUNT(*) AS total FROM tracked_posts`);
+    const history = one(`SELECT COUNT(*) AS channels, SUM(complete) AS complete, SUM(ad_posts) AS ad_posts FROM history_crawl`);
+    const discovered = one(`SELECT COUNT(*) AS total FROM discovered_channels`);
+    const date = (ts) => (Number.isFinite(ts) ? new Date(ts * 1000).toISOString().slice(0, 10) : "—");
+    const n = (value) => (Number.isFinite(value) ? value : 0);
+
+    console.log(`База: ${dbPath} (${(size / 1024 / 1024).toFixed(1)} МБ)`);
+    console.log(
+      `Посты: ${n(posts.total)} (с erid ${n(posts.with_erid)}, с категорией ${n(posts.with_category)}), ` +
+        `даты ${date(posts.first_date)} — ${date(posts.last_date)}`
+    );
+    console.log(`Каналы: ${n(channels.total)} (с username ${n(channels.with_username)}, найдено по рекомендациям ${n(discovered.total)})`);
+    const statuses = runStatuses.map((row) => `${row.status} ${row.runs}`).join(", ");
+    console.log(`Run'ы: ${n(runs.total)}${statuses ? ` (${statuses})` : ""}, последний ${runs.last_started_at || "—"} UTC`);
+    console.log(
+      `Звёзды: сегодня ${budget.spent("daily")}, за неделю ${budget.spent("weekly")}, за месяц ${budget.spent("monthly")}`
+    );
+    if (throttles.length > 0) {
+      const parts = throttles.map((row) => `${row.kind} ${row.events} (ожидание ${Math.round(n(row.wait_ms) / 1000)} с)`);
+      console.log(`Ограничения TDLib за сутки: ${parts.join(", ")}`);
+    }
+    console.log(`Трекер: активных ${n(tracked.active)} из ${n(tracked.total)}`);
+    console.log(
+      `Обход истории: каналов ${n(history.channels)} (пройдено ${n(history.complete)}), рекламных постов ${n(history.ad_posts)}`
+    );
+    const categories = db
+      .prepare(`SELECT category, COUNT(*) AS posts FROM post_categories GROUP BY category ORDER BY posts DESC`)
+      .all();
+    if (categories.length > 0) {
+      console.log(`Категории: ${categories.map((row) => `${row.category} ${row.posts}`).join(", ")}`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+function cmdBackfill() {
+  require("./backfill-messages").main();
+}
+
+const COMMANDS = {
+  scan: { env: { ...COMMON_ENV, ...SCAN_ENV }, run: cmdScan },
+  limits: { env: COMMON_ENV, run: cmdLimits },
+  accounts: { env: COMMON_ENV, run: cmdAccounts },
+  export: { env: COMMON_ENV, run: cmdExport },
+  stats: { env: COMMON_ENV, run: cmdStats },
+  backfill: { env: COMMON_ENV, run: cmdBackfill }
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { boolean: BOOLEAN_FLAGS });
+  const [name] = args._;
+  if (!name || args.help || name === "help") {
+    console.log(USAGE);
+    return;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Неизвестная команда: ${name}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+  applyEnvOverrides(args, command.env);
+  await command.run(args);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  });
+}
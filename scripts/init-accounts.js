@@ -15,27 +15,13 @@ const fs = require("node:fs/promises");
 const path = require("node:path");
 const { PUBLIC_SEARCH_ACCOUNTS_CONFIG, TDLIB_DATABASE_DIR, TDLIB_FILES_DIR } = require("../config/paths");
 const { createClientWithDirs, login } = require("../tdlib-helpers");
+const { parseArgs } = require("../cli-args");
+const { createLogger } = require("../logger");
 
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const res = {};
-  for (let i = 0; i < args.length; i += 1) {
-    const arg = args[i];
-    if (!arg.startsWith("--")) continue;
-    const key = arg.slice(2);
-    const next = args[i + 1];
-    if (next && !next.startsWith("--")) {
-      res[key] = next;
-      i += 1;
-    } else {
-      res[key] = true;
-    }
-  }
-  return res;
-}
+const log = createLogger("init-accounts");
 
 async function main() {
-  const argv = parseArgs();
+  const argv = parseArgs(process.argv.slice(2), { boolean: ["force", "skip-login"] });
   const baseDbRoot = argv.db ? path.resolve(argv.db) : path.resolve(TDLIB_DATABASE_DIR, "..");
   const baseFilesRoot = argv.files ? path.resolve(argv.files) : path.resolve(TDLIB_FILES_DIR, "..");
   const name = argv.name || "default";
@@ -49,7 +35,7 @@ async function main() {
       const raw = await fs.readFile(PUBLIC_SEARCH_ACCOUNTS_CONFIG, "utf8");
       const parsed = JSON.parse(raw);
       accounts = Array.isArray(parsed) ? parsed : Array.isArray(parsed.accounts) ? parsed.accounts : [];
-      console.log(`Найдены существующие аккаунты: ${accounts.map((a) => a.name).join(", ") || "нет"}`);
+      log.info("найдены существующие аккаунты", { accounts: accounts.map((a) => a.name).join(",") || null });
     } catch (_) {
       // файла нет — начнём с пустого списка
     }
@@ -81,39 +67,41 @@ async function main() {
 
   await fs.mkdir(path.dirname(PUBLIC_SEARCH_ACCOUNTS_CONFIG), { recursive: true });
   await fs.writeFile(PUBLIC_SEARCH_ACCOUNTS_CONFIG, JSON.stringify(accounts, null, 2), "utf8");
-  console.log(`Создан конфиг ${PUBLIC_SEARCH_ACCOUNTS_CONFIG}`);
+  log.info("создан конфиг", { config: PUBLIC_SEARCH_ACCOUNTS_CONFIG });
   accounts.forEach((a) => {
-    console.log(`- ${a.name}: db=${a.database_directory}, files=${a.files_directory}`);
+    log.info("аккаунт", { account: a.name, db: a.database_directory, files: a.files_directory });
   });
 
   if (skipLogin) {
-    console.log("Пропущен логин (--skip-login).");
+    log.info("пропущен логин (--skip-login)");
     return;
   }
 
   for (const acc of accounts.slice(-newAccounts.length)) {
-    console.log(`\n[login] ${acc.name}: db=${acc.database_directory}, files=${acc.files_directory}`);
+    const accountLog = log.child({ account: acc.name });
+    accountLog.info("логин", { db: acc.database_directory, files: acc.files_directory });
     await fs.mkdir(acc.database_directory, { recursive: true });
     await fs.mkdir(acc.files_directory, { recursive: true });
     const client = createClientWithDirs({
       databaseDirectory: acc.database_directory,
       filesDirectory: acc.files_directory
     });
+    const startedAt = Date.now();
     try {
       await login(client);
-      console.log(`[login] ${acc.name} ok`);
+      accountLog.info("логин выполнен", { ms: Date.now() - startedAt });
       try {
         const me = await client.invoke({ _: "getMe" });
         if (me?.usernames?.active_usernames?.length) {
           const username = me.usernames.active_usernames[0];
           acc.username = username;
-          console.log(`[login] ${acc.name} username=@${username}`);
+          accountLog.info("username", { username });
         }
       } catch (err) {
-        console.warn(`[login] ${acc.name} getMe failed: ${err.message || err}`);
+        accountLog.warn("getMe failed", { error: err });
       }
     } catch (err) {
-      console.error(`[login] ${acc.name} failed: ${err.message || err}`);
+      accountLog.error("логин не удался", { error: err });
     } finally {
       try {
         await client.close();
@@ -126,15 +114,15 @@ async function main() {
 
   try {
     await fs.writeFile(PUBLIC_SEARCH_ACCOUNTS_CONFIG, JSON.stringify(accounts, null, 2), "utf8");
-    console.log(`\nОбновлён конфиг с username: ${PUBLIC_SEARCH_ACCOUNTS_CONFIG}`);
+    log.info("обновлён конфиг с username", { config: PUBLIC_SEARCH_ACCOUNTS_CONFIG });
   } catch (err) {
-    console.warn(`Не удалось обновить конфиг после логина: ${err.message || err}`);
+    log.warn("не удалось обновить конфиг после логина", { config: PUBLIC_SEARCH_ACCOUNTS_CONFIG, error: err });
   }
 }
 
 if (require.main === module) {
   main().catch((err) => {
-    console.error(err);
+    log.error("init-accounts failed", { error: err, stack: err?.stack });
     process.exitCode = 1;
   });
 }
@@ -7,14 +7,30 @@ const path = require("node:path");
 const url = require("node:url");
 const { DatabaseSync } = require("node:sqlite");
 const { createClickhouseClient } = require("../clickhouse");
-const { PUBLIC_SEARCH_DB_PATH, GROWTH_SETS_PATH } = require("../config/paths");
+const { DEFAULT_BACKEND: DEFAULT_METRICS_STORE, metricsKey, createMetricsStore } = require("../metrics-store");
+const { ensureAdMarkingsTables } = require("../ad-markings");
+const { ensureAdvertisersTables } = require("../advertisers");
+const { ensureAlbumsTables } = require("../albums");
+const { ensureMediaTables } = require("../media-metadata");
+const { ensureEntitiesTables } = require("../text-format");
+const { TELEGRAM_HOSTS, ensurePostLinksTables } = require("../post-links");
+const { ensureForwardsTables } = require("../forwards");
+const { ensureMessageVersionsTables } = require("../message-versions");
+const { ensureSimilarChannelsTables } = require("../similar-channels");
+const { loadTaxonomy, ensurePostCategoriesTables } = require("../ad-categories");
+const { PUBLIC_SEARCH_DB_PATH, GROWTH_SETS_PATH, AD_CATEGORIES_CONFIG } = require("../config/paths");
+const { createLogger } = require("../logger");
+
+const log = createLogger("visualizer");
 
 const STATIC_DIR = path.join(__dirname, "..", "visualizer");
 const PORT = Number(process.env.PORT || 3100);
 const DB_PATH = PUBLIC_SEARCH_DB_PATH;
 const SETS_PATH = GROWTH_SETS_PATH;
 const CLICKHOUSE_METRICS_TABLE = process.env.CLICKHOUSE_METRICS_TABLE || "message_metrics";
+const CLICKHOUSE_CHANNEL_METRICS_TABLE = process.env.CLICKHOUSE_CHANNEL_METRICS_TABLE || "channel_metrics";
 const CLICKHOUSE_READ_CHUNK = Number(process.env.CLICKHOUSE_READ_CHUNK || 1000);
+const METRICS_STORE = process.env.METRICS_STORE || DEFAULT_METRICS_STORE;
 const MINPOINTS_SCAN_LIMIT = Number.isFinite(Number(process.env.CLICKHOUSE_MINPOINTS_SCAN_LIMIT))
   ? Number(process.env.CLICKHOUSE_MINPOINTS_SCAN_LIMIT)
   : 50000;
@@ -69,62 +85,88 @@ db.exec(`
   );
 `);
 
+ensureAdMarkingsTables(db);
+ensureAdvertisersTables(db);
+ensureAlbumsTables(db);
+ensureMediaTables(db);
+ensureEntitiesTables(db);
+ensurePostLinksTables(db);
+ensureForwardsTables(db);
+ensureMessageVersionsTables(db);
+ensureSimilarChannelsTables(db);
+ensurePostCategoriesTables(db);
+// таксономия нужна только для названий и порядка категорий; сами категории ставят сканер и бэкфилл
+const TAXONOMY = loadTaxonomy(AD_CATEGORIES_CONFIG);
+
 const HAS_MESSAGE_LABELS = Boolean(
   db.prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name='message_labels';`).get()
 );
-const clickhouse = createClickhouseClient();
-const SAFE_METRICS_TABLE = (() => {
-  if (!/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)?$/.test(CLICKHOUSE_METRICS_TABLE)) {
-    throw new Error(`Invalid CLICKHOUSE_METRICS_TABLE: ${CLICKHOUSE_METRICS_TABLE}`);
-  }
-  return CLICKHOUSE_METRICS_TABLE;
-})();
-
-function metricsKey(chatId, messageId) {
-  return `${chatId}:${messageId}`;
-}
-
-async function fetchMetricsSeries(chatId, messageId) {
-  const sql = `
-    SELECT
-      run_id,
-      toUnixTimestamp(ts) AS ts,
-      view_count,
-      forward_count,
-      reply_count,
-      reactions_total,
-      reactions_paid,
-      reactions_free
-    FROM ${SAFE_METRICS_TABLE}
-    WHERE chat_id = ${Math.trunc(chatId)} AND message_id = ${Math.trunc(messageId)}
-    ORDER BY ts ASC, run_id ASC
-  `;
-  return clickhouse.queryJsonEachRow(sql);
-}
-
-async function fetchMetricsCounts(ids) {
-  const map = new Map();
-  if (!Array.isArray(ids) || ids.length === 0) return map;
-  const chunkSize = Number.isFinite(CLICKHOUSE_READ_CHUNK) && CLICKHOUSE_READ_CHUNK > 0 ? CLICKHOUSE_READ_CHUNK : 1000;
-  for (let i = 0; i < ids.length; i += chunkSize) {
-    const chunk = ids.slice(i, i + chunkSize);
-    const tuples = chunk
-      .map((row) => `(${Math.trunc(row.chat_id)},${Math.trunc(row.message_id)})`)
-      .join(",");
-    const sql = `
-      SELECT chat_id, message_id, count() AS cnt
-      FROM ${SAFE_METRICS_TABLE}
-      WHERE (chat_id, message_id) IN (${tuples})
-      GROUP BY chat_id, message_id
-    `;
-    const rows = await clickhouse.queryJsonEachRow(sql);
-    for (const r of rows) {
-      const key = metricsKey(r.chat_id, r.message_id);
-      map.set(key, Number(r.cnt) || 0);
-    }
+// text_plain/text_html и source добавляет сканер; на базе, которую он ещё не мигрировал, их нет
+const MESSAGE_COLUMNS = new Set(
+  db
+    .prepare("PRAGMA table_info(channel_messages)")
+    .all()
+    .map((col) => col.name)
+);
+const HAS_MESSAGE_HTML = MESSAGE_COLUMNS.has("text_html");
+const HAS_MESSAGE_SOURCE = MESSAGE_COLUMNS.has("source");
+// статус и счётчики run'ов тоже добавляет сканер; чего нет — отдаём null
+const RUN_COLUMNS = new Set(
+  db
+    .prepare("PRAGMA table_info(runs)")
+    .all()
+    .map((col) => col.name)
+);
+const RUN_STAT_COLUMNS = [
+  "finished_at",
+  "status",
+  "error",
+  "query",
+  "star_count",
+  "page",
+  "pages",
+  "messages",
+  "new_posts",
+  "new_channels",
+  "stars_spent",
+  "duration_ms"
+];
+const RUN_SELECT = [
+  "run_id",
+  "started_at",
+  "account_name",
+  "limits_exceeded",
+  ...RUN_STAT_COLUMNS.map((col) => (RUN_COLUMNS.has(col) ? col : `NULL AS ${col}`)),
+  RUN_COLUMNS.has("next_offset") ? "next_offset IS NOT NULL AND finished_at IS NULL AS resumable" : "0 AS resumable"
+].join(", ");
+const metricsStore = createMetricsStore({
+  backend: METRICS_STORE,
+  db,
+  clickhouse: createClickhouseClient(),
+  tables: { messages: CLICKHOUSE_METRICS_TABLE, channels: CLICKHOUSE_CHANNEL_METRICS_TABLE },
+  readChunk: CLICKHOUSE_READ_CHUNK
+});
+// хранилище метрик готовится лениво: пока оно недоступно (ClickHouse лежит), метрические эндпоинты
+// отвечают 502, а всё, что читается только из SQLite, работает; после ошибки следующий запрос пробует снова
+let metricsStoreReady = null;
+function ensureMetricsStore() {
+  if (!metricsStoreReady) {
+    metricsStoreReady = metricsStore.ensureTables().catch((err) => {
+      metricsStoreReady = null;
+      throw err;
+    });
   }
-  return map;
+  return metricsStoreReady;
 }
+const withMetricsStore =
+  (fn) =>
+  async (...args) => {
+    await ensureMetricsStore();
+    return fn(...args);
+  };
+const fetchMetricsSeries = withMetricsStore(metricsStore.fetchMetricsSeries);
+const fetchChannelMetricsSeries = withMetricsStore(metricsStore.fetchChannelMetricsSeries);
+const fetchMetricsCounts = withMetricsStore(metricsStore.fetchMetricsCounts);
 
 async function collectDbStats() {
   const disk =
@@ -214,6 +256,31 @@ function numberOrNull(val) {
   return Number.isFinite(num) ? num : null;
 }
 
+function boolOrNull(val) {
+  if (val === undefined || val === null || val === "") return null;
+  if (typeof val === "boolean") return val;
+  const str = String(val).trim().toLowerCase();
+  if (["1", "true", "yes"].includes(str)) return true;
+  if (["0", "false", "no"].includes(str)) return false;
+  return null;
+}
+
+const HAS_ERID_SQL = `EXISTS (
+  SELECT 1 FROM message_ad_markings mam WHERE mam.chat_id = cm.chat_id AND mam.message_id = cm.message_id
+)`;
+const ERID_TOKEN_SQL = `EXISTS (
+  SELECT 1 FROM message_ad_markings mam
+  WHERE mam.chat_id = cm.chat_id AND mam.message_id = cm.message_id AND mam.token = ?
+)`;
+const CATEGORY_SQL = `EXISTS (
+  SELECT 1 FROM post_categories pc
+  WHERE pc.chat_id = cm.chat_id AND pc.message_id = cm.message_id AND pc.category = ?
+)`;
+
+function categoryTitle(id) {
+  return TAXONOMY.find((c) => c.id === id)?.title || id;
+}
+
 function parseScoresJson(jsonStr) {
   if (!jsonStr) return {};
   try {
@@ -255,7 +322,9 @@ async function handleMetrics(req, res, query) {
   const msgRow = db
     .prepare(
       `
-      SELECT message_link, message_date, view_count, forward_count, reply_count, reactions_total, reactions_paid, reactions_free
+      SELECT message_link, message_date, view_count, forward_count, reply_count, reactions_total, reactions_paid, reactions_free,
+        text_markdown, ${HAS_MESSAGE_HTML ? "text_plain, text_html" : "text_markdown AS text_plain, NULL AS text_html"},
+        ${HAS_MESSAGE_SOURCE ? "source" : "NULL AS source"}
       FROM channel_messages
       WHERE chat_id = ? AND message_id = ?
       LIMIT 1
@@ -263,12 +332,92 @@ async function handleMetrics(req, res, query) {
     )
     .get(chatId, messageId);
 
+  const erids = db
+    .prepare("SELECT token, source FROM message_ad_markings WHERE chat_id = ? AND message_id = ? ORDER BY token")
+    .all(chatId, messageId);
+
+  const links = db
+    .prepare(
+      `SELECT source, url, host, path, utm_source, utm_medium, utm_campaign, utm_content, utm_term, erid,
+              tg_username, tg_message_id, tg_invite
+       FROM post_links WHERE chat_id = ? AND message_id = ? ORDER BY link_index`
+    )
+    .all(chatId, messageId);
+
+  const forward =
+    db
+      .prepare(
+        `SELECT pf.origin_type, pf.origin_chat_id, pf.origin_message_id, pf.origin_user_id, pf.origin_sender_name,
+                pf.author_signature, pf.origin_date, pf.from_chat_id, pf.from_message_id,
+                ps.active_username AS origin_username, ps.title AS origin_title
+         FROM post_forwards pf
+         LEFT JOIN public_search ps ON ps.chat_id = pf.origin_chat_id
+         WHERE pf.chat_id = ? AND pf.message_id = ?`
+      )
+      .get(chatId, messageId) || null;
+
+  const versions = db
+    .prepare(
+      `SELECT version, event, source, observed_at, edit_date, content_type, text_plain, text_html, erids
+       FROM message_versions WHERE chat_id = ? AND message_id = ? ORDER BY version`
+    )
+    .all(chatId, messageId);
+
+  const entities = db
+    .prepare(
+      "SELECT offset, length, type, text, url, user_id, language FROM message_entities WHERE chat_id = ? AND message_id = ? ORDER BY entity_index"
+    )
+    .all(chatId, messageId);
+
+  const album = db
+    .prepare(
+      `
+      SELECT album_id, caption_message_id, item_count
+      FROM post_albums
+      WHERE chat_id = ? AND canonical_message_id = ?
+      LIMIT 1
+    `
+    )
+    .get(chatId, messageId);
+  if (album) {
+    album.items = db
+      .prepare(
+        "SELECT message_id, content_type, has_caption FROM post_album_items WHERE chat_id = ? AND album_id = ? ORDER BY message_id"
+      )
+      .all(chatId, album.album_id);
+  }
+
+  // медиа и кнопки лежат по реальным сообщениям: у альбома — по всем его элементам
+  const memberIds = album ? album.items.map((item) => item.message_id) : [messageId];
+  const placeholders = memberIds.map(() => "?").join(", ");
+  const media = db
+    .prepare(
+      `
+      SELECT message_id, kind, width, height, duration, file_size, mime_type, file_name, has_spoiler,
+        thumbnail_width, thumbnail_height, thumbnail_path
+      FROM message_media
+      WHERE chat_id = ? AND message_id IN (${placeholders})
+      ORDER BY message_id
+    `
+    )
+    .all(chatId, ...memberIds);
+  const buttons = db
+    .prepare(
+      `
+      SELECT message_id, row_index, button_index, text, type, url
+      FROM message_buttons
+      WHERE chat_id = ? AND message_id IN (${placeholders})
+      ORDER BY message_id, row_index, button_index
+    `
+    )
+    .all(chatId, ...memberIds);
+
   let metrics = [];
   try {
     metrics = await fetchMetricsSeries(chatId, messageId);
   } catch (err) {
-    console.error("ClickHouse metrics fetch failed", err);
-    return sendJson(res, 502, { error: "ClickHouse unavailable" });
+    log.error("metrics fetch failed", { chat_id: chatId, message_id: messageId, error: err });
+    return sendJson(res, 502, { error: "Metrics store unavailable" });
   }
 
   const runs = db
@@ -279,6 +428,14 @@ async function handleMetrics(req, res, query) {
     chat_id: chatId,
     message_id: messageId,
     message: msgRow || null,
+    album: album || null,
+    media,
+    buttons,
+    entities,
+    links,
+    forward,
+    versions,
+    erids,
     metrics,
     runs
   });
@@ -306,6 +463,28 @@ async function readJsonBody(req) {
   });
 }
 
+async function handleChannelMetrics(req, res, query) {
+  const chatId = Number(query.chat_id);
+  if (!Number.isFinite(chatId)) return sendJson(res, 400, { error: "chat_id required" });
+  const fromTs = Number(query.from); // seconds
+  const toTs = Number(query.to);
+
+  const channel =
+    db
+      .prepare("SELECT chat_id, title, active_username, member_count FROM public_search WHERE chat_id = ? LIMIT 1")
+      .get(chatId) || null;
+
+  let metrics = [];
+  try {
+    metrics = await fetchChannelMetricsSeries(chatId, fromTs, toTs);
+  } catch (err) {
+    log.error("channel metrics fetch failed", { chat_id: chatId, error: err });
+    return sendJson(res, 502, { error: "Metrics store unavailable" });
+  }
+
+  return sendJson(res, 200, { chat_id: chatId, channel, metrics });
+}
+
 function handleLabels(req, res, query) {
   const chatId = Number(query.chat_id);
   const messageId = Number(query.message_id);
@@ -401,7 +580,9 @@ function handlePatternTags(req, res) {
   return sendJson(res, 200, { tags: Array.from(tags) });
 }
 
-function handleBloggers(req, res) {
+function handleBloggers(req, res, query) {
+  // с category считаются только посты этой категории, а каналы без таких постов не попадают в список
+  const category = typeof query.category === "string" && query.category.trim() ? query.category.trim() : null;
   const rows =
     db
       .prepare(
@@ -412,23 +593,498 @@ function handleBloggers(req, res) {
                COUNT(cm.message_id) AS p,
                AVG(cm.view_count) AS v
         FROM public_search ps
-        LEFT JOIN channel_messages cm ON cm.chat_id = ps.chat_id
+        ${category ? "JOIN" : "LEFT JOIN"} channel_messages cm ON cm.chat_id = ps.chat_id${category ? ` AND ${CATEGORY_SQL}` : ""}
         WHERE ps.active_username IS NOT NULL AND ps.active_username != ''
         GROUP BY ps.chat_id, ps.active_username, ps.member_count
         ORDER BY p DESC
       `
       )
-      .all() || [];
+      .all(...(category ? [category] : [])) || [];
+
+  // посты канала по категориям: chat_id -> { category: posts }
+  const categoryRows = db
+    .prepare(
+      `
+      SELECT chat_id, category, COUNT(*) AS posts
+      FROM post_categories
+      GROUP BY chat_id, category
+    `
+    )
+    .all();
+  const categoriesByChat = new Map();
+  for (const row of categoryRows) {
+    if (!categoriesByChat.has(row.chat_id)) categoriesByChat.set(row.chat_id, {});
+    categoriesByChat.get(row.chat_id)[row.category] = row.posts;
+  }
 
   const items = rows.map((r) => ({
     id: r.id,
     u: r.u,
     s: Number.isFinite(r.s) ? r.s : null,
     p: Number.isFinite(r.p) ? r.p : 0,
-    v: Number.isFinite(r.v) ? Math.round(r.v) : null
+    v: Number.isFinite(r.v) ? Math.round(r.v) : null,
+    c: categoriesByChat.get(r.id) || {}
   }));
 
-  return sendJson(res, 200, { items });
+  return sendJson(res, 200, { items, categories: listCategories() });
+}
+
+// категории таксономии (в её порядке) и встреченные в post_categories, с числом постов и каналов
+function listCategories() {
+  const stats = db
+    .prepare(
+      `
+      SELECT pc.category, COUNT(*) AS posts, COUNT(DISTINCT pc.chat_id) AS channels, AVG(cm.view_count) AS avg_views
+      FROM post_categories pc
+      LEFT JOIN channel_messages cm ON cm.chat_id = pc.chat_id AND cm.message_id = pc.message_id
+      GROUP BY pc.category
+    `
+    )
+    .all();
+  const byId = new Map(stats.map((row) => [row.category, row]));
+  const ids = TAXONOMY.map((c) => c.id);
+  for (const row of stats) {
+    if (!ids.includes(row.category)) ids.push(row.category);
+  }
+  return ids.map((id) => {
+    const row = byId.get(id);
+    return {
+      id,
+      title: categoryTitle(id),
+      posts: row?.posts || 0,
+      channels: row?.channels || 0,
+      avg_views: Number.isFinite(row?.avg_views) ? Math.round(row.avg_views) : null
+    };
+  });
+}
+
+function handleCategories(req, res) {
+  return sendJson(res, 200, { categories: listCategories() });
+}
+
+function handleAdvertisers(req, res, query) {
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  const limitRaw = Number(query.limit);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 5000) : 500;
+  const params = [];
+  let where = "";
+  if (q) {
+    where = "WHERE a.name LIKE ? OR a.inn = ? OR a.ogrn = ?";
+    params.push(`%${q}%`, q, q);
+  }
+  const rows =
+    db
+      .prepare(
+        `
+        SELECT a.advertiser_id, a.legal_form, a.name, a.inn, a.ogrn, a.first_seen_at, a.last_seen_at,
+               COUNT(ma.message_id) AS posts,
+               COUNT(DISTINCT ma.chat_id) AS channels
+        FROM advertisers a
+        LEFT JOIN message_advertisers ma ON ma.advertiser_id = a.advertiser_id
+        ${where}
+        GROUP BY a.advertiser_id
+        ORDER BY posts DESC
+        LIMIT ?
+      `
+      )
+      .all(...params, limit) || [];
+  return sendJson(res, 200, { items: rows });
+}
+
+function handleAdvertiserChannels(req, res, query) {
+  // Number("") — это 0: пустой advertiser_id не должен перебивать inn
+  const advertiserId =
+    typeof query.advertiser_id === "string" && query.advertiser_id.trim() ? Number(query.advertiser_id) : NaN;
+  const inn = typeof query.inn === "string" ? query.inn.trim() : "";
+  if (!Number.isFinite(advertiserId) && !inn) {
+    return sendJson(res, 400, { error: "advertiser_id or inn required" });
+  }
+  const advertiser = Number.isFinite(advertiserId)
+    ? db.prepare("SELECT * FROM advertisers WHERE advertiser_id = ? LIMIT 1").get(advertiserId)
+    : db.prepare("SELECT * FROM advertisers WHERE inn = ? ORDER BY advertiser_id LIMIT 1").get(inn);
+  if (!advertiser) return sendJson(res, 404, { error: "advertiser not found" });
+
+  const channels =
+    db
+      .prepare(
+        `
+        SELECT ma.chat_id,
+               ps.active_username AS username,
+               ps.title,
+               ps.member_count,
+               COUNT(ma.message_id) AS posts,
+               MIN(cm.message_date) AS first_post_date,
+               MAX(cm.message_date) AS last_post_date,
+               AVG(cm.view_count) AS avg_views
+        FROM message_advertisers ma
+        LEFT JOIN channel_messages cm ON cm.chat_id = ma.chat_id AND cm.message_id = ma.message_id
+        LEFT JOIN public_search ps ON ps.chat_id = ma.chat_id
+        WHERE ma.advertiser_id = ?
+        GROUP BY ma.chat_id
+        ORDER BY posts DESC
+      `
+      )
+      .all(advertiser.advertiser_id) || [];
+
+  const items = channels.map((r) => ({
+    ...r,
+    avg_views: Number.isFinite(r.avg_views) ? Math.round(r.avg_views) : null
+  }));
+  return sendJson(res, 200, { advertiser, channels: items });
+}
+
+function handleLinkDomains(req, res, query) {
+  const q = typeof query.q === "string" ? query.q.trim().toLowerCase() : "";
+  const limitRaw = Number(query.limit);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 5000) : 500;
+  // ссылки на t.me — это не посадочные страницы, по умолчанию их не показываем
+  const withTelegram = query.telegram === "true" || query.telegram === "1";
+  const conditions = ["pl.host IS NOT NULL"];
+  const params = [];
+  if (q) {
+    conditions.push("pl.host LIKE ?");
+    params.push(`%${q}%`);
+  }
+  if (!withTelegram) {
+    conditions.push(`pl.host NOT IN (${TELEGRAM_HOSTS.map(() => "?").join(", ")})`);
+    params.push(...TELEGRAM_HOSTS);
+  }
+  const rows =
+    db
+      .prepare(
+        `
+        SELECT host,
+               SUM(link_count) AS links,
+               COUNT(*) AS posts,
+               COUNT(DISTINCT chat_id) AS channels,
+               SUM(has_utm) AS posts_with_utm,
+               MIN(message_date) AS first_post_date,
+               MAX(message_date) AS last_post_date
+        FROM (
+          SELECT pl.host, pl.chat_id, pl.message_id, COUNT(*) AS link_count,
+                 MAX(COALESCE(pl.utm_source, pl.utm_medium, pl.utm_campaign, pl.utm_content, pl.utm_term) IS NOT NULL) AS has_utm,
+                 cm.message_date
+          FROM post_links pl
+          LEFT JOIN channel_messages cm ON cm.chat_id = pl.chat_id AND cm.message_id = pl.message_id
+          WHERE ${conditions.join(" AND ")}
+          GROUP BY pl.host, pl.chat_id, pl.message_id
+        )
+        GROUP BY host
+        ORDER BY posts DESC
+        LIMIT ?
+      `
+      )
+      .all(...params, limit) || [];
+  return sendJson(res, 200, { items: rows });
+}
+
+function handleLinkDomainPosts(req, res, query) {
+  const host = typeof query.host === "string" ? query.host.trim().toLowerCase().replace(/^www\./, "") : "";
+  if (!host) return sendJson(res, 400, { error: "host required" });
+  const limitRaw = Number(query.limit);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 5000) : 500;
+
+  const channels =
+    db
+      .prepare(
+        `
+        SELECT p.chat_id,
+               ps.active_username AS username,
+               ps.title,
+               ps.member_count,
+               COUNT(*) AS posts,
+               MIN(cm.message_date) AS first_post_date,
+               MAX(cm.message_date) AS last_post_date,
+               AVG(cm.view_count) AS avg_views
+        FROM (SELECT DISTINCT chat_id, message_id FROM post_links WHERE host = ?) p
+        LEFT JOIN channel_messages cm ON cm.chat_id = p.chat_id AND cm.message_id = p.message_id
+        LEFT JOIN public_search ps ON ps.chat_id = p.chat_id
+        GROUP BY p.chat_id
+        ORDER BY posts DESC
+      `
+      )
+      .all(host) || [];
+
+  const links =
+    db
+      .prepare(
+        `
+        SELECT pl.chat_id, pl.message_id, pl.source, pl.url, pl.path,
+               pl.utm_source, pl.utm_medium, pl.utm_campaign, pl.utm_content, pl.utm_term, pl.erid,
+               cm.message_link, cm.message_date, cm.view_count
+        FROM post_links pl
+        LEFT JOIN channel_messages cm ON cm.chat_id = pl.chat_id AND cm.message_id = pl.message_id
+        WHERE pl.host = ?
+        ORDER BY cm.message_date DESC, pl.chat_id, pl.message_id, pl.link_index
+        LIMIT ?
+      `
+      )
+      .all(host, limit) || [];
+
+  const posts = [];
+  const byKey = new Map();
+  for (const row of links) {
+    const key = metricsKey(row.chat_id, row.message_id);
+    if (!byKey.has(key)) {
+      const post = {
+        chat_id: row.chat_id,
+        message_id: row.message_id,
+        message_link: row.message_link,
+        message_date: row.message_date,
+        view_count: row.view_count,
+        links: []
+      };
+      byKey.set(key, post);
+      posts.push(post);
+    }
+    byKey.get(key).links.push({
+      source: row.source,
+      url: row.url,
+      path: row.path,
+      utm_source: row.utm_source,
+      utm_medium: row.utm_medium,
+      utm_campaign: row.utm_campaign,
+      utm_content: row.utm_content,
+      utm_term: row.utm_term,
+      erid: row.erid
+    });
+  }
+
+  const items = channels.map((r) => ({
+    ...r,
+    avg_views: Number.isFinite(r.avg_views) ? Math.round(r.avg_views) : null
+  }));
+  return sendJson(res, 200, { host, channels: items, posts });
+}
+
+/**
+ * Цепочка репостов поста: первоисточник (сам пост, если он не переслан) и все известные репосты
+ * первоисточника; `via_chat_id` — промежуточный канал, если TDLib его отдал.
+ */
+function handleReposts(req, res, query) {
+  const chatId = Number(query.chat_id);
+  const messageId = Number(query.message_id);
+  if (!Number.isFinite(chatId) || !Number.isFinite(messageId)) {
+    return sendJson(res, 400, { error: "chat_id and message_id are required" });
+  }
+
+  const forward =
+    db.prepare("SELECT * FROM post_forwards WHERE chat_id = ? AND message_id = ?").get(chatId, messageId) || null;
+  if (forward && (!Number.isFinite(forward.origin_chat_id) || !Number.isFinite(forward.origin_message_id))) {
+    // переслано от пользователя/чата без message_id — цепочку по первоисточнику не собрать
+    return sendJson(res, 200, { chat_id: chatId, message_id: messageId, forward, origin: null, reposts: [] });
+  }
+  const originChatId = forward ? forward.origin_chat_id : chatId;
+  const originMessageId = forward ? forward.origin_message_id : messageId;
+
+  const origin =
+    db
+      .prepare(
+        `
+        SELECT ? AS chat_id, ? AS message_id,
+               ps.active_username AS username, ps.title,
+               cm.message_link, cm.message_date, cm.view_count, cm.forward_count,
+               cm.message_id IS NOT NULL AS stored
+        FROM (SELECT 1)
+        LEFT JOIN public_search ps ON ps.chat_id = ?
+        LEFT JOIN channel_messages cm ON cm.chat_id = ? AND cm.message_id = ?
+      `
+      )
+      .get(originChatId, originMessageId, originChatId, originChatId, originMessageId) || null;
+  if (origin && !origin.message_date && forward) origin.message_date = forward.origin_date;
+
+  const reposts =
+    db
+      .prepare(
+        `
+        SELECT pf.chat_id, pf.message_id, pf.author_signature,
+               CASE WHEN pf.from_chat_id IS NOT NULL AND pf.from_chat_id <> pf.origin_chat_id THEN pf.from_chat_id END AS via_chat_id,
+               ps.active_username AS username, ps.title, ps.member_count,
+               cm.message_link, cm.message_date, cm.view_count
+        FROM post_forwards pf
+        LEFT JOIN public_search ps ON ps.chat_id = pf.chat_id
+        LEFT JOIN channel_messages cm ON cm.chat_id = pf.chat_id AND cm.message_id = pf.message_id
+        WHERE pf.origin_chat_id = ? AND pf.origin_message_id = ?
+        ORDER BY cm.message_date ASC, pf.chat_id
+      `
+      )
+      .all(originChatId, originMessageId) || [];
+
+  return sendJson(res, 200, { chat_id: chatId, message_id: messageId, forward, origin, reposts });
+}
+
+/**
+ * Репосты по каналу: чьи посты канал пересылает (`reposted_from`) и кто пересылает его посты (`reposted_by`).
+ */
+function handleChannelReposts(req, res, query) {
+  const chatId = Number(query.chat_id);
+  if (!Number.isFinite(chatId)) return sendJson(res, 400, { error: "chat_id required" });
+
+  const repostedFrom =
+    db
+      .prepare(
+        `
+        SELECT pf.origin_chat_id AS chat_id, ps.active_username AS username, ps.title, ps.member_count,
+               COUNT(*) AS posts, MIN(pf.origin_date) AS first_origin_date, MAX(pf.origin_date) AS last_origin_date
+        FROM post_forwards pf
+        LEFT JOIN public_search ps ON ps.chat_id = pf.origin_chat_id
+        WHERE pf.chat_id = ? AND pf.origin_chat_id IS NOT NULL
+        GROUP BY pf.origin_chat_id
+        ORDER BY posts DESC
+      `
+      )
+      .all(chatId) || [];
+
+  const repostedBy =
+    db
+      .prepare(
+        `
+        SELECT pf.chat_id, ps.active_username AS username, ps.title, ps.member_count,
+               COUNT(*) AS posts, COUNT(DISTINCT pf.origin_message_id) AS origin_posts,
+               AVG(cm.view_count) AS avg_views
+        FROM post_forwards pf
+        LEFT JOIN public_search ps ON ps.chat_id = pf.chat_id
+        LEFT JOIN channel_messages cm ON cm.chat_id = pf.chat_id AND cm.message_id = pf.message_id
+        WHERE pf.origin_chat_id = ? AND pf.chat_id <> pf.origin_chat_id
+        GROUP BY pf.chat_id
+        ORDER BY posts DESC
+      `
+      )
+      .all(chatId) || [];
+
+  return sendJson(res, 200, {
+    chat_id: chatId,
+    reposted_from: repostedFrom,
+    reposted_by: repostedBy.map((r) => ({
+      ...r,
+      avg_views: Number.isFinite(r.avg_views) ? Math.round(r.avg_views) : null
+    }))
+  });
+}
+
+function handleSimilarChannels(req, res, query) {
+  const chatId = Number(query.chat_id);
+  if (!Number.isFinite(chatId)) return sendJson(res, 400, { error: "chat_id required" });
+
+  const discovered =
+    db
+      .prepare(
+        `
+        SELECT dc.via_chat_id, ps.active_username AS via_username, ps.title AS via_title, dc.depth, dc.discovered_at
+        FROM discovered_channels dc
+        LEFT JOIN public_search ps ON ps.chat_id = dc.via_chat_id
+        WHERE dc.chat_id = ?
+      `
+      )
+      .get(chatId) || null;
+
+  const crawl =
+    db
+      .prepare("SELECT total_count, similar_count, last_crawled_at, last_error FROM similar_crawl WHERE chat_id = ?")
+      .get(chatId) || null;
+
+  const similar =
+    db
+      .prepare(
+        `
+        SELECT cs.similar_chat_id AS chat_id, ps.active_username AS username, ps.title, ps.member_count,
+               cs.position, cs.first_seen_at, cs.last_seen_at,
+               (SELECT COUNT(*) FROM channel_messages cm WHERE cm.chat_id = cs.similar_chat_id) AS posts
+        FROM channel_similar cs
+        LEFT JOIN public_search ps ON ps.chat_id = cs.similar_chat_id
+        WHERE cs.chat_id = ?
+        ORDER BY cs.last_seen_at DESC, cs.position
+      `
+      )
+      .all(chatId) || [];
+
+  const recommendedBy =
+    db
+      .prepare(
+        `
+        SELECT cs.chat_id, ps.active_username AS username, ps.title, ps.member_count, cs.position, cs.last_seen_at
+        FROM channel_similar cs
+        LEFT JOIN public_search ps ON ps.chat_id = cs.chat_id
+        WHERE cs.similar_chat_id = ?
+        ORDER BY cs.position, cs.last_seen_at DESC
+      `
+      )
+      .all(chatId) || [];
+
+  return sendJson(res, 200, {
+    chat_id: chatId,
+    discovered,
+    crawl,
+    similar,
+    recommended_by: recommendedBy
+  });
+}
+
+/**
+ * Run'ы сканера с итогом и счётчиками, новые сверху. Фильтры: status, account, query (точное совпадение),
+ * since/until — started_at в формате `YYYY-MM-DD[ HH:MM:SS]` (UTC). summary — итоги по отфильтрованным run'ам.
+ */
+function handleRuns(req, res, query) {
+  const limitRaw = Number(query.limit);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(limitRaw, 1000) : 100;
+  const offsetRaw = Number(query.offset);
+  const offset = Number.isFinite(offsetRaw) && offsetRaw > 0 ? Math.floor(offsetRaw) : 0;
+  const conditions = [];
+  const params = [];
+  if (typeof query.status === "string" && query.status && RUN_COLUMNS.has("status")) {
+    conditions.push("status = ?");
+    params.push(query.status);
+  }
+  if (typeof query.account === "string" && query.account) {
+    conditions.push("account_name = ?");
+    params.push(query.account);
+  }
+  if (typeof query.query === "string" && query.query && RUN_COLUMNS.has("query")) {
+    conditions.push("query = ?");
+    params.push(query.query);
+  }
+  if (typeof query.since === "string" && query.since) {
+    conditions.push("started_at >= ?");
+    params.push(query.since);
+  }
+  if (typeof query.until === "string" && query.until) {
+    conditions.push("started_at <= ?");
+    params.push(query.until);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const items = db
+    .prepare(`SELECT ${RUN_SELECT} FROM runs ${where} ORDER BY run_id DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, offset)
+    .map((row) => ({ ...row, resumable: Boolean(row.resumable) }));
+
+  const sum = (col) => (RUN_COLUMNS.has(col) ? `COALESCE(SUM(${col}), 0)` : "0");
+  const summary = db
+    .prepare(
+      `
+      SELECT COUNT(*) AS runs, ${sum("pages")} AS pages, ${sum("messages")} AS messages,
+             ${sum("new_posts")} AS new_posts, ${sum("new_channels")} AS new_channels,
+             ${sum("stars_spent")} AS stars_spent, ${sum("duration_ms")} AS duration_ms
+      FROM runs ${where}
+    `
+    )
+    .get(...params);
+  const byStatus = {};
+  if (RUN_COLUMNS.has("status")) {
+    for (const row of db
+      .prepare(`SELECT COALESCE(status, 'unknown') AS status, COUNT(*) AS runs FROM runs ${where} GROUP BY 1`)
+      .all(...params)) {
+      byStatus[row.status] = row.runs;
+    }
+  }
+
+  return sendJson(res, 200, {
+    items,
+    total: summary?.runs || 0,
+    limit,
+    offset,
+    summary: { ...summary, by_status: byStatus }
+  });
 }
 
 function handleChannelItems(req, res, query) {
@@ -475,7 +1131,7 @@ async function handleDbStats(req, res) {
     const stats = await collectDbStats();
     return sendJson(res, 200, stats);
   } catch (err) {
-    console.error("db stats failed", err);
+    log.error("db stats failed", { error: err });
     return sendJson(res, 500, { error: err.message || "db stats failed" });
   }
 }
@@ -678,8 +1334,48 @@ function collectLabelData(rows, labelerFilter) {
   return HAS_MESSAGE_LABELS ? collectLabelsFromMessageLabels(rows, labelerFilter) : collectLabelsFromFlags(rows);
 }
 
+// категории постов выборки: "chat_id:message_id" -> [category] по убыванию score
+function collectCategories(rows) {
+  const map = new Map();
+  if (!rows.length) return map;
+  const categoryRows = withTempIds(
+    rows.map((r) => ({ chat_id: r.chat_id, message_id: r.message_id })),
+    (table) =>
+      db
+        .prepare(
+          `
+        SELECT pc.chat_id, pc.message_id, pc.category
+        FROM post_categories pc
+        JOIN ${table} t ON t.chat_id = pc.chat_id AND t.message_id = pc.message_id
+        ORDER BY pc.score DESC, pc.category
+      `
+        )
+        .all()
+  );
+  for (const row of categoryRows) {
+    const key = `${row.chat_id}:${row.message_id}`;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row.category);
+  }
+  return map;
+}
+
+// агрегат по категориям для строк с полем categories
+function countCategories(items) {
+  const counts = new Map();
+  for (const item of items) {
+    for (const category of item.categories || []) {
+      const entry = counts.get(category) || { category, title: categoryTitle(category), posts: 0, views: 0 };
+      entry.posts += 1;
+      entry.views += Number.isFinite(item.view_count) ? item.view_count : 0;
+      counts.set(category, entry);
+    }
+  }
+  return Array.from(counts.values()).sort((a, b) => b.posts - a.posts);
+}
+
 async function fetchMessagesForSet(options) {
-  const { ids, minViews, maxViews, fromDate, toDate, limit, minPoints } = options;
+  const { ids, minViews, maxViews, fromDate, toDate, limit, minPoints, hasErid, eridToken, category } = options;
   const useMinPoints = Number.isFinite(minPoints) && minPoints > 0;
   let rows = [];
   let total = 0;
@@ -703,7 +1399,18 @@ async function fetchMessagesForSet(options) {
         conditions.push("cm.message_date <= ?");
         params.push(toDate);
       }
-      // minPoints handled via ClickHouse
+      if (hasErid !== null && hasErid !== undefined) {
+        conditions.push(hasErid ? HAS_ERID_SQL : `NOT ${HAS_ERID_SQL}`);
+      }
+      if (eridToken) {
+        conditions.push(ERID_TOKEN_SQL);
+        params.push(eridToken);
+      }
+      if (category) {
+        conditions.push(CATEGORY_SQL);
+        params.push(category);
+      }
+      // minPoints handled via metrics store
       const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
       const limitClause = Number.isFinite(limit) && limit > 0 ? `LIMIT ${limit}` : "";
       const baseSql = `
@@ -731,7 +1438,7 @@ async function fetchMessagesForSet(options) {
     try {
       counts = await fetchMetricsCounts(ids);
     } catch (err) {
-      console.error("ClickHouse points fetch failed", err);
+      log.error("metrics points fetch failed", { error: err });
       return { rows: [], total: 0 };
     }
     rows = rows.filter((row) => (counts.get(metricsKey(row.chat_id, row.message_id)) || 0) >= minPoints);
@@ -760,10 +1467,22 @@ async function fetchMessagesForSet(options) {
     conditions.push("cm.message_date <= ?");
     params.push(toDate);
   }
+  if (hasErid !== null && hasErid !== undefined) {
+    conditions.push(hasErid ? HAS_ERID_SQL : `NOT ${HAS_ERID_SQL}`);
+  }
+  if (eridToken) {
+    conditions.push(ERID_TOKEN_SQL);
+    params.push(eridToken);
+  }
+  if (category) {
+    conditions.push(CATEGORY_SQL);
+    params.push(category);
+  }
   if (Number.isFinite(minPoints)) {
-    // minPoints now handled via ClickHouse
+    // minPoints now handled via metrics store
   }
   const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const whereParams = params.slice();
   const limitClause = Number.isFinite(limit) && limit > 0 ? "LIMIT ?" : "";
   if (limitClause) params.push(limit);
 
@@ -787,7 +1506,7 @@ async function fetchMessagesForSet(options) {
       ${where}
     `
     )
-    .get(...(conditions.length ? params.slice(0, conditions.length) : []));
+    .get(...whereParams);
 
   total = totalRow?.cnt || 0;
   if (!useMinPoints) return { rows, total };
@@ -796,13 +1515,13 @@ async function fetchMessagesForSet(options) {
   try {
     countsForRows = await fetchMetricsCounts(rows);
   } catch (err) {
-    console.error("ClickHouse points fetch failed", err);
+    log.error("metrics points fetch failed", { error: err });
     return { rows: [], total: 0 };
   }
   rows = rows.filter((row) => (countsForRows.get(metricsKey(row.chat_id, row.message_id)) || 0) >= minPoints);
 
   if (total > MINPOINTS_SCAN_LIMIT) {
-    console.warn(`minPoints scan capped at ${MINPOINTS_SCAN_LIMIT} rows`);
+    log.warn("minPoints scan capped", { limit: MINPOINTS_SCAN_LIMIT, total });
     return { rows, total: rows.length };
   }
 
@@ -814,12 +1533,12 @@ async function fetchMessagesForSet(options) {
       ${where}
     `
     )
-    .all(...(conditions.length ? params.slice(0, conditions.length) : []));
+    .all(...whereParams);
   let countsAll;
   try {
     countsAll = await fetchMetricsCounts(allIds);
   } catch (err) {
-    console.error("ClickHouse points fetch failed", err);
+    log.error("metrics points fetch failed", { error: err });
     return { rows, total: rows.length };
   }
   total = allIds.reduce((acc, row) => {
@@ -840,17 +1559,32 @@ async function buildListResult(body) {
   const sortPattern = (body.sort_pattern || "").trim() || null;
   const labelerFilter = (body.labeler || "").trim() || null;
   const minPoints = Number(body.min_points);
+  const hasErid = boolOrNull(body.has_erid);
+  const eridToken = typeof body.erid === "string" && body.erid.trim() ? body.erid.trim() : null;
+  const category = typeof body.category === "string" && body.category.trim() ? body.category.trim() : null;
 
   if (ids.length > 5000) {
     throw new Error("ids length must be <= 5000");
   }
 
-  const { rows, total } = await fetchMessagesForSet({ ids, minViews, maxViews, fromDate, toDate, limit, minPoints });
+  const { rows, total } = await fetchMessagesForSet({
+    ids,
+    minViews,
+    maxViews,
+    fromDate,
+    toDate,
+    limit,
+    minPoints,
+    hasErid,
+    eridToken,
+    category
+  });
   if (!rows || rows.length === 0) {
-    return { items: [], total: 0 };
+    return { items: [], total: 0, categories: [] };
   }
 
   const { patternScoresMap, autoLabelMap, manualLabelMap, manualFlagsMap } = collectLabelData(rows, labelerFilter);
+  const categoriesMap = collectCategories(rows);
 
   const items = rows.map((row) => {
     const key = `${row.chat_id}:${row.message_id}`;
@@ -864,7 +1598,8 @@ async function buildListResult(body) {
       auto: patternScores,
       manual: manualFlags,
       auto_label: autoLabel || null,
-      manual_label: manualLabel || null
+      manual_label: manualLabel || null,
+      categories: categoriesMap.get(key) || []
     };
   });
 
@@ -877,7 +1612,7 @@ async function buildListResult(body) {
     });
   }
 
-  return { items, total };
+  return { items, total, categories: countCategories(items) };
 }
 
 async function handleList(req, res, body) {
@@ -885,22 +1620,32 @@ async function handleList(req, res, body) {
     const result = await buildListResult(body);
     return sendJson(res, 200, result);
   } catch (err) {
-    console.error("handleList error", err);
+    log.error("handleList error", { error: err });
     return sendJson(res, 500, { error: err.message || "List failed" });
   }
 }
 const server = http.createServer(async (req, res) => {
   const { pathname, query } = url.parse(req.url, true);
+  const startedAt = Date.now();
+  res.on("finish", () => {
+    log.debug("request", { method: req.method, path: pathname, status: res.statusCode, ms: Date.now() - startedAt });
+  });
   try {
     if (pathname === "/api/message" && req.method === "GET") {
       return await handleMetrics(req, res, query);
     }
+    if (pathname === "/api/channel-metrics" && req.method === "GET") {
+      return await handleChannelMetrics(req, res, query);
+    }
     if (pathname === "/api/labels" && req.method === "GET") {
       return handleLabels(req, res, query);
     }
     if (pathname === "/api/label" && req.method === "POST") {
       return handleLabelPost(req, res);
     }
+    if (pathname === "/api/categories" && req.method === "GET") {
+      return handleCategories(req, res);
+    }
     if (pathname === "/api/pattern-tags" && req.method === "GET") {
       return handlePatternTags(req, res);
     }
@@ -908,7 +1653,31 @@ const server = http.createServer(async (req, res) => {
       return handleDbStats(req, res);
     }
     if (pathname === "/api/bloggers" && req.method === "GET") {
-      return handleBloggers(req, res);
+      return handleBloggers(req, res, query);
+    }
+    if (pathname === "/api/advertisers" && req.method === "GET") {
+      return handleAdvertisers(req, res, query);
+    }
+    if (pathname === "/api/advertiser-channels" && req.method === "GET") {
+      return handleAdvertiserChannels(req, res, query);
+    }
+    if (pathname === "/api/link-domains" && req.method === "GET") {
+      return handleLinkDomains(req, res, query);
+    }
+    if (pathname === "/api/link-domain-posts" && req.method === "GET") {
+      return handleLinkDomainPosts(req, res, query);
+    }
+    if (pathname === "/api/reposts" && req.method === "GET") {
+      return handleReposts(req, res, query);
+    }
+    if (pathname === "/api/similar-channels" && req.method === "GET") {
+      return handleSimilarChannels(req, res, query);
+    }
+    if (pathname === "/api/channel-reposts" && req.method === "GET") {
+      return handleChannelReposts(req, res, query);
+    }
+    if (pathname === "/api/runs" && req.method === "GET") {
+      return handleRuns(req, res, query);
     }
     if (pathname === "/api/channel-items" && req.method === "GET") {
       return handleChannelItems(req, res, query);
@@ -923,13 +1692,19 @@ const server = http.createServer(async (req, res) => {
     }
     return serveStatic(req, res, pathname || "/");
   } catch (err) {
-    console.error("Request error", err);
+    log.error("request error", { method: req.method, path: pathname, error: err, stack: err?.stack });
     res.writeHead(500);
     res.end("Server error");
   }
 });
 
 server.listen(PORT, () => {
-  console.log(`Metrics visualize server at http://localhost:${PORT}`);
-  console.log(`DB: ${DB_PATH}`);
+  log.info("metrics visualize server started", {
+    url: `http://localhost:${PORT}`,
+    db: DB_PATH,
+    metrics_store: metricsStore.backend
+  });
+  ensureMetricsStore().catch((err) => {
+    log.warn("хранилище метрик недоступно, метрики отвечают 502 до его восстановления", { error: err });
+  });
 });
@@ -67,11 +67,13 @@ CREATE TABLE IF NOT EXISTS ${CH_TABLE} (
   reply_count Nullable(UInt32),
   reactions_total Nullable(UInt32),
   reactions_paid Nullable(UInt32),
-  reactions_free Nullable(UInt32)
+  reactions_free Nullable(UInt32),
+  source LowCardinality(String) DEFAULT 'search'
 )
 ENGINE = MergeTree
 PARTITION BY toDate(ts)
 ORDER BY (chat_id, message_id, ts, run_id)
+SETTINGS non_replicated_deduplication_window = 1000
 "
 
 SQLITE_QUERY=$(cat <<'SQL'
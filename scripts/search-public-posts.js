@@ -1,7 +1,7 @@
 "use strict";
 
 /**
- * Выполняет searchPublicPosts с заданным запросом:
+ * Выполняет searchPublicPosts по списку запросов (ротация по весам между run'ами):
  * - собирает все страницы и пишет ссылки на посты в текстовый файл;
  * - складывает все прилетевшие чатовые апдейты (chat/supergroup/full info) и сообщения в одну SQLite-таблицу.
  */
@@ -10,6 +10,32 @@ const fs = require("node:fs/promises");
 const path = require("node:path");
 const { DatabaseSync } = require("node:sqlite");
 const { createClickhouseClient } = require("../clickhouse");
+const { createClickhouseSpool } = require("../clickhouse-spool");
+const {
+  MESSAGE_METRICS,
+  CHANNEL_METRICS,
+  DEFAULT_BACKEND: DEFAULT_METRICS_STORE,
+  createMetricsStore
+} = require("../metrics-store");
+const { readQueries, createQueryScheduler } = require("../search-queries");
+const { extractEridTokens, createAdMarkingsStore } = require("../ad-markings");
+const { parseAdDisclaimer, createAdvertisersStore } = require("../advertisers");
+const { normalizeAlbumId, createAlbumsStore } = require("../albums");
+const { createMediaStore, downloadThumbnail } = require("../media-metadata");
+const { getFormattedText, toMarkdown, toHtml, createEntitiesStore } = require("../text-format");
+const { extractLinks, createPostLinksStore } = require("../post-links");
+const { loadTaxonomy, createPostCategoriesStore } = require("../ad-categories");
+const { extractForwardOrigin, createForwardsStore } = require("../forwards");
+const { createMessageVersionsStore } = require("../message-versions");
+const { DEFAULT_SCHEDULE: DEFAULT_TRACKER_SCHEDULE, createMetricsTracker } = require("../metrics-tracker");
+const { createHistoryCrawler } = require("../history-crawler");
+const { createSimilarChannelsCrawler } = require("../similar-channels");
+const { DEFAULT_STRATEGY: DEFAULT_ACCOUNT_STRATEGY, createAccountPool } = require("../account-pool");
+const { createStarBudget } = require("../star-budget");
+const { createScannerMetrics, startMetricsServer } = require("../scanner-metrics");
+const { isReplayEnd, createRecorder, createReplaySource } = require("../tdlib-recorder");
+const { parseFloodWait, isRateLimitStopped, createRateLimiter } = require("../rate-limiter");
+const { createLogger } = require("../logger");
 const {
   createClientWithDirs,
   login,
@@ -19,37 +45,90 @@ const {
 const {
   PUBLIC_SEARCH_DB_PATH,
   PUBLIC_SEARCH_ACCOUNTS_CONFIG,
+  PUBLIC_SEARCH_QUERIES_CONFIG,
+  AD_CATEGORIES_CONFIG,
   TDLIB_DATABASE_DIR,
-  TDLIB_FILES_DIR
+  TDLIB_FILES_DIR,
+  CLICKHOUSE_SPOOL_DIR
 } = require("../config/paths");
 
 const MAX_LIMIT = 100;
 const DEFAULT_LIMIT = Number(process.env.PUBLIC_SEARCH_LIMIT || MAX_LIMIT);
 const DEFAULT_DELAY_MS = Number(process.env.PUBLIC_SEARCH_DELAY_MS || 500);
 const DEFAULT_PERIOD_MS = Number(process.env.PUBLIC_SEARCH_PERIOD_MS || 1 * 1000);
+// ограничитель частоты вызовов TDLib (FLOOD_WAIT, сетевые ошибки), см. rate-limiter.js
+const TDLIB_RATE_LIMIT = {
+  minIntervalMs: Number(process.env.TDLIB_MIN_INTERVAL_MS || 0),
+  maxIntervalMs: Number(process.env.TDLIB_MAX_INTERVAL_MS || 60 * 1000),
+  maxRetries: Number.isFinite(Number(process.env.TDLIB_RETRY_MAX)) ? Number(process.env.TDLIB_RETRY_MAX) : 3,
+  maxFloodWaitMs: Number(process.env.TDLIB_FLOOD_WAIT_MAX_MS || 5 * 60 * 1000),
+  retryBaseMs: Number(process.env.TDLIB_RETRY_BASE_MS || 1000)
+};
+// HTTP /metrics для Prometheus; без порта сервер не поднимается
+const METRICS_PORT = Number(process.env.PUBLIC_SEARCH_METRICS_PORT || 0);
+const METRICS_HOST = process.env.PUBLIC_SEARCH_METRICS_HOST || "127.0.0.1";
+// запись всех invoke/update TDLib в NDJSON и воспроизведение такой записи без сети и логина
+const RECORD_PATH = process.env.PUBLIC_SEARCH_RECORD || null;
+const REPLAY_PATH = process.env.PUBLIC_SEARCH_REPLAY || null;
+// превью медиа найденных постов докачиваются только по явному флагу (файлы — в files_directory аккаунта)
+const DOWNLOAD_THUMBNAILS = process.env.PUBLIC_SEARCH_DOWNLOAD_THUMBNAILS === "1";
 const MESSAGE_ID_SHIFT = 20;
 const MESSAGE_ID_MULTIPLIER = 1 << MESSAGE_ID_SHIFT;
 const DEFAULT_DB_PATH = PUBLIC_SEARCH_DB_PATH;
 const DEFAULT_QUERY =
   process.env.PUBLIC_SEARCH_QUERY || "erid";
 const ACCOUNTS_CONFIG_PATH = PUBLIC_SEARCH_ACCOUNTS_CONFIG;
+const QUERIES_CONFIG_PATH = PUBLIC_SEARCH_QUERIES_CONFIG;
+// стратегии выбора аккаунта: round-robin | most-remaining-free | cheapest-stars | least-recently-used
+const ACCOUNT_STRATEGY = process.env.PUBLIC_SEARCH_ACCOUNT_STRATEGY || DEFAULT_ACCOUNT_STRATEGY;
+const STAR_ACCOUNT_STRATEGY = process.env.PUBLIC_SEARCH_STAR_ACCOUNT_STRATEGY || DEFAULT_ACCOUNT_STRATEGY;
 const STAR_SPEND = Number.isFinite(Number(process.env.PUBLIC_SEARCH_STAR_SPEND))
   ? Number(process.env.PUBLIC_SEARCH_STAR_SPEND)
   : 10;
+// лимиты трат звёзд на все аккаунты вместе (пусто — без ограничения), сутки/неделя/месяц по UTC
+const STAR_BUDGET = {
+  daily: process.env.PUBLIC_SEARCH_STAR_BUDGET_DAILY,
+  weekly: process.env.PUBLIC_SEARCH_STAR_BUDGET_WEEKLY,
+  monthly: process.env.PUBLIC_SEARCH_STAR_BUDGET_MONTHLY
+};
 const CLICKHOUSE_METRICS_TABLE = process.env.CLICKHOUSE_METRICS_TABLE || "message_metrics";
 const CLICKHOUSE_INSERT_CHUNK = Number(process.env.CLICKHOUSE_INSERT_CHUNK || 5000);
-const METRICS_COLUMNS = [
-  "run_id",
-  "chat_id",
-  "message_id",
-  "ts",
-  "view_count",
-  "forward_count",
-  "reply_count",
-  "reactions_total",
-  "reactions_paid",
-  "reactions_free"
-];
+const CLICKHOUSE_SPOOL_RETRY_MS = Number(process.env.CLICKHOUSE_SPOOL_RETRY_MS || 30 * 1000);
+// предел размера спула; 0 — без предела
+const CLICKHOUSE_SPOOL_MAX_BYTES = Number.isFinite(Number(process.env.CLICKHOUSE_SPOOL_MAX_MB))
+  ? Number(process.env.CLICKHOUSE_SPOOL_MAX_MB) * 1024 * 1024
+  : 1024 * 1024 * 1024;
+const CLICKHOUSE_CHANNEL_METRICS_TABLE = process.env.CLICKHOUSE_CHANNEL_METRICS_TABLE || "channel_metrics";
+// где хранить временные ряды метрик: clickhouse (через спул) или sqlite (в той же базе, что и посты)
+const METRICS_STORE = process.env.METRICS_STORE || DEFAULT_METRICS_STORE;
+// одинаковые значения по каналу пишем не чаще этого интервала, изменения — сразу
+const CHANNEL_METRICS_MIN_INTERVAL_MS = Number(process.env.CHANNEL_METRICS_MIN_INTERVAL_MS || 60 * 60 * 1000);
+// откуда взялась точка метрик: выдача поиска, апдейт TDLib или перечитывание трекером
+const METRICS_SOURCE_SEARCH = "search";
+const METRICS_SOURCE_UPDATE = "update";
+const METRICS_SOURCE_TRACKER = "tracker";
+const METRICS_SOURCE_HISTORY = "history";
+const TRACKER_ENABLED = process.env.METRICS_TRACKER_ENABLED !== "0";
+const TRACKER_INTERVAL_MS = Number(process.env.METRICS_TRACKER_INTERVAL_MS || 60 * 1000);
+const TRACKER_BATCH = Number(process.env.METRICS_TRACKER_BATCH || 200);
+const TRACKER_SCHEDULE = process.env.METRICS_TRACKER_SCHEDULE || DEFAULT_TRACKER_SCHEDULE;
+const HISTORY_CRAWL_ENABLED = process.env.HISTORY_CRAWL_ENABLED === "1";
+const HISTORY_CRAWL_DAYS = Number(process.env.HISTORY_CRAWL_DAYS || 30);
+const HISTORY_CRAWL_INTERVAL_MS = Number(process.env.HISTORY_CRAWL_INTERVAL_MS || 60 * 1000);
+const HISTORY_CRAWL_CHANNELS = Number(process.env.HISTORY_CRAWL_CHANNELS || 5);
+const HISTORY_CRAWL_PAGES = Number(process.env.HISTORY_CRAWL_PAGES || 20);
+const HISTORY_CRAWL_PAGE_DELAY_MS = Number(process.env.HISTORY_CRAWL_PAGE_DELAY_MS || 1000);
+const HISTORY_CRAWL_RECRAWL_HOURS = Number(process.env.HISTORY_CRAWL_RECRAWL_HOURS || 24);
+const SIMILAR_CHANNELS_ENABLED = process.env.SIMILAR_CHANNELS_ENABLED === "1";
+const SIMILAR_CHANNELS_DEPTH = Number(process.env.SIMILAR_CHANNELS_DEPTH || 1);
+const SIMILAR_CHANNELS_INTERVAL_MS = Number(process.env.SIMILAR_CHANNELS_INTERVAL_MS || 5 * 60 * 1000);
+const SIMILAR_CHANNELS_PER_TICK = Number(process.env.SIMILAR_CHANNELS_PER_TICK || 10);
+const SIMILAR_CHANNELS_RECRAWL_HOURS = Number(process.env.SIMILAR_CHANNELS_RECRAWL_HOURS || 7 * 24);
+
+// прерванный run (рестарт юнита, падение) продолжаем с сохранённого next_offset, если он не старше этого
+const RESUME_MAX_AGE_MS = Number.isFinite(Number(process.env.PUBLIC_SEARCH_RESUME_MAX_AGE_MS))
+  ? Number(process.env.PUBLIC_SEARCH_RESUME_MAX_AGE_MS)
+  : 30 * 60 * 1000;
 
 const DEFAULT_DAILY_FREE = Number.isFinite(Number(process.env.PUBLIC_SEARCH_DEFAULT_DAILY_FREE))
   ? Number(process.env.PUBLIC_SEARCH_DEFAULT_DAILY_FREE)
@@ -58,14 +137,19 @@ const DEFAULT_DAILY_FREE = Number.isFinite(Number(process.env.PUBLIC_SEARCH_DEFA
 const chatUsernames = new Map(); // chat_id -> username|null
 const chatFetches = new Map(); // chat_id -> Promise<void>
 const metricsBuffer = new Map(); // `${chat_id}:${message_id}` -> metrics row
+const channelMetricsBuffer = []; // channel_metrics rows
+const lastChannelSnapshots = new Map(); // chat_id -> { values, at }
 let shuttingDown = false;
 let runNumber = 0;
-let currentAccount = null;
 let cancelSleep = null;
 let currentRunId = null;
+let replaying = false;
 const allowedMessages = new Map(); // chat_id -> Set(message_id)
-const albumKeeper = new Map(); // `${chat_id}:${album_id}` -> message_id
-let clickhouse = null;
+const messageRefetches = new Set(); // `${chat_id}:${message_id}` — getMessage после правки уже в пути
+let metricsStore = null;
+let clickhouseSpool = null;
+const scannerMetrics = createScannerMetrics();
+const log = createLogger("scanner");
 
 function boolToInt(value) {
   return typeof value === "boolean" ? (value ? 1 : 0) : null;
@@ -99,55 +183,6 @@ function getRemainingFree(limits) {
   return Number.isFinite(val) ? val : 0;
 }
 
-function isFreeReady(account) {
-  if (!account) return false;
-  if (Number.isFinite(account.remaining_free) && account.remaining_free > 0) return true;
-  const freeAt = account.free_at ? Date.parse(account.free_at) : NaN;
-  return Number.isFinite(freeAt) && freeAt <= Date.now();
-}
-
-function freeAtMs(account) {
-  const freeAt = account?.free_at ? Date.parse(account.free_at) : NaN;
-  return Number.isFinite(freeAt) ? freeAt : null;
-}
-
-function findNextFreeAccountIndex(accounts, fromIndex) {
-  const total = accounts.length;
-  if (total === 0) return null;
-  for (let step = 0; step < total; step += 1) {
-    const idx = (fromIndex + step) % total;
-    if (isFreeReady(accounts[idx])) {
-      return idx;
-    }
-  }
-  return null;
-}
-
-function findStarAccountIndex(accounts, minCost) {
-  for (let i = 0; i < accounts.length; i += 1) {
-    const acc = accounts[i];
-    if (acc?.skip_stars) continue;
-    const cost = Number.isFinite(acc?.star_cost_per_query) ? acc.star_cost_per_query : null;
-    const balance = Number.isFinite(acc?.star_balance) ? acc.star_balance : null;
-    if (cost !== null && cost >= minCost && balance !== null && balance > 0) {
-      return i;
-    }
-  }
-  return null;
-}
-
-function nextFreeTimestamp(accounts) {
-  const now = Date.now();
-  let ts = null;
-  for (const acc of accounts) {
-    const freeTs = freeAtMs(acc);
-    if (freeTs && freeTs > now && (ts === null || freeTs < ts)) {
-      ts = freeTs;
-    }
-  }
-  return ts;
-}
-
 function sanitizeAccount(acc) {
   if (!acc) return null;
   const hasLastLimits = acc.last_limits && typeof acc.last_limits === "object";
@@ -201,7 +236,12 @@ function sanitizeAccount(acc) {
     free_at: freeAt,
     star_cost_per_query: Number.isFinite(starCost) ? starCost : null,
     skip_stars: Boolean(acc.skip_stars),
-    star_balance: Number.isFinite(acc.star_balance) ? acc.star_balance : null
+    disabled: Boolean(acc.disabled),
+    star_balance: Number.isFinite(acc.star_balance) ? acc.star_balance : null,
+    last_used_at: acc.last_used_at || null,
+    star_budget_daily: Number.isFinite(acc.star_budget_daily) ? acc.star_budget_daily : null,
+    star_budget_weekly: Number.isFinite(acc.star_budget_weekly) ? acc.star_budget_weekly : null,
+    star_budget_monthly: Number.isFinite(acc.star_budget_monthly) ? acc.star_budget_monthly : null
   };
 }
 
@@ -229,23 +269,19 @@ function aggregateReactions(interactionInfo) {
   return { total: paid + free, paid, free };
 }
 
-function extractPlainText(message) {
-  const content = message?.content;
-  if (!content) return null;
-  if (content.text?.text) return content.text.text;
-  if (content.caption?.text) return content.caption.text;
-  return null;
-}
-
 function mapMessageToJson(message) {
   if (!message || typeof message.id !== "number") return null;
   const reactions = aggregateReactions(message.interaction_info);
+  const formatted = getFormattedText(message);
   const row = {
     message_id: message.id,
     chat_id: message.chat_id ?? null,
     message_date: message.date ?? null,
     content_type: message.content?._ || null,
-    text_markdown: extractPlainText(message)
+    text_plain: formatted?.text || null,
+    text_markdown: toMarkdown(formatted),
+    text_html: toHtml(formatted),
+    formatted
   };
 
   const forwardCount = message.interaction_info?.forward_count;
@@ -268,7 +304,13 @@ function mapMessageToJson(message) {
   return row;
 }
 
-function initDb(dbPath) {
+function ensureColumn(db, table, column, type) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some((col) => col.name === column)) return;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type};`);
+}
+
+function initDb(dbPath, taxonomy = []) {
   const db = new DatabaseSync(dbPath);
   db.exec("PRAGMA journal_mode=WAL;");
   db.exec("PRAGMA synchronous=NORMAL;");
@@ -319,7 +361,50 @@ function initDb(dbPath) {
       limits_json TEXT,
       limits_exceeded INTEGER DEFAULT 0
     );
+
+    CREATE TABLE IF NOT EXISTS search_hits (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      run_id INTEGER NOT NULL,
+      query TEXT NOT NULL,
+      page INTEGER,
+      found_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY(chat_id, message_id, run_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_search_hits_query ON search_hits(query);
+    CREATE INDEX IF NOT EXISTS idx_search_hits_run ON search_hits(run_id);
   `);
+  ensureColumn(db, "runs", "query", "TEXT");
+  ensureColumn(db, "runs", "star_count", "INTEGER");
+  ensureColumn(db, "runs", "next_offset", "TEXT");
+  ensureColumn(db, "runs", "page", "INTEGER DEFAULT 0");
+  ensureColumn(db, "runs", "progress_at", "TEXT");
+  ensureColumn(db, "runs", "finished_at", "TEXT");
+  // итог run'а: running (идёт или процесс упал), ok, limits, balance_low, budget, flood_wait, error, aborted
+  ensureColumn(db, "runs", "status", "TEXT");
+  ensureColumn(db, "runs", "error", "TEXT");
+  // счётчики копятся по всем запускам run'а (продолжение после рестарта дописывает к ним)
+  ensureColumn(db, "runs", "pages", "INTEGER DEFAULT 0");
+  ensureColumn(db, "runs", "messages", "INTEGER DEFAULT 0");
+  ensureColumn(db, "runs", "new_posts", "INTEGER DEFAULT 0");
+  ensureColumn(db, "runs", "new_channels", "INTEGER DEFAULT 0");
+  ensureColumn(db, "runs", "stars_spent", "INTEGER DEFAULT 0");
+  ensureColumn(db, "runs", "duration_ms", "INTEGER DEFAULT 0");
+  ensureColumn(db, "channel_messages", "album_id", "TEXT");
+  ensureColumn(db, "channel_messages", "text_plain", "TEXT");
+  ensureColumn(db, "channel_messages", "text_html", "TEXT");
+  // откуда пост впервые попал в базу: search (выдача) или history (обход истории канала)
+  ensureColumn(db, "channel_messages", "source", "TEXT");
+  const adMarkings = createAdMarkingsStore(db);
+  const advertisers = createAdvertisersStore(db);
+  const albums = createAlbumsStore(db);
+  const media = createMediaStore(db);
+  const entities = createEntitiesStore(db);
+  const postLinks = createPostLinksStore(db);
+  const categories = createPostCategoriesStore(db, taxonomy);
+  const forwards = createForwardsStore(db);
+  const versions = createMessageVersionsStore(db);
 
   const insertChannel = db.prepare(`
     INSERT INTO public_search (
@@ -369,17 +454,30 @@ function initDb(dbPath) {
       updated_at = datetime('now');
   `);
 
+  const selectMessageExists = db.prepare(`
+    SELECT 1 FROM channel_messages WHERE chat_id = ? AND message_id = ?
+  `);
+
+  const selectChannelExists = db.prepare(`SELECT 1 FROM public_search WHERE chat_id = ?`);
+
   const upsertMessage = db.prepare(`
     INSERT INTO channel_messages (
       chat_id, message_id, link_message_id, message_link, message_date, content_type, text_markdown,
-      view_count, forward_count, reply_count, reactions_total, reactions_paid, reactions_free
+      view_count, forward_count, reply_count, reactions_total, reactions_paid, reactions_free, album_id,
+      text_plain, text_html, source
     ) VALUES (
       @chat_id, @message_id, @link_message_id, @message_link, @message_date, @content_type, @text_markdown,
-      @view_count, @forward_count, @reply_count, @reactions_total, @reactions_paid, @reactions_free
+      @view_count, @forward_count, @reply_count, @reactions_total, @reactions_paid, @reactions_free, @album_id,
+      @text_plain, @text_html, @source
     )
     ON CONFLICT(chat_id, message_id) DO UPDATE SET
       link_message_id = COALESCE(excluded.link_message_id, channel_messages.link_message_id),
-      message_link = COALESCE(excluded.message_link, channel_messages.message_link),
+      message_link = CASE
+        -- без username (getChat не удался) ссылка вида t.me/c/...: публичную ею не затираем
+        WHEN excluded.message_link LIKE 'https://t.me/c/%' AND channel_messages.message_link IS NOT NULL
+          THEN channel_messages.message_link
+        ELSE COALESCE(excluded.message_link, channel_messages.message_link)
+      END,
       message_date = CASE
         WHEN channel_messages.message_date IS NULL THEN excluded.message_date
         WHEN excluded.message_date > COALESCE(channel_messages.message_date, -1) THEN excluded.message_date
@@ -387,6 +485,9 @@ function initDb(dbPath) {
       END,
       content_type = COALESCE(excluded.content_type, channel_messages.content_type),
       text_markdown = COALESCE(excluded.text_markdown, channel_messages.text_markdown),
+      text_plain = COALESCE(excluded.text_plain, channel_messages.text_plain),
+      text_html = COALESCE(excluded.text_html, channel_messages.text_html),
+      album_id = COALESCE(excluded.album_id, channel_messages.album_id),
       view_count = CASE
         WHEN channel_messages.view_count IS NULL THEN excluded.view_count
         WHEN excluded.view_count > COALESCE(channel_messages.view_count, -1) THEN excluded.view_count
@@ -420,13 +521,61 @@ function initDb(dbPath) {
   `);
 
   const insertRun = db.prepare(`
-    INSERT INTO runs (account_name, limits_json, limits_exceeded, started_at)
-    VALUES (@account_name, @limits_json, @limits_exceeded, datetime('now'))
+    INSERT INTO runs (account_name, query, star_count, limits_json, limits_exceeded, status, started_at)
+    VALUES (@account_name, @query, @star_count, @limits_json, @limits_exceeded, 'running', datetime('now'))
+  `);
+
+  const resumeRun = db.prepare(`UPDATE runs SET status = 'running' WHERE run_id = ?`);
+
+  const saveRunProgress = db.prepare(`
+    UPDATE runs
+    SET next_offset = @next_offset, page = @page, progress_at = datetime('now')
+    WHERE run_id = @run_id
+  `);
+
+  const selectResumableRun = db.prepare(`
+    SELECT run_id, account_name, query, star_count, next_offset, page
+    FROM runs
+    WHERE finished_at IS NULL
+      AND next_offset IS NOT NULL AND next_offset != ''
+      AND progress_at >= datetime('now', @max_age)
+    ORDER BY run_id DESC
+    LIMIT 1
   `);
 
-  const updateRun = db.prepare(`
+  // незакрытые run'ы прошлых запусков: прерванные посреди выдачи (next_offset), упавшие с ошибкой и
+  // оставшиеся running после падения процесса; у run'ов из баз до появления status finished_at тоже
+  // пустой — их не трогаем
+  const abandonRuns = db.prepare(`
     UPDATE runs
-    SET limits_json = @limits_json, limits_exceeded = @limits_exceeded
+    SET finished_at = datetime('now'),
+        next_offset = NULL,
+        status = CASE WHEN status IS NULL OR status = 'running' THEN 'aborted' ELSE status END,
+        error = CASE WHEN status = 'running' THEN COALESCE(error, 'процесс завершился, не закрыв run') ELSE error END
+    WHERE finished_at IS NULL
+      AND (next_offset IS NOT NULL OR status IS NOT NULL)
+      AND run_id != @keep_run_id
+  `);
+
+  const insertHit = db.prepare(`
+    INSERT OR IGNORE INTO search_hits (chat_id, message_id, run_id, query, page, found_at)
+    VALUES (@chat_id, @message_id, @run_id, @query, @page, datetime('now'))
+  `);
+
+  const finishRun = db.prepare(`
+    UPDATE runs
+    SET limits_json = COALESCE(@limits_json, limits_json),
+        limits_exceeded = @limits_exceeded,
+        status = @status,
+        error = @error,
+        pages = COALESCE(pages, 0) + @pages,
+        messages = COALESCE(messages, 0) + @messages,
+        new_posts = COALESCE(new_posts, 0) + @new_posts,
+        new_channels = COALESCE(new_channels, 0) + @new_channels,
+        stars_spent = COALESCE(stars_spent, 0) + @stars_spent,
+        duration_ms = COALESCE(duration_ms, 0) + @duration_ms,
+        finished_at = CASE WHEN @finished = 1 THEN datetime('now') ELSE finished_at END,
+        next_offset = CASE WHEN @finished = 1 THEN NULL ELSE next_offset END
     WHERE run_id = @run_id
   `);
 
@@ -441,11 +590,68 @@ function initDb(dbPath) {
   return {
     db,
     upsertChannel: (patch) => insertChannel.run(normalizeChannelPatch(patch)),
+    hasMessage: (chatId, messageId) => Boolean(selectMessageExists.get(chatId, messageId)),
+    hasChannel: (chatId) => Boolean(selectChannelExists.get(chatId)),
     upsertMessage: (row) => upsertMessage.run(normalizeMessageRow(row)),
     bumpMessageCount: (chatId) => updateFoundCount.run({ chat_id: chatId }),
-    insertRun: (accountName) => insertRun.run({ account_name: accountName, limits_json: null, limits_exceeded: 0 }),
-    updateRun: (runId, limitsJson, limitsExceeded) =>
-      updateRun.run({ run_id: runId, limits_json: limitsJson, limits_exceeded: limitsExceeded ? 1 : 0 })
+    saveAdMarkings: (chatId, messageId, tokens) => adMarkings.save(chatId, messageId, tokens),
+    saveAdvertisers: (chatId, messageId, parsed) => advertisers.save(chatId, messageId, parsed),
+    saveEntities: (chatId, messageId, formatted) => entities.save(chatId, messageId, formatted),
+    saveLinks: (chatId, messageId, message) => postLinks.save(chatId, messageId, message),
+    saveCategories: (chatId, messageId, message, text) =>
+      categories.save(chatId, messageId, { text, hosts: extractLinks(message).map((link) => link.host) }),
+    saveForward: (chatId, messageId, message) => forwards.save(chatId, messageId, message),
+    recordVersion: (chatId, messageId, message, source) => versions.record(chatId, messageId, message, { source }),
+    markDeleted: (chatId, messageId, source) => versions.markDeleted(chatId, messageId, { source }),
+    saveMedia: (chatId, messageId, message) => media.save(chatId, messageId, message),
+    hasThumbnail: (chatId, messageId) => media.hasThumbnail(chatId, messageId),
+    setThumbnailPath: (chatId, messageId, filePath) => media.setThumbnailPath(chatId, messageId, filePath),
+    registerAlbumItem: (item) => albums.register(item),
+    albumCanonicalFor: (chatId, messageId) => albums.canonicalFor(chatId, messageId),
+    insertRun: (accountName, query, starCount) =>
+      insertRun.run({
+        account_name: accountName,
+        query: query ?? null,
+        star_count: Number.isFinite(starCount) ? starCount : 0,
+        limits_json: null,
+        limits_exceeded: 0
+      }),
+    resumeRun: (runId) => resumeRun.run(runId),
+    saveRunProgress: (runId, nextOffset, page) =>
+      saveRunProgress.run({ run_id: runId, next_offset: nextOffset || null, page }),
+    findResumableRun: (maxAgeMs) =>
+      selectResumableRun.get({ max_age: `-${Math.max(0, Math.floor(maxAgeMs / 1000))} seconds` }) || null,
+    abandonRuns: (keepRunId = null) => abandonRuns.run({ keep_run_id: keepRunId ?? -1 }),
+    recordHits: (runId, query, page, rows) => {
+      for (const row of rows) {
+        insertHit.run({
+          chat_id: row.chat_id,
+          message_id: row.message_id,
+          run_id: runId,
+          query,
+          page: Number.isFinite(page) ? page : null
+        });
+      }
+    },
+    /**
+     * Закрывает run (или, если finished = false, оставляет его открытым для продолжения) и дописывает
+     * счётчики этого запуска. stats — { pages, messages, newPosts, newChannels, starsSpent, durationMs }.
+     */
+    finishRun: (runId, { status, error = null, limitsJson = null, limitsExceeded = false, finished = true, stats = {} }) =>
+      finishRun.run({
+        run_id: runId,
+        status,
+        error: error ?? null,
+        limits_json: limitsJson,
+        limits_exceeded: limitsExceeded ? 1 : 0,
+        pages: stats.pages || 0,
+        messages: stats.messages || 0,
+        new_posts: stats.newPosts || 0,
+        new_channels: stats.newChannels || 0,
+        stars_spent: stats.starsSpent || 0,
+        duration_ms: Number.isFinite(stats.durationMs) ? Math.max(0, Math.round(stats.durationMs)) : 0,
+        finished: finished ? 1 : 0
+      })
   };
 }
 
@@ -467,6 +673,7 @@ function applyChatToDb(dbOps, chat) {
   };
   const norm = normalizeChannelPatch(params);
   dbOps.upsertChannel(norm);
+  recordChannelSnapshot(norm, "chat");
 }
 
 function applySupergroupToDb(dbOps, supergroup, chatIdOverride = null) {
@@ -495,6 +702,7 @@ function applySupergroupToDb(dbOps, supergroup, chatIdOverride = null) {
   };
   const norm = normalizeChannelPatch(params);
   dbOps.upsertChannel(norm);
+  recordChannelSnapshot(norm, "supergroup");
 }
 
 function applyFullInfoToDb(dbOps, supergroupId, fullInfo, chatIdOverride = null) {
@@ -515,6 +723,7 @@ function applyFullInfoToDb(dbOps, supergroupId, fullInfo, chatIdOverride = null)
   };
   const norm = normalizeChannelPatch(params);
   dbOps.upsertChannel(norm);
+  recordChannelSnapshot(norm, "full_info");
 }
 
 function decodeMessageId(rawMessageId) {
@@ -535,6 +744,8 @@ function normalizeMessage(message) {
 
 async function delayWithStop(ms, stopSignal) {
   if (stopSignal && stopSignal()) return;
+  // при воспроизведении паузы не нужны: ответы уже лежат в записи
+  if (replaying) return;
   return new Promise((resolve) => {
     const timer = setTimeout(() => {
       cancelSleep = null;
@@ -563,6 +774,9 @@ async function readAccounts() {
 }
 
 async function writeAccounts(accounts) {
+  scannerMetrics.updateAccounts(accounts);
+  // воспроизведение не должно перетирать настоящий конфиг аккаунтов лимитами из записи
+  if (replaying) return;
   await fs.mkdir(path.dirname(ACCOUNTS_CONFIG_PATH), { recursive: true });
   const compact = accounts
     .map(sanitizeAccount)
@@ -621,12 +835,16 @@ function normalizeMessageRow(row) {
     message_date: Number.isFinite(row.message_date) ? row.message_date : null,
     content_type: row.content_type || null,
     text_markdown: row.text_markdown || null,
+    text_plain: row.text_plain || null,
+    text_html: row.text_html || null,
     view_count: Number.isFinite(row.view_count) ? row.view_count : null,
     forward_count: Number.isFinite(row.forward_count) ? row.forward_count : null,
     reply_count: Number.isFinite(row.reply_count) ? row.reply_count : null,
     reactions_total: Number.isFinite(row.reactions_total) ? row.reactions_total : null,
     reactions_paid: Number.isFinite(row.reactions_paid) ? row.reactions_paid : null,
-    reactions_free: Number.isFinite(row.reactions_free) ? row.reactions_free : null
+    reactions_free: Number.isFinite(row.reactions_free) ? row.reactions_free : null,
+    album_id: normalizeAlbumId(row.album_id),
+    source: row.source || null
   };
 }
 
@@ -634,12 +852,9 @@ function normalizeMetricValue(value) {
   return Number.isFinite(value) ? Math.trunc(value) : null;
 }
 
-function recordMetricsSnapshot(row) {
-  if (currentRunId === null) return;
-  if (!Number.isFinite(row?.chat_id) || !Number.isFinite(row?.message_id)) return;
-  const key = `${row.chat_id}:${row.message_id}`;
-  metricsBuffer.set(key, {
-    run_id: Math.trunc(currentRunId),
+function buildMetricsRow(row, runId, source) {
+  return {
+    run_id: Math.trunc(runId),
     chat_id: Math.trunc(row.chat_id),
     message_id: Math.trunc(row.message_id),
     ts: Math.floor(Date.now() / 1000),
@@ -648,34 +863,144 @@ function recordMetricsSnapshot(row) {
     reply_count: normalizeMetricValue(row.reply_count),
     reactions_total: normalizeMetricValue(row.reactions_total),
     reactions_paid: normalizeMetricValue(row.reactions_paid),
-    reactions_free: normalizeMetricValue(row.reactions_free)
+    reactions_free: normalizeMetricValue(row.reactions_free),
+    source
+  };
+}
+
+function recordMetricsSnapshot(row, source = METRICS_SOURCE_SEARCH) {
+  if (currentRunId === null) return;
+  if (!Number.isFinite(row?.chat_id) || !Number.isFinite(row?.message_id)) return;
+  const key = `${row.chat_id}:${row.message_id}`;
+  metricsBuffer.set(key, buildMetricsRow(row, currentRunId, source));
+}
+
+/**
+ * Точка истории канала (подписчики, буст, подарки) для channel_metrics. В public_search
+ * хранится только максимум, поэтому падения подписчиков видны только здесь.
+ */
+function recordChannelSnapshot(patch, source) {
+  if (!Number.isFinite(patch?.chat_id)) return;
+  const values = {
+    member_count: normalizeMetricValue(patch.member_count),
+    boost_level: normalizeMetricValue(patch.boost_level),
+    gift_count: normalizeMetricValue(patch.gift_count),
+    outgoing_paid_message_star_count: normalizeMetricValue(patch.outgoing_paid_message_star_count)
+  };
+  if (Object.values(values).every((val) => val === null)) return;
+
+  const now = Date.now();
+  const prev = lastChannelSnapshots.get(patch.chat_id);
+  const merged = prev ? { ...values } : values;
+  if (prev) {
+    // апдейты приходят частями (chat/supergroup/full_info) — недостающее берём из прошлой точки
+    for (const [key, val] of Object.entries(values)) {
+      if (val === null) merged[key] = prev.values[key];
+    }
+    const unchanged = Object.keys(merged).every((key) => merged[key] === prev.values[key]);
+    if (unchanged && now - prev.at < CHANNEL_METRICS_MIN_INTERVAL_MS) return;
+  }
+  lastChannelSnapshots.set(patch.chat_id, { values: merged, at: now });
+  channelMetricsBuffer.push({
+    run_id: Math.trunc(currentRunId ?? 0),
+    chat_id: Math.trunc(patch.chat_id),
+    ts: Math.floor(now / 1000),
+    source,
+    ...merged
   });
 }
 
-async function flushMetricsBuffer() {
-  if (!clickhouse || metricsBuffer.size === 0) return;
-  const rows = Array.from(metricsBuffer.values());
+// в ClickHouse вставки идут через спул: при недоступном ClickHouse строки откладываются на диск,
+// а не теряются; в SQLite пишем сразу
+async function writeMetricsRows(kind, rows) {
+  if (!metricsStore || rows.length === 0) return;
+  if (clickhouseSpool) {
+    await clickhouseSpool.write(kind, rows);
+    return;
+  }
+  try {
+    await scannerMetrics.observeFlush(kind, () => metricsStore.insertRows(kind, rows));
+  } catch (err) {
+    log.warn("вставка метрик не удалась, строки потеряны", { kind, rows: rows.length, error: err });
+  }
+}
+
+async function flushChannelMetricsBuffer() {
+  if (!metricsStore || channelMetricsBuffer.length === 0) return;
+  const rows = channelMetricsBuffer.splice(0, channelMetricsBuffer.length);
+  await writeMetricsRows(CHANNEL_METRICS, rows);
+}
+
+async function insertMetricsRows(rows) {
+  if (!metricsStore || rows.length === 0) return;
   const chunkSize = Number.isFinite(CLICKHOUSE_INSERT_CHUNK) && CLICKHOUSE_INSERT_CHUNK > 0
     ? CLICKHOUSE_INSERT_CHUNK
     : 5000;
   for (let i = 0; i < rows.length; i += chunkSize) {
     const chunk = rows.slice(i, i + chunkSize);
-    await clickhouse.insertJsonEachRow(CLICKHOUSE_METRICS_TABLE, chunk, METRICS_COLUMNS);
+    await writeMetricsRows(MESSAGE_METRICS, chunk);
   }
+}
+
+async function flushMetricsBuffer() {
+  await flushChannelMetricsBuffer();
+  if (!metricsStore || metricsBuffer.size === 0) return;
+  await insertMetricsRows(Array.from(metricsBuffer.values()));
   metricsBuffer.clear();
 }
 
-function isAlbumDuplicate(message) {
-  const albumId = message?.media_album_id;
-  const chatId = message?.chat_id;
-  if (!Number.isFinite(albumId) || !Number.isFinite(chatId) || !Number.isFinite(message?.id)) return false;
-  const key = `${chatId}:${albumId}`;
-  const existing = albumKeeper.get(key);
-  if (existing === undefined) {
-    albumKeeper.set(key, message.id);
-    return false;
+/**
+ * username каналов постов: после рестарта трекер и обход истории приходят к каналам раньше поиска,
+ * а без username buildPostLink дал бы ссылку t.me/c/... вместо публичной.
+ */
+async function ensureMessagesChatMeta(client, dbOps, messages) {
+  if (!client) return;
+  const chatIds = new Set(messages.map((message) => message?.chat_id));
+  for (const chatId of chatIds) {
+    await ensureChatMeta(client, dbOps, chatId);
   }
-  return existing !== message.id;
+}
+
+/**
+ * Пишет посты, перечитанные трекером: SQLite как обычно, точки метрик — сразу в хранилище метрик
+ * с run_id = 0 и source = tracker (трекер работает и между run'ами), версии правок — тоже с source = tracker.
+ */
+async function saveTrackedMessages(client, dbOps, messages) {
+  await ensureMessagesChatMeta(client, dbOps, messages);
+  const stored = upsertMessages(dbOps, messages, { source: METRICS_SOURCE_TRACKER, recordMetrics: false });
+  const rows = stored.map((row) => buildMetricsRow(row, 0, METRICS_SOURCE_TRACKER));
+  await insertMetricsRows(rows);
+}
+
+/**
+ * Пишет рекламные посты, найденные обходом истории каналов: как у трекера, run_id = 0,
+ * но source = history — и в метриках, и в channel_messages для новых постов.
+ */
+async function saveHistoryMessages(client, dbOps, messages) {
+  await ensureMessagesChatMeta(client, dbOps, messages);
+  const stored = upsertMessages(dbOps, messages, { source: METRICS_SOURCE_HISTORY, recordMetrics: false });
+  const rows = stored.map((row) => buildMetricsRow(row, 0, METRICS_SOURCE_HISTORY));
+  await insertMetricsRows(rows);
+  return stored;
+}
+
+/**
+ * Альбом, к которому относится сообщение: { album_id, canonical_message_id } или null.
+ * Апдейты interaction_info приходят без media_album_id — их ищем среди уже известных элементов альбомов.
+ */
+function resolveAlbum(dbOps, message, normalized) {
+  const albumId = normalizeAlbumId(message?.media_album_id);
+  if (albumId === null) {
+    const canonical = dbOps.albumCanonicalFor(normalized.chat_id, normalized.message_id);
+    return canonical === null ? null : { album_id: null, canonical_message_id: canonical };
+  }
+  return dbOps.registerAlbumItem({
+    chat_id: normalized.chat_id,
+    message_id: normalized.message_id,
+    album_id: albumId,
+    content_type: normalized.content_type,
+    has_caption: Boolean(normalized.text_plain)
+  });
 }
 
 function allowMessages(messages) {
@@ -699,35 +1024,95 @@ function isMessageAllowed(chatId, messageId) {
   return set.has(messageId);
 }
 
-function upsertMessages(dbOps, messages) {
-  if (!Array.isArray(messages) || messages.length === 0) return;
+function upsertMessages(dbOps, messages, options = {}) {
+  // stats (если передан) получает счётчики new/repeat: новые посты и уже известные
+  const { source = METRICS_SOURCE_SEARCH, recordMetrics = true, stats = null } = options;
+  const stored = [];
+  if (!Array.isArray(messages) || messages.length === 0) return stored;
   const chatIds = new Set();
+  const storedKeys = new Set();
   for (const message of messages) {
-    if (isAlbumDuplicate(message)) continue;
     const normalized = normalizeMessage(message);
     if (!normalized) continue;
+    // элементы альбома сливаются в строку канонического сообщения: ссылка, дата и тип — от него,
+    // подпись — от того элемента, у которого она есть
+    const album = resolveAlbum(dbOps, message, normalized);
+    const sibling = album !== null && album.canonical_message_id !== normalized.message_id;
     const normalizedRow = normalizeMessageRow({
       chat_id: normalized.chat_id,
-      message_id: normalized.message_id,
-      link_message_id: normalized.link_message_id ?? null,
-      message_link: normalized.message_link || null,
-      message_date: normalized.message_date ?? null,
-      content_type: normalized.content_type || null,
+      message_id: album ? album.canonical_message_id : normalized.message_id,
+      link_message_id: sibling ? null : normalized.link_message_id ?? null,
+      message_link: sibling ? null : normalized.message_link || null,
+      message_date: sibling ? null : normalized.message_date ?? null,
+      content_type: sibling ? null : normalized.content_type || null,
       text_markdown: normalized.text_markdown || null,
+      text_plain: normalized.text_plain || null,
+      text_html: normalized.text_html || null,
       view_count: normalized.view_count,
       forward_count: normalized.forward_count,
       reply_count: normalized.reply_count,
       reactions_total: normalized.reactions?.total,
       reactions_paid: normalized.reactions?.paid,
-      reactions_free: normalized.reactions?.free
+      reactions_free: normalized.reactions?.free,
+      album_id: album?.album_id ?? null,
+      source
     });
+    const key = `${normalizedRow.chat_id}:${normalizedRow.message_id}`;
+    const firstInBatch = !storedKeys.has(key);
+    if (stats && firstInBatch) {
+      if (dbOps.hasMessage(normalizedRow.chat_id, normalizedRow.message_id)) {
+        stats.repeat += 1;
+      } else {
+        stats.new += 1;
+      }
+    }
     dbOps.upsertMessage(normalizedRow);
-    recordMetricsSnapshot(normalizedRow);
+    // у апдейтов interaction_info нет content — маркировку, рекламодателей, сущности, ссылки и категории не трогаем;
+    // в альбоме их несёт подпись, элементы без подписи не должны затирать найденное
+    if (message.content && (!album || normalized.text_plain)) {
+      dbOps.saveAdMarkings(normalizedRow.chat_id, normalizedRow.message_id, extractEridTokens(message));
+      dbOps.saveAdvertisers(normalizedRow.chat_id, normalizedRow.message_id, parseAdDisclaimer(normalized.text_plain));
+      dbOps.saveEntities(normalizedRow.chat_id, normalizedRow.message_id, normalized.formatted);
+      dbOps.saveLinks(normalizedRow.chat_id, normalizedRow.message_id, message);
+      dbOps.saveCategories(normalizedRow.chat_id, normalizedRow.message_id, message, normalized.text_plain);
+      dbOps.recordVersion(normalizedRow.chat_id, normalizedRow.message_id, message, source);
+    }
+    // происхождение репоста у всех элементов альбома одно — берём его у канонического сообщения
+    if (message.content && !sibling) {
+      dbOps.saveForward(normalizedRow.chat_id, normalizedRow.message_id, message);
+    }
+    // медиа и кнопки — по реальному сообщению, у альбома у каждого элемента свои
+    if (message.content) {
+      dbOps.saveMedia(normalized.chat_id, normalized.message_id, message);
+    }
     chatIds.add(normalized.chat_id);
+    if (!firstInBatch) continue;
+    storedKeys.add(key);
+    if (recordMetrics) {
+      recordMetricsSnapshot(normalizedRow, source);
+    }
+    stored.push(normalizedRow);
   }
   for (const chatId of chatIds) {
     dbOps.bumpMessageCount(chatId);
   }
+  scannerMetrics.messagesUpserted(source, stored.length);
+  return stored;
+}
+
+async function downloadThumbnails(client, dbOps, messages) {
+  for (const message of messages) {
+    const chatId = message?.chat_id;
+    const messageId = message?.id;
+    if (!Number.isFinite(chatId) || !Number.isFinite(messageId) || !message.content) continue;
+    if (dbOps.hasThumbnail(chatId, messageId)) continue;
+    try {
+      const filePath = await downloadThumbnail(client, message);
+      if (filePath) dbOps.setThumbnailPath(chatId, messageId, filePath);
+    } catch (err) {
+      log.warn("не удалось скачать превью", { chat_id: chatId, message_id: messageId, error: err });
+    }
+  }
 }
 
 function extractChatIdFromUpdate(update) {
@@ -740,6 +1125,33 @@ function extractChatIdFromUpdate(update) {
   return null;
 }
 
+function isKnownMessage(dbOps, chatId, messageId) {
+  return (
+    isMessageAllowed(chatId, messageId) ||
+    dbOps.hasMessage(chatId, messageId) ||
+    dbOps.albumCanonicalFor(chatId, messageId) !== null
+  );
+}
+
+/**
+ * После правки поста перечитывает его целиком: в updateMessageContent нет кнопок и forward_info,
+ * а в updateMessageEdited — самого содержимого.
+ */
+async function refetchEditedMessage(client, dbOps, chatId, messageId) {
+  const key = `${chatId}:${messageId}`;
+  if (messageRefetches.has(key)) return;
+  messageRefetches.add(key);
+  try {
+    const message = await client.invoke({ _: "getMessage", chat_id: chatId, message_id: messageId });
+    if (shuttingDown || !message?.content) return;
+    upsertMessages(dbOps, [message], { source: METRICS_SOURCE_UPDATE });
+  } catch (err) {
+    log.warn("не удалось перечитать изменённый пост", { chat_id: chatId, message_id: messageId, error: err });
+  } finally {
+    messageRefetches.delete(key);
+  }
+}
+
 function attachUpdateProcessor(client, dbOps, targets) {
   const handler = (update) => {
     if (shuttingDown) return;
@@ -765,35 +1177,55 @@ function attachUpdateProcessor(client, dbOps, targets) {
           chat_id: update.message_interaction_info.chat_id,
           interaction_info: update.message_interaction_info.interaction_info
         };
-        upsertMessages(dbOps, [fakeMessage]);
+        upsertMessages(dbOps, [fakeMessage], { source: METRICS_SOURCE_UPDATE });
       }
       if (update.message) {
         if (!isMessageAllowed(update.message.chat_id, update.message.id)) {
           return;
         }
-        upsertMessages(dbOps, [update.message]);
+        upsertMessages(dbOps, [update.message], { source: METRICS_SOURCE_UPDATE });
+      }
+      if (update._ === "updateMessageContent" || update._ === "updateMessageEdited") {
+        if (isKnownMessage(dbOps, update.chat_id, update.message_id)) {
+          refetchEditedMessage(client, dbOps, update.chat_id, update.message_id);
+        }
+      }
+      // from_cache — TDLib просто выгрузил сообщения из кэша, это не удаление
+      if (update._ === "updateDeleteMessages" && update.is_permanent && !update.from_cache) {
+        for (const messageId of update.message_ids || []) {
+          if (dbOps.hasMessage(update.chat_id, messageId)) {
+            dbOps.markDeleted(update.chat_id, messageId, METRICS_SOURCE_UPDATE);
+          }
+        }
       }
     } catch (err) {
-      console.warn(`Не удалось применить апдейт: ${err.message || err}`);
+      log.warn("не удалось применить апдейт", { update: update?._, error: err });
     }
   };
   client.on("update", handler);
   return () => client.off("update", handler);
 }
 
-async function logLimits(client) {
+// logger — с полями run/account текущего run'а
+async function logLimits(client, logger = log) {
+  const startedAt = Date.now();
   try {
     const limits = await client.invoke({ _: "getPublicPostSearchLimits" });
-    console.log(`[run ${runNumber}] limits: ${JSON.stringify(limits)}`);
+    logger.info("лимиты", {
+      remaining_free: limits?.remaining_free_query_count,
+      daily_free: limits?.daily_free_query_count,
+      next_free_in: limits?.next_free_query_in,
+      star_count: limits?.star_count,
+      ms: Date.now() - startedAt
+    });
     return limits;
   } catch (err) {
-    console.warn(`[run ${runNumber}] getPublicPostSearchLimits failed: ${err.message || err}`);
+    logger.warn("getPublicPostSearchLimits failed", { error: err });
     return null;
   }
 }
 
-async function fetchStarBalance(client, label = `run ${runNumber + 1}`) {
-  const prefix = `[${label}]`;
+async function fetchStarBalance(client, logger = log) {
   try {
     const me = await client.invoke({ _: "getMe" });
     const incoming = await client.invoke({
@@ -806,66 +1238,89 @@ async function fetchStarBalance(client, label = `run ${runNumber + 1}`) {
     });
     return Number.isFinite(incoming?.star_amount?.star_count) ? incoming.star_amount.star_count : null;
   } catch (err) {
-    console.warn(`${prefix} не удалось получить баланс звёзд: ${err.message || err}`);
+    logger.warn("не удалось получить баланс звёзд", { error: err });
     return null;
   }
 }
 
-async function refreshLimitsForAccounts(accounts, currentIndex, currentClient) {
-  if (!Array.isArray(accounts) || accounts.length === 0) return;
-  console.log("[refresh] обновляем лимиты всех аккаунтов...");
+// names — проверить только эти аккаунты (в том числе отключённые), иначе все включённые
+async function refreshLimitsForAccounts(pool, names = null) {
+  const { accounts } = pool;
+  log.info("обновляем лимиты аккаунтов", { accounts: names ? names.join(",") : "all" });
   for (let i = 0; i < accounts.length; i += 1) {
     const acc = accounts[i];
-    let client = currentClient;
-    let shouldClose = false;
+    if (names ? !names.includes(acc.name || "default") : acc.disabled) continue;
+    const accountLog = log.child({ account: acc.name || "default" });
     try {
-      if (i !== currentIndex || !client) {
-        await ensureAccountDirs(acc);
-        client = createClientWithDirs({
-          databaseDirectory: acc.database_directory,
-          filesDirectory: acc.files_directory
-        });
-        await login(client);
-        shouldClose = true;
-      }
-      console.log(`[refresh] check ${acc.name || "default"}`);
-      const limits = await logLimits(client);
-      const starBalance = await fetchStarBalance(client, "refresh");
-      const nextFree = Number(limits?.next_free_query_in);
-      const starCost =
-        typeof limits?.star_count === "string" ? Number(limits.star_count) : Number(limits?.star_count);
-      acc.last_checked_at = new Date().toISOString();
-      acc.daily_free = limits?.daily_free_query_count ?? acc.daily_free ?? DEFAULT_DAILY_FREE;
-      acc.remaining_free = Number.isFinite(limits?.remaining_free_query_count)
-        ? limits.remaining_free_query_count
-        : acc.remaining_free ?? null;
-      if (Number.isFinite(nextFree) && nextFree > 0) {
-        acc.next_free_in = nextFree;
-        acc.free_at = computeFreeAt(limits);
-      }
-      acc.star_cost_per_query = Number.isFinite(starCost) ? starCost : acc.star_cost_per_query ?? null;
-      if (Number.isFinite(starBalance)) {
-        acc.star_balance = starBalance;
-      }
-    } catch (err) {
-      console.warn(`[refresh] ${acc.name || "default"}: ${err.message || err}`);
-    } finally {
-      if (shouldClose && client && client !== currentClient) {
-        try {
-          await client.close();
-          client.destroy();
-        } catch (_) {
-          /* ignore */
+      await pool.withClient(i, async (client) => {
+        const limits = await logLimits(client, accountLog);
+        const starBalance = await fetchStarBalance(client, accountLog);
+        const nextFree = Number(limits?.next_free_query_in);
+        const starCost =
+          typeof limits?.star_count === "string" ? Number(limits.star_count) : Number(limits?.star_count);
+        acc.last_checked_at = new Date().toISOString();
+        acc.daily_free = limits?.daily_free_query_count ?? acc.daily_free ?? DEFAULT_DAILY_FREE;
+        acc.remaining_free = Number.isFinite(limits?.remaining_free_query_count)
+          ? limits.remaining_free_query_count
+          : acc.remaining_free ?? null;
+        if (Number.isFinite(nextFree) && nextFree > 0) {
+          acc.next_free_in = nextFree;
+          acc.free_at = computeFreeAt(limits);
         }
-      }
+        acc.star_cost_per_query = Number.isFinite(starCost) ? starCost : acc.star_cost_per_query ?? null;
+        if (Number.isFinite(starBalance)) {
+          acc.star_balance = starBalance;
+        }
+      });
+    } catch (err) {
+      accountLog.warn("не удалось обновить лимиты", { error: err });
     }
   }
   await writeAccounts(accounts);
 }
 
-async function ensureChatMeta(client, dbOps, chatId) {
+/**
+ * Обновляет лимиты и баланс звёзд аккаунтов без поиска (CLI `limits`, `accounts check`) и пишет их в конфиг.
+ * names — только эти аккаунты. Возвращает список аккаунтов после проверки.
+ */
+async function checkAccounts(names = null) {
+  const accounts = ensureDefaultAccount(await readAccounts());
+  const unknown = (names || []).filter((name) => !accounts.some((acc) => (acc.name || "default") === name));
+  if (unknown.length > 0) {
+    throw new Error(`Нет аккаунтов: ${unknown.join(", ")}`);
+  }
+  const replay = REPLAY_PATH ? createReplaySource(REPLAY_PATH) : null;
+  replaying = Boolean(replay);
+  const limiter = createRateLimiter({ ...TDLIB_RATE_LIMIT, skipWaits: replaying });
+  const pool = createAccountPool({
+    accounts,
+    createClient: async (account) => {
+      const name = account.name || "default";
+      if (replay) return limiter.wrap(replay.createClient(account), name);
+      await ensureAccountDirs(account);
+      const created = createClientWithDirs({
+        databaseDirectory: account.database_directory,
+        filesDirectory: account.files_directory
+      });
+      return limiter.wrap(created, name);
+    },
+    login: replay ? (client) => client.login() : login
+  });
+  try {
+    await refreshLimitsForAccounts(pool, names);
+  } finally {
+    await pool.close();
+  }
+  return accounts;
+}
+
+/**
+ * Метаданные канала (getChat, getSupergroup) в public_search и username в кэш. Неудачный getChat тоже
+ * кэшируется; retry — повторить его для канала, которого всё ещё нет в public_search.
+ */
+async function ensureChatMeta(client, dbOps, chatId, options = {}) {
   if (!Number.isFinite(chatId)) return;
-  if (chatUsernames.has(chatId)) return;
+  if (chatUsernames.has(chatId) && !(options.retry && !dbOps.hasChannel(chatId))) return;
   if (chatFetches.has(chatId)) {
     await chatFetches.get(chatId);
     return;
@@ -890,7 +1345,7 @@ async function ensureChatMeta(client, dbOps, chatId) {
 
       chatUsernames.set(chatId, username);
     } catch (err) {
-      console.warn(`Не удалось получить chat ${chatId}: ${err.message || err}`);
+      log.warn("не удалось получить chat", { chat_id: chatId, error: err });
       chatUsernames.set(chatId, null);
     } finally {
       chatFetches.delete(chatId);
@@ -910,21 +1365,48 @@ function buildPostLink(chatId, messageId) {
   return null;
 }
 
+/**
+ * options.stats — счётчики run'а { pages, messages, newPosts, newChannels, starsSpent }, которые цикл
+ * увеличивает по ходу: если поиск упадёт, вызывающий всё равно знает, сколько успели сделать.
+ */
 async function runSearchLoop(client, options) {
-  const { query, limit, starCount, delayMs, dbOps, targets, stopSignal } = options;
-  let offset = "";
-  let page = 0;
+  const { query, runId, limit, starCount, delayMs, dbOps, targets, stopSignal, tracker, spend } = options;
+  const runLog = options.log || log;
+  const stats = options.stats || { pages: 0, messages: 0, newPosts: 0, newChannels: 0, starsSpent: 0 };
+  let offset = typeof options.startOffset === "string" ? options.startOffset : "";
+  let page = Number.isFinite(options.startPage) && offset ? options.startPage : 0;
+  let resumed = offset.length > 0;
+  let fetched = 0;
   let total = 0;
+  const postStats = { new: 0, repeat: 0 };
   let limitsExceeded = false;
   let balanceLow = false;
+  let budgetExhausted = false;
+  let floodWaitMs = 0;
+  let completed = false;
+  const paid = starCount > 0 && spend;
+  const recordSpend = (entry) => {
+    if (!paid) return;
+    try {
+      spend.record({ page, ...entry });
+    } catch (err) {
+      runLog.warn("не удалось записать star_spend", { page, error: err });
+    }
+  };
 
   while (!stopSignal()) {
     if (page > 0) {
       await delayWithStop(delayMs, stopSignal);
     }
-    console.log(`[search] page=${page} offset="${offset}" limit=${limit} star_count=${starCount}`);
+    if (paid && !spend.allows()) {
+      runLog.warn("бюджет звёзд исчерпан, прерываем поиск", { page, budget: spend.describe() });
+      budgetExhausted = true;
+      break;
+    }
+    runLog.debug("searchPublicPosts", { page, offset, limit, star_count: starCount });
 
     let res;
+    const pageStartedAt = Date.now();
     try {
       res = await client.invoke({
         _: "searchPublicPosts",
@@ -934,16 +1416,43 @@ async function runSearchLoop(client, options) {
         star_count: starCount
       });
     } catch (err) {
+      // остановка прервала ожидание в ограничителе частоты — запрос так и не ушёл в TDLib
+      if (isRateLimitStopped(err) && stopSignal()) break;
       const msg = err?.message || String(err);
       if (msg && msg.includes("BALANCE_TOO_LOW")) {
-        console.warn(`[search] баланс звёзд закончился, прерываем поиск`);
+        runLog.warn("баланс звёзд закончился, прерываем поиск", { page });
+        recordSpend({ outcome: "balance_low", error: msg });
         balanceLow = true;
         break;
       }
+      // короткие FLOOD_WAIT ограничитель пережидает сам; сюда доходят длинные и исчерпавшие повторы
+      const floodMs = parseFloodWait(err);
+      if (floodMs !== null) {
+        runLog.warn("FLOOD_WAIT, прерываем поиск", { page, wait_ms: floodMs });
+        recordSpend({ outcome: "flood_wait", error: msg });
+        floodWaitMs = floodMs;
+        break;
+      }
+      recordSpend({ outcome: "error", error: msg });
+      if (resumed && fetched === 0) {
+        // сохранённый offset протух (или привязан к другой сессии) — начинаем запрос с первой страницы
+        runLog.warn("offset прерванного run отклонён, начинаем запрос заново", { page, error: msg });
+        offset = "";
+        page = 0;
+        resumed = false;
+        continue;
+      }
       throw err;
     }
+    fetched += 1;
+    const fetchMs = Date.now() - pageStartedAt;
+    scannerMetrics.pageFetched(query);
 
     const messages = Array.isArray(res?.messages) ? res.messages : [];
+    recordSpend({ outcome: res?.are_limits_exceeded ? "limits" : "ok", messageCount: messages.length });
+    stats.pages += 1;
+    stats.messages += messages.length;
+    if (starCount > 0) stats.starsSpent += starCount;
     const chatIdsToFetch = new Set();
     for (const message of messages) {
       const chatId = message?.chat_id;
@@ -958,10 +1467,18 @@ async function runSearchLoop(client, options) {
           chatIdsToFetch.add(chatId);
         }
       }
+      // канал-первоисточник репоста тоже нужен в public_search, иначе цепочку не подписать
+      const originChatId = extractForwardOrigin(message)?.origin_chat_id;
+      if (Number.isFinite(originChatId) && !chatUsernames.has(originChatId)) {
+        chatIdsToFetch.add(originChatId);
+      }
     }
+    // до первого await: пока ждём getChat, апдейты тоже успевают записать каналы в public_search
+    const unknownChats = Array.from(chatIdsToFetch).filter((chatId) => !dbOps.hasChannel(chatId));
     for (const chatId of chatIdsToFetch) {
       await ensureChatMeta(client, dbOps, chatId);
     }
+    stats.newChannels += unknownChats.filter((chatId) => dbOps.hasChannel(chatId)).length;
 
     let oldestTs = null;
     for (const message of messages) {
@@ -973,79 +1490,323 @@ async function runSearchLoop(client, options) {
     }
 
     allowMessages(messages);
-    upsertMessages(dbOps, messages);
+    const pageStats = { new: 0, repeat: 0 };
+    const stored = upsertMessages(dbOps, messages, { stats: pageStats });
+    postStats.new += pageStats.new;
+    postStats.repeat += pageStats.repeat;
+    stats.newPosts += pageStats.new;
+    scannerMetrics.searchPosts("new", pageStats.new);
+    scannerMetrics.searchPosts("repeat", pageStats.repeat);
+    if (tracker) {
+      tracker.track(stored);
+    }
+    if (DOWNLOAD_THUMBNAILS) {
+      await downloadThumbnails(client, dbOps, messages);
+    }
+    if (Number.isFinite(runId)) {
+      try {
+        dbOps.recordHits(runId, query, page, stored);
+      } catch (err) {
+        runLog.warn("не удалось записать search_hits", { page, error: err });
+      }
+    }
 
     total += messages.length;
-    const oldestIso = oldestTs ? new Date(oldestTs * 1000).toISOString() : "n/a";
-    console.log(`[page ${page}] messages=${messages.length} total=${total} oldest=${oldestIso}`);
+    runLog.info("страница", {
+      page,
+      messages: messages.length,
+      new: pageStats.new,
+      total,
+      oldest: oldestTs ? new Date(oldestTs * 1000).toISOString() : null,
+      fetch_ms: fetchMs,
+      ms: Date.now() - pageStartedAt
+    });
 
     if (res?.are_limits_exceeded) {
-      console.warn("Search limits exceeded; stopping.");
+      runLog.warn("лимиты поиска исчерпаны, останавливаемся", { page });
       limitsExceeded = true;
       break;
     }
     if (!res?.next_offset || typeof res.next_offset !== "string" || res.next_offset.length === 0) {
+      completed = true;
       break;
     }
     offset = res.next_offset;
     page += 1;
+    if (Number.isFinite(runId)) {
+      try {
+        dbOps.saveRunProgress(runId, offset, page);
+      } catch (err) {
+        runLog.warn("не удалось сохранить прогресс run", { page, error: err });
+      }
+    }
   }
 
-  return { total, limitsExceeded, balanceLow };
+  // остановлены посреди выдачи — run можно продолжить после рестарта
+  const interrupted = !completed && !limitsExceeded && !balanceLow && !budgetExhausted && offset.length > 0;
+  return {
+    total,
+    newPosts: postStats.new,
+    completed,
+    limitsExceeded,
+    balanceLow,
+    budgetExhausted,
+    floodWaitMs,
+    interrupted
+  };
 }
 
-async function main() {
-  const query = DEFAULT_QUERY;
+// итог run'а для runs.status; остановленный до конца выдачи (сигнал, конец записи) — aborted
+function runStatus(result) {
+  if (result.balanceLow) return "balance_low";
+  if (result.budgetExhausted) return "budget";
+  if (result.limitsExceeded) return "limits";
+  if (result.floodWaitMs > 0) return "flood_wait";
+  return result.completed ? "ok" : "aborted";
+}
+
+/**
+ * options.once — один run поиска (или выход, если квоты нет ни на одном аккаунте) без фоновых задач;
+ * options.query — искать только этот запрос вместо конфига запросов.
+ */
+async function main(options = {}) {
+  // до БД, спула и metrics-сервера: иначе ошибка конфига оставила бы процесс висеть на открытом порту
+  if (RECORD_PATH && REPLAY_PATH) {
+    log.error("PUBLIC_SEARCH_RECORD и PUBLIC_SEARCH_REPLAY нельзя включать одновременно");
+    process.exitCode = 1;
+    return;
+  }
+  const once = Boolean(options.once);
+  const queries = options.query
+    ? await readQueries(null, options.query)
+    : await readQueries(QUERIES_CONFIG_PATH, DEFAULT_QUERY);
+  const scheduler = createQueryScheduler(queries);
   const limit = Math.min(MAX_LIMIT, Math.max(1, DEFAULT_LIMIT));
   const delayMs = DEFAULT_DELAY_MS;
   const dbPath = DEFAULT_DB_PATH;
   const accounts = ensureDefaultAccount(await readAccounts());
-  let accountIndex = 0;
+  let initialIndex = accounts.findIndex((acc) => !acc.disabled);
+  let pendingResume = null;
+  if (initialIndex < 0) {
+    log.error("все аккаунты отключены (disabled)", { config: ACCOUNTS_CONFIG_PATH });
+    process.exitCode = 1;
+    return;
+  }
 
   await ensureDirectories();
   await fs.mkdir(path.dirname(dbPath), { recursive: true });
-  const dbOps = initDb(dbPath);
-  clickhouse = createClickhouseClient();
+  const taxonomy = loadTaxonomy(AD_CATEGORIES_CONFIG);
+  const dbOps = initDb(dbPath, taxonomy);
+  if (RESUME_MAX_AGE_MS > 0) {
+    pendingResume = dbOps.findResumableRun(RESUME_MAX_AGE_MS);
+  }
+  const abandoned = Number(dbOps.abandonRuns(pendingResume?.run_id)?.changes) || 0;
+  if (abandoned > 0) {
+    log.info("незакрытые run'ы прошлых запусков закрыты", { runs: abandoned });
+  }
+  if (pendingResume) {
+    const idx = accounts.findIndex((acc) => (acc.name || "default") === pendingResume.account_name && !acc.disabled);
+    if (idx >= 0) {
+      initialIndex = idx;
+      log.info("продолжаем прерванный run", {
+        run_id: pendingResume.run_id,
+        account: pendingResume.account_name,
+        query: pendingResume.query,
+        page: pendingResume.page
+      });
+    } else {
+      dbOps.abandonRuns();
+      pendingResume = null;
+    }
+  }
   try {
-    await clickhouse.ensureMessageMetricsTable(CLICKHOUSE_METRICS_TABLE);
+    metricsStore = createMetricsStore({
+      backend: METRICS_STORE,
+      db: dbOps.db,
+      clickhouse: createClickhouseClient(),
+      tables: { messages: CLICKHOUSE_METRICS_TABLE, channels: CLICKHOUSE_CHANNEL_METRICS_TABLE }
+    });
   } catch (err) {
-    console.error(`ClickHouse init failed: ${err.message || err}`);
+    log.error("не удалось создать хранилище метрик", { error: err });
     process.exitCode = 1;
     return;
   }
-  const targets = new Set();
+  log.info("init", { metrics_store: metricsStore.backend });
+  if (metricsStore.backend === "clickhouse") {
+    // таблицы создаются при первой удачной связи с ClickHouse; до этого метрики копятся в спуле
+    clickhouseSpool = createClickhouseSpool({
+      dir: CLICKHOUSE_SPOOL_DIR,
+      prepare: () => metricsStore.ensureTables(),
+      insert: (kind, rows, _columns, dedupToken) =>
+        scannerMetrics.observeFlush(kind, () => metricsStore.insertRows(kind, rows, { dedupToken })),
+      retryMs: CLICKHOUSE_SPOOL_RETRY_MS,
+      maxBytes: CLICKHOUSE_SPOOL_MAX_BYTES,
+      onChange: (bytes) => scannerMetrics.spoolPending(bytes)
+    });
+    clickhouseSpool.start();
+  } else {
+    await metricsStore.ensureTables();
+  }
+  let metricsServer = null;
+  if (METRICS_PORT > 0) {
+    try {
+      metricsServer = await startMetricsServer({ port: METRICS_PORT, host: METRICS_HOST, metrics: scannerMetrics });
+      log.info("init", { metrics: `http://${METRICS_HOST}:${METRICS_PORT}/metrics` });
+    } catch (err) {
+      log.warn("metrics server failed", { error: err });
+    }
+  }
   let stopRequested = false;
-  let detachUpdates = null;
+  let recorder = null;
+  let replay = null;
+  if (RECORD_PATH) {
+    await fs.mkdir(path.dirname(path.resolve(RECORD_PATH)), { recursive: true });
+    recorder = createRecorder(RECORD_PATH);
+    log.info("init", { record: RECORD_PATH });
+  }
+  if (REPLAY_PATH) {
+    replay = createReplaySource(REPLAY_PATH, {
+      onEnd: () => {
+        log.info("запись закончилась, останавливаемся", { replay: REPLAY_PATH });
+        stopRequested = true;
+      }
+    });
+    replaying = true;
+    log.info("init", { replay: REPLAY_PATH, responses: replay.stats().total });
+  }
+  const targets = new Set();
+  const starBudget = createStarBudget({ db: dbOps.db, limits: STAR_BUDGET });
+  const limiter = createRateLimiter({
+    ...TDLIB_RATE_LIMIT,
+    db: dbOps.db,
+    skipWaits: replaying,
+    onEvent: (event) => scannerMetrics.throttled(event)
+  });
+  const pool = createAccountPool({
+    accounts,
+    createClient: async (account) => {
+      const name = account.name || "default";
+      if (replay) return limiter.wrap(replay.createClient(account), name);
+      await ensureAccountDirs(account);
+      const created = createClientWithDirs({
+        databaseDirectory: account.database_directory,
+        filesDirectory: account.files_directory
+      });
+      // запись — под ограничителем: в файл попадают и ответы FLOOD_WAIT, и повторы
+      return limiter.wrap(recorder ? recorder.wrap(created, name) : created, name);
+    },
+    login: replay ? (client) => client.login() : login,
+    attach: (client) => attachUpdateProcessor(client, dbOps, targets),
+    freeStrategy: ACCOUNT_STRATEGY,
+    starStrategy: STAR_ACCOUNT_STRATEGY,
+    canSpendStars: (account) => starBudget.allows(account, account.star_cost_per_query || STAR_SPEND)
+  });
   const stopSignal = () => stopRequested;
   const stopHandler = () => {
     stopRequested = true;
     shuttingDown = true;
-    console.log("\nОстановка по сигналу...");
+    log.info("остановка по сигналу");
     if (typeof cancelSleep === "function") {
       cancelSleep();
     }
+    limiter.stop();
   };
   process.on("SIGINT", stopHandler);
   process.on("SIGTERM", stopHandler);
 
-  currentAccount = accounts[accountIndex];
-  await ensureAccountDirs(currentAccount);
-  let client = createClientWithDirs({
-    databaseDirectory: currentAccount.database_directory,
-    filesDirectory: currentAccount.files_directory
-  });
-  detachUpdates = attachUpdateProcessor(client, dbOps, targets);
+  const tracker = TRACKER_ENABLED
+    ? createMetricsTracker({
+        db: dbOps.db,
+        getClient: () => (shuttingDown ? null : pool.client()),
+        onMessages: (messages) => saveTrackedMessages(pool.client(), dbOps, messages),
+        onGone: (chatId, posts) => {
+          for (const post of posts) dbOps.markDeleted(chatId, post.message_id, METRICS_SOURCE_TRACKER);
+        },
+        schedule: TRACKER_SCHEDULE,
+        intervalMs: TRACKER_INTERVAL_MS,
+        batchSize: TRACKER_BATCH
+      })
+    : null;
+  const historyCrawler = HISTORY_CRAWL_ENABLED
+    ? createHistoryCrawler({
+        db: dbOps.db,
+        getClient: () => (shuttingDown ? null : pool.client()),
+        onMessages: async (messages) => {
+          const stored = await saveHistoryMessages(pool.client(), dbOps, messages);
+          if (tracker) tracker.track(stored);
+        },
+        windowDays: HISTORY_CRAWL_DAYS,
+        intervalMs: HISTORY_CRAWL_INTERVAL_MS,
+        channelsPerTick: HISTORY_CRAWL_CHANNELS,
+        pagesPerChannel: HISTORY_CRAWL_PAGES,
+        pageDelayMs: HISTORY_CRAWL_PAGE_DELAY_MS,
+        recrawlSec: HISTORY_CRAWL_RECRAWL_HOURS * 3600
+      })
+    : null;
+  // новые каналы попадают в public_search через ensureChatMeta, откуда их подхватит и обход истории
+  const similarCrawler = SIMILAR_CHANNELS_ENABLED
+    ? createSimilarChannelsCrawler({
+        db: dbOps.db,
+        getClient: () => (shuttingDown ? null : pool.client()),
+        onChannels: async (chatIds) => {
+          for (const chatId of chatIds) {
+            const client = shuttingDown ? null : pool.client();
+            if (!client) return;
+            await ensureChatMeta(client, dbOps, chatId, { retry: true });
+          }
+        },
+        maxDepth: SIMILAR_CHANNELS_DEPTH,
+        intervalMs: SIMILAR_CHANNELS_INTERVAL_MS,
+        channelsPerTick: SIMILAR_CHANNELS_PER_TICK,
+        recrawlSec: SIMILAR_CHANNELS_RECRAWL_HOURS * 3600
+      })
+    : null;
 
   try {
-    await login(client);
-    console.log(`[init] account -> ${currentAccount.name || "default"}`);
-    console.log(`[init] query   -> ${query}`);
-    console.log(`[init] db      -> ${dbPath}`);
-    console.log(`[init] accounts config -> ${ACCOUNTS_CONFIG_PATH}`);
+    await pool.switchTo(initialIndex);
+    log.info("init", {
+      account: pool.current().name || "default",
+      strategy_free: pool.strategies.free,
+      strategy_stars: pool.strategies.stars,
+      queries: scheduler
+        .list()
+        .map((q) => `${q.query} (w=${q.weight}${q.priority ? `, p=${q.priority}` : ""})`)
+        .join(", "),
+      db: dbPath,
+      accounts_config: ACCOUNTS_CONFIG_PATH,
+      queries_config: options.query ? null : QUERIES_CONFIG_PATH,
+      categories_config: AD_CATEGORIES_CONFIG,
+      categories: taxonomy.map((c) => c.id).join(",") || null,
+      once: once || undefined
+    });
+    if (once) {
+      log.info("once: один run, трекер и обходы не запускаются");
+    }
+    if (tracker && !once) {
+      log.info("init", { tracker: TRACKER_SCHEDULE, tracker_interval_ms: TRACKER_INTERVAL_MS });
+      tracker.start();
+    }
+    if (historyCrawler && !once) {
+      log.info("init", {
+        history_days: HISTORY_CRAWL_DAYS,
+        history_channels: HISTORY_CRAWL_CHANNELS,
+        history_pages: HISTORY_CRAWL_PAGES
+      });
+      historyCrawler.start();
+    }
+    if (similarCrawler && !once) {
+      log.info("init", { similar_depth: SIMILAR_CHANNELS_DEPTH, similar_channels: SIMILAR_CHANNELS_PER_TICK });
+      similarCrawler.start();
+    }
     while (!stopRequested) {
+      const currentAccount = pool.current();
+      const client = pool.client();
+      // записи до старта run'а помечены номером run'а, который будет запущен
+      const nextRunLog = log.child({ run: runNumber + 1, account: currentAccount.name || "default" });
       // предварительно узнаем лимиты текущего аккаунта и фиксируем free_at/звёзды
-      const preLimits = await logLimits(client);
-      const starBalance = await fetchStarBalance(client);
+      const preLimits = await logLimits(client, nextRunLog);
+      const starBalance = await fetchStarBalance(client, nextRunLog);
+      if (stopRequested) break;
       // обновляем плоские поля
       const nextFree = Number(preLimits?.next_free_query_in);
       const starCost = typeof preLimits?.star_count === "string" ? Number(preLimits.star_count) : Number(preLimits?.star_count);
@@ -1068,88 +1829,50 @@ async function main() {
       let currentFree = Number.isFinite(currentAccount.remaining_free)
         ? currentAccount.remaining_free
         : getRemainingFree(preLimits);
-      let freeReadyIdx = currentFree > 0 ? accountIndex : findNextFreeAccountIndex(accounts, accountIndex + 1);
+      let freeReadyIdx = currentFree > 0 ? pool.index() : pool.pickFree(pool.index() + 1);
       if (freeReadyIdx === null) {
-        console.log(`[run ${runNumber + 1}] free=0 по данным конфига, перепроверяем лимиты всех аккаунтов...`);
-        await refreshLimitsForAccounts(accounts, accountIndex, client);
+        nextRunLog.info("free=0 по данным конфига, перепроверяем лимиты всех аккаунтов");
+        await refreshLimitsForAccounts(pool);
         currentFree = Number.isFinite(currentAccount.remaining_free)
           ? currentAccount.remaining_free
           : getRemainingFree(preLimits);
-        freeReadyIdx = currentFree > 0 ? accountIndex : findNextFreeAccountIndex(accounts, accountIndex + 1);
+        freeReadyIdx = currentFree > 0 ? pool.index() : pool.pickFree(pool.index() + 1);
       }
-      if (freeReadyIdx !== null && freeReadyIdx !== accountIndex) {
-        console.log(
-          `[run ${runNumber + 1}] switching to account ${accounts[freeReadyIdx].name || "default"} (free quota ready)`
-        );
-        if (detachUpdates) {
-          try {
-            detachUpdates();
-          } catch (_) {
-            /* ignore */
-          }
-        }
-        try {
-          await client.close();
-          client.destroy();
-        } catch (_) {
-          /* ignore */
-        }
-        accountIndex = freeReadyIdx;
-        currentAccount = accounts[accountIndex];
-        await ensureAccountDirs(currentAccount);
-        client = createClientWithDirs({
-          databaseDirectory: currentAccount.database_directory,
-          filesDirectory: currentAccount.files_directory
-        });
-        detachUpdates = attachUpdateProcessor(client, dbOps, targets);
-        await login(client);
+      if (freeReadyIdx !== null && freeReadyIdx !== pool.index()) {
+        nextRunLog.info("переключаемся на аккаунт с free", { to: accounts[freeReadyIdx].name || "default" });
+        await pool.switchTo(freeReadyIdx);
         continue;
       }
 
-      const freeReady = freeReadyIdx !== null && freeReadyIdx === accountIndex && currentFree > 0;
+      const freeReady = freeReadyIdx !== null && freeReadyIdx === pool.index() && currentFree > 0;
       let useStars = false;
       if (!freeReady) {
-        const starIdx = findStarAccountIndex(accounts, STAR_SPEND);
+        const starIdx = pool.pickStars(STAR_SPEND);
         if (starIdx === null) {
-          const nextTs = nextFreeTimestamp(accounts);
+          const nextTs = pool.nextFreeTimestamp();
           const sleepMs = nextTs ? Math.max(1000, nextTs - now) : DEFAULT_PERIOD_MS;
-          console.log(`[run ${runNumber + 1}] free=0 у всех и звёзд нет, спим ${sleepMs} мс до ближайшего free`);
+          if (once) {
+            nextRunLog.info("free=0 у всех, звёзд нет или бюджет исчерпан — выходим (--once)");
+            break;
+          }
+          nextRunLog.info("free=0 у всех, звёзд нет или бюджет исчерпан, спим до ближайшего free", { sleep_ms: sleepMs });
           await delayWithStop(sleepMs, stopSignal);
           continue;
         }
-        if (starIdx !== accountIndex) {
-          console.log(
-            `[run ${runNumber + 1}] switching to account ${accounts[starIdx].name || "default"} (use stars)`
-          );
-          if (detachUpdates) {
-            try {
-              detachUpdates();
-            } catch (_) {
-              /* ignore */
-            }
-          }
-          try {
-            await client.close();
-            client.destroy();
-          } catch (_) {
-            /* ignore */
-          }
-          accountIndex = starIdx;
-          currentAccount = accounts[accountIndex];
-          await ensureAccountDirs(currentAccount);
-          client = createClientWithDirs({
-            databaseDirectory: currentAccount.database_directory,
-            filesDirectory: currentAccount.files_directory
-          });
-          detachUpdates = attachUpdateProcessor(client, dbOps, targets);
-          await login(client);
+        if (starIdx !== pool.index()) {
+          nextRunLog.info("переключаемся на аккаунт со звёздами", { to: accounts[starIdx].name || "default" });
+          await pool.switchTo(starIdx);
           continue;
         }
         const starCost = currentAccount.star_cost_per_query ?? STAR_SPEND;
         if (!Number.isFinite(starCost) || starCost <= 0) {
-          const nextTs = nextFreeTimestamp(accounts);
+          const nextTs = pool.nextFreeTimestamp();
           const sleepMs = nextTs ? Math.max(1000, nextTs - now) : DEFAULT_PERIOD_MS;
-          console.log(`[run ${runNumber + 1}] на звёздном аккаунте звёзд нет, спим ${sleepMs} мс до free`);
+          if (once) {
+            nextRunLog.info("на звёздном аккаунте звёзд нет — выходим (--once)");
+            break;
+          }
+          nextRunLog.info("на звёздном аккаунте звёзд нет, спим до free", { sleep_ms: sleepMs });
           await delayWithStop(sleepMs, stopSignal);
           continue;
         }
@@ -1158,51 +1881,127 @@ async function main() {
 
       const starCountForRun = useStars ? (currentAccount.star_cost_per_query || STAR_SPEND) : 0;
 
+      // продолжаем прерванный run, только если совпали аккаунт и режим (free/звёзды)
+      let resume = null;
+      if (pendingResume) {
+        const sameAccount = pendingResume.account_name === (currentAccount.name || "default");
+        const sameMode = (Number(pendingResume.star_count) > 0) === useStars;
+        if (sameAccount && sameMode) {
+          resume = pendingResume;
+        } else {
+          nextRunLog.info("прерванный run не продолжаем (другой аккаунт/режим)", { run_id: pendingResume.run_id });
+          dbOps.abandonRuns();
+        }
+        pendingResume = null;
+      }
+
+      const query = resume ? resume.query : scheduler.next();
+      const starCount = resume ? Number(resume.star_count) || 0 : starCountForRun;
       runNumber += 1;
       currentRunId = null;
       metricsBuffer.clear();
-      console.log(`[run ${runNumber}] start (account=${currentAccount.name || "default"}${useStars ? ", stars=1" : ""})`);
-      try {
-        const info = dbOps.insertRun(currentAccount.name || "default");
-        const runId = Number(info?.lastInsertRowid);
-        currentRunId = Number.isFinite(runId) ? runId : null;
-      } catch (err) {
-        console.warn(`[run ${runNumber}] не удалось создать запись run: ${err.message || err}`);
+      const runStartedAt = Date.now();
+      let runLog = log.child({ run: runNumber, account: currentAccount.name || "default", query });
+      if (resume) {
+        currentRunId = resume.run_id;
+        try {
+          dbOps.resumeRun(currentRunId);
+        } catch (err) {
+          runLog.warn("не удалось обновить run", { run_id: currentRunId, error: err });
+        }
+      } else {
+        try {
+          const info = dbOps.insertRun(currentAccount.name || "default", query, starCount);
+          const runId = Number(info?.lastInsertRowid);
+          currentRunId = Number.isFinite(runId) ? runId : null;
+        } catch (err) {
+          runLog.warn("не удалось создать запись run", { error: err });
+        }
       }
+      runLog = runLog.child({ run_id: currentRunId ?? undefined });
+      runLog.info(resume ? "продолжаем run" : "старт run", {
+        page: resume ? resume.page : undefined,
+        star_count: starCount || undefined
+      });
+      pool.markUsed();
       await delayWithStop(delayMs, stopSignal);
 
-      const { total, limitsExceeded, balanceLow } = await runSearchLoop(client, {
-        query,
-        limit,
-        starCount: starCountForRun,
-        delayMs,
-        dbOps,
-        targets,
-        stopSignal
+      const spend =
+        starCount > 0 ? starBudget.forRun({ runId: currentRunId, account: currentAccount, query, starCount }) : null;
+      const runStats = { pages: 0, messages: 0, newPosts: 0, newChannels: 0, starsSpent: 0 };
+      let result;
+      try {
+        result = await runSearchLoop(client, {
+          query,
+          runId: currentRunId,
+          startOffset: resume?.next_offset,
+          startPage: resume?.page,
+          limit,
+          starCount,
+          delayMs,
+          dbOps,
+          targets,
+          stopSignal,
+          tracker,
+          spend,
+          stats: runStats,
+          log: runLog
+        });
+      } catch (err) {
+        if (currentRunId !== null) {
+          try {
+            dbOps.finishRun(currentRunId, {
+              status: replay && isReplayEnd(err) ? "aborted" : "error",
+              error: err?.message || String(err),
+              // offset остаётся: после рестарта run продолжится, иначе его закроет abandonRuns
+              finished: false,
+              stats: { ...runStats, durationMs: Date.now() - runStartedAt }
+            });
+          } catch (finishErr) {
+            runLog.warn("не удалось обновить run", { error: finishErr });
+          }
+        }
+        throw err;
+      }
+      const { total, newPosts, limitsExceeded, balanceLow, budgetExhausted, floodWaitMs, interrupted } = result;
+      const status = runStatus(result);
+      runLog.info("run завершён", {
+        status,
+        pages: runStats.pages,
+        messages: total,
+        new: newPosts,
+        new_channels: runStats.newChannels,
+        stars_spent: runStats.starsSpent || undefined,
+        duration_ms: Date.now() - runStartedAt
       });
-      console.log(`[run ${runNumber}] Готово. Всего сообщений: ${total}`);
+      scannerMetrics.recordRun(status === "aborted" ? "interrupted" : status);
       if (balanceLow) {
-        console.warn(`[run ${runNumber}] остановка поиска: на аккаунте нет звёзд, ждём бесплатные лимиты`);
+        runLog.warn("остановка поиска: на аккаунте нет звёзд, ждём бесплатные лимиты");
         currentAccount.skip_stars = true;
       }
-      const limits = limitsExceeded || balanceLow || useStars ? await logLimits(client) : preLimits;
+      if (budgetExhausted) {
+        runLog.warn("бюджет звёзд исчерпан, платные run'ы приостановлены до следующего периода");
+      }
+      const limits = limitsExceeded || balanceLow || useStars ? await logLimits(client, runLog) : preLimits;
       const limitsZero =
         limitsExceeded ||
         (limits && typeof limits.remaining_free_query_count === "number" && limits.remaining_free_query_count <= 0);
       if (currentRunId !== null) {
         try {
-          dbOps.updateRun(currentRunId, limits ? JSON.stringify(limits) : null, limitsZero);
+          // прерванный посреди выдачи run остаётся открытым (aborted), чтобы его продолжили после рестарта
+          dbOps.finishRun(currentRunId, {
+            status,
+            limitsJson: limits ? JSON.stringify(limits) : null,
+            limitsExceeded: limitsZero,
+            finished: !interrupted,
+            stats: { ...runStats, durationMs: Date.now() - runStartedAt }
+          });
         } catch (err) {
-          console.warn(`[run ${runNumber}] не удалось обновить run: ${err.message || err}`);
+          runLog.warn("не удалось обновить run", { error: err });
         }
       }
       currentRunId = null;
-      try {
-        await flushMetricsBuffer();
-      } catch (err) {
-        console.error(`[run ${runNumber}] не удалось записать метрики в ClickHouse: ${err.message || err}`);
-        throw err;
-      }
+      await flushMetricsBuffer();
       const nextFreeAfter = Number(limits?.next_free_query_in);
       const starCostAfter =
         typeof limits?.star_count === "string" ? Number(limits.star_count) : Number(limits?.star_count);
@@ -1229,106 +2028,94 @@ async function main() {
           ? currentAccount.star_balance
           : null;
       await writeAccounts(accounts);
-      if (stopRequested) break;
+      if (stopRequested || once) break;
 
       // если жгли звёзды, но free где-то уже готов — переключимся сразу
       if (useStars && accounts.length > 1) {
-        const freeIdx = findNextFreeAccountIndex(accounts, 0);
-        if (freeIdx !== null && freeIdx !== accountIndex) {
-          console.log(
-            `[run ${runNumber}] free восстановился на аккаунте ${accounts[freeIdx].name || "default"}, переключаемся`
-          );
-          if (detachUpdates) {
-            try {
-              detachUpdates();
-            } catch (_) {
-              // ignore
-            }
-          }
-          try {
-            await client.close();
-            client.destroy();
-          } catch (_) {
-            // ignore
-          }
-          accountIndex = freeIdx;
-          currentAccount = accounts[accountIndex];
-          await ensureAccountDirs(currentAccount);
-          client = createClientWithDirs({
-            databaseDirectory: currentAccount.database_directory,
-            filesDirectory: currentAccount.files_directory
-          });
-          detachUpdates = attachUpdateProcessor(client, dbOps, targets);
-          await login(client);
+        const freeIdx = pool.pickFree(0);
+        if (freeIdx !== null && freeIdx !== pool.index()) {
+          runLog.info("free восстановился на другом аккаунте, переключаемся", { to: accounts[freeIdx].name || "default" });
+          await pool.switchTo(freeIdx);
           continue; // сразу следующий run без сна
         }
       }
 
+      // аккаунт под FLOOD_WAIT — продолжаем на другом, где есть free
+      if (floodWaitMs > 0 && accounts.length > 1) {
+        const nextFreeIdx = pool.pickFree(pool.index() + 1);
+        if (nextFreeIdx !== null && nextFreeIdx !== pool.index()) {
+          runLog.info("FLOOD_WAIT, переключаемся", { to: accounts[nextFreeIdx].name || "default" });
+          await pool.switchTo(nextFreeIdx);
+          continue;
+        }
+      }
+
       // если free закончился на текущем и мы не на звёздах — переключаемся на следующий free
       if (!useStars && limitsZero && accounts.length > 1) {
-        const nextFreeIdx = findNextFreeAccountIndex(accounts, accountIndex + 1);
-        if (nextFreeIdx !== null && nextFreeIdx !== accountIndex) {
-          console.log(`[run ${runNumber}] limits zero, switching to ${accounts[nextFreeIdx].name || "default"}`);
-          if (detachUpdates) {
-            try {
-              detachUpdates();
-            } catch (_) {
-              // ignore
-            }
-          }
-          try {
-            await client.close();
-            client.destroy();
-          } catch (_) {
-            // ignore
-          }
-          accountIndex = nextFreeIdx;
-          currentAccount = accounts[accountIndex];
-          await ensureAccountDirs(currentAccount);
-          client = createClientWithDirs({
-            databaseDirectory: currentAccount.database_directory,
-            filesDirectory: currentAccount.files_directory
-          });
-          detachUpdates = attachUpdateProcessor(client, dbOps, targets);
-          await login(client);
+        const nextFreeIdx = pool.pickFree(pool.index() + 1);
+        if (nextFreeIdx !== null && nextFreeIdx !== pool.index()) {
+          runLog.info("free закончился, переключаемся", { to: accounts[nextFreeIdx].name || "default" });
+          await pool.switchTo(nextFreeIdx);
           continue; // сразу следующий run без сна
         }
       }
 
       let sleepMs = DEFAULT_PERIOD_MS;
       if (useStars) {
-        const nextTs = nextFreeTimestamp(accounts);
+        const nextTs = pool.nextFreeTimestamp();
         if (nextTs) {
           sleepMs = Math.min(sleepMs, Math.max(1000, nextTs - Date.now()));
         }
       }
-      console.log(`[run ${runNumber}] sleep ${sleepMs} мс до следующего запуска...`);
+      if (floodWaitMs > 0) {
+        // аккаунт заблокирован FLOOD_WAIT: до конца блокировки его вызовы всё равно не пройдут
+        sleepMs = Math.max(sleepMs, limiter.blockedFor(currentAccount.name || "default"));
+      }
+      runLog.info("пауза до следующего run", { sleep_ms: sleepMs });
       await delayWithStop(sleepMs, stopSignal);
       if (stopRequested) break;
       continue;
     }
   } catch (err) {
-    console.error(`searchPublicPosts failed: ${err.message || err}`);
-    process.exitCode = 1;
+    if (replay && isReplayEnd(err)) {
+      log.info("запись закончилась, останавливаемся", { replay: REPLAY_PATH, reason: err.message });
+    } else {
+      log.error("searchPublicPosts failed", { run: runNumber, run_id: currentRunId ?? undefined, error: err });
+      if (currentRunId !== null) {
+        scannerMetrics.recordRun("error");
+      }
+      process.exitCode = 1;
+    }
   } finally {
     shuttingDown = true;
+    if (tracker) {
+      await tracker.stop();
+    }
+    if (historyCrawler) {
+      await historyCrawler.stop();
+    }
+    if (similarCrawler) {
+      await similarCrawler.stop();
+    }
     try {
       await flushMetricsBuffer();
     } catch (err) {
-      console.warn(`flush metrics failed: ${err.message || err}`);
+      log.warn("flush metrics failed", { error: err });
     }
-    try {
-      if (detachUpdates) detachUpdates();
-    } catch (_) {
-      // ignore
+    if (clickhouseSpool) {
+      await clickhouseSpool.stop();
     }
-    try {
-      if (typeof client.close === "function") {
-        await client.close();
-      }
-      client.destroy();
-    } catch (_) {
-      // ignore
+    await pool.close();
+    if (recorder) {
+      await recorder.close();
+      log.info("запись TDLib закрыта", { record: RECORD_PATH, events: recorder.written() });
+    }
+    if (replay) {
+      const { served, remaining } = replay.stats();
+      log.info("воспроизведение завершено", { replay: REPLAY_PATH, served, remaining });
+    }
+    if (metricsServer) {
+      metricsServer.close();
     }
     try {
       dbOps.db.close();
@@ -1338,9 +2125,16 @@ async function main() {
   }
 }
 
+module.exports = {
+  main,
+  checkAccounts,
+  readAccounts,
+  writeAccounts
+};
+
 if (require.main === module) {
   main().catch((err) => {
-    console.error(err);
+    log.error("scanner failed", { error: err, stack: err?.stack });
     process.exitCode = 1;
   });
 }
@@ -0,0 +1,99 @@
+"use strict";
+
+/**
+ * Список поисковых запросов для searchPublicPosts и их ротация между run'ами.
+ *
+ * Конфиг — JSON-массив строк или объектов `{ query, weight, priority, enabled }`
+ * (можно обернуть в `{ "queries": [...] }`). Вес задаёт долю run'ов, priority
+ * решает ничьи (и то, с какого запроса начинается ротация).
+ */
+
+const fs = require("node:fs/promises");
+const { createLogger } = require("./logger");
+
+const log = createLogger("queries");
+
+const DEFAULT_WEIGHT = 1;
+
+function sanitizeQuery(entry) {
+  const raw = typeof entry === "string" ? { query: entry } : entry;
+  if (!raw || typeof raw !== "object") return null;
+  const query = typeof raw.query === "string" ? raw.query.trim() : "";
+  if (!query) return null;
+  const weight = Number(raw.weight);
+  const priority = Number(raw.priority);
+  return {
+    query,
+    weight: Number.isFinite(weight) && weight > 0 ? weight : DEFAULT_WEIGHT,
+    priority: Number.isFinite(priority) ? priority : 0,
+    enabled: raw.enabled !== false
+  };
+}
+
+function dedupeQueries(list) {
+  const seen = new Map();
+  for (const entry of list) {
+    if (!entry || seen.has(entry.query)) continue;
+    seen.set(entry.query, entry);
+  }
+  return Array.from(seen.values());
+}
+
+async function readQueries(configPath, fallbackQuery) {
+  let entries = [];
+  if (configPath) {
+    try {
+      const raw = await fs.readFile(configPath, "utf8");
+      const parsed = JSON.parse(raw);
+      const arr = Array.isArray(parsed) ? parsed : Array.isArray(parsed.queries) ? parsed.queries : [];
+      entries = dedupeQueries(arr.map(sanitizeQuery));
+    } catch (err) {
+      if (err?.code !== "ENOENT") {
+        log.warn("не удалось прочитать конфиг запросов", { config: configPath, error: err });
+      }
+    }
+  }
+  if (!entries.some((entry) => entry.enabled)) {
+    const fallback = sanitizeQuery(fallbackQuery);
+    if (fallback) entries = [fallback];
+  }
+  return entries;
+}
+
+/**
+ * Плавный weighted round-robin (как в nginx): запросы чередуются, а не идут пачками,
+ * при этом за totalWeight run'ов каждый запрос получает ровно weight запусков.
+ */
+function createQueryScheduler(entries) {
+  const items = (Array.isArray(entries) ? entries : [])
+    .filter((entry) => entry && entry.enabled !== false)
+    .sort((a, b) => b.priority - a.priority)
+    .map((entry) => ({ ...entry, current: 0 }));
+  const totalWeight = items.reduce((acc, item) => acc + item.weight, 0);
+
+  const next = () => {
+    if (items.length === 0) return null;
+    let best = null;
+    for (const item of items) {
+      item.current += item.weight;
+      if (!best || item.current > best.current) {
+        best = item;
+      }
+    }
+    best.current -= totalWeight;
+    return best.query;
+  };
+
+  const list = () => items.map(({ query, weight, priority }) => ({ query, weight, priority }));
+
+  return {
+    next,
+    list,
+    size: items.length
+  };
+}
+
+module.exports = {
+  readQueries,
+  createQueryScheduler
+};
@@ -0,0 +1,205 @@
+"use strict";
+
+/**
+ * Поиск каналов через рекомендации Telegram (getChatSimilarChats): для каналов из `public_search`
+ * запрашиваются похожие, рёбра графа рекомендаций пишутся в `channel_similar`, а каналы, которых
+ * ещё нет в `public_search`, отдаются наружу (onChannels) — там для них подтягиваются метаданные.
+ * В `discovered_channels` (через какой канал и на какой глубине найдены) канал пишется только после
+ * того, как попал в `public_search`: не получившийся getChat повторится, когда канал снова найдётся
+ * в рекомендациях.
+ *
+ * Глубина: канал из поиска — 0, рекомендованный им — 1 и т.д.; рекомендации запрашиваются только
+ * у каналов с глубиной меньше maxDepth, иначе граф разрастается без предела.
+ */
+
+const { createLogger } = require("./logger");
+const { createPeriodicLoop } = require("./periodic-loop");
+
+const log = createLogger("similar");
+
+function toChatId(value) {
+  const num = Number(value);
+  return Number.isFinite(num) && num !== 0 ? Math.trunc(num) : null;
+}
+
+function ensureSimilarChannelsTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS channel_similar (
+      chat_id INTEGER NOT NULL,
+      similar_chat_id INTEGER NOT NULL,
+      position INTEGER,
+      first_seen_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      PRIMARY KEY(chat_id, similar_chat_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_channel_similar_similar ON channel_similar(similar_chat_id);
+
+    CREATE TABLE IF NOT EXISTS discovered_channels (
+      chat_id INTEGER PRIMARY KEY,
+      via_chat_id INTEGER,
+      depth INTEGER NOT NULL,
+      discovered_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS similar_crawl (
+      chat_id INTEGER PRIMARY KEY,
+      total_count INTEGER,
+      similar_count INTEGER,
+      last_crawled_at INTEGER,
+      last_error TEXT
+    );
+  `);
+}
+
+function createSimilarChannelsCrawler(options) {
+  const {
+    db,
+    getClient,
+    onChannels,
+    maxDepth = 1,
+    intervalMs = 5 * 60 * 1000,
+    channelsPerTick = 10,
+    recrawlSec = 7 * 24 * 3600,
+    requestDelayMs = 1000
+  } = options;
+  if (!Number.isFinite(maxDepth) || maxDepth < 1) {
+    throw new Error(`Invalid similar channels depth: ${maxDepth}`);
+  }
+
+  ensureSimilarChannelsTables(db);
+
+  // каналы с супергруппой (у обычных чатов рекомендаций нет); сначала ни разу не запрошенные
+  const selectDue = db.prepare(`
+    SELECT ps.chat_id, COALESCE(dc.depth, 0) AS depth
+    FROM public_search ps
+    LEFT JOIN discovered_channels dc ON dc.chat_id = ps.chat_id
+    LEFT JOIN similar_crawl sc ON sc.chat_id = ps.chat_id
+    WHERE ps.supergroup_id IS NOT NULL
+      AND COALESCE(dc.depth, 0) < ?
+      AND (sc.chat_id IS NULL OR sc.last_crawled_at <= ?)
+    ORDER BY sc.chat_id IS NOT NULL, sc.last_crawled_at, depth
+    LIMIT ?
+  `);
+  const upsertEdge = db.prepare(`
+    INSERT INTO channel_similar (chat_id, similar_chat_id, position, first_seen_at, last_seen_at)
+    VALUES (@chat_id, @similar_chat_id, @position, @seen_at, @seen_at)
+    ON CONFLICT(chat_id, similar_chat_id) DO UPDATE SET
+      position = excluded.position,
+      last_seen_at = excluded.last_seen_at
+  `);
+  const selectKnown = db.prepare(`
+    SELECT 1 FROM public_search WHERE chat_id = ?
+    UNION ALL
+    SELECT 1 FROM discovered_channels WHERE chat_id = ?
+    LIMIT 1
+  `);
+  const selectResolved = db.prepare("SELECT 1 FROM public_search WHERE chat_id = ?");
+  const insertDiscovered = db.prepare(`
+    INSERT OR IGNORE INTO discovered_channels (chat_id, via_chat_id, depth, discovered_at)
+    VALUES (@chat_id, @via_chat_id, @depth, @discovered_at)
+  `);
+  const saveState = db.prepare(`
+    INSERT INTO similar_crawl (chat_id, total_count, similar_count, last_crawled_at, last_error)
+    VALUES (@chat_id, @total_count, @similar_count, @last_crawled_at, @last_error)
+    ON CONFLICT(chat_id) DO UPDATE SET
+      total_count = COALESCE(excluded.total_count, similar_crawl.total_count),
+      similar_count = COALESCE(excluded.similar_count, similar_crawl.similar_count),
+      last_crawled_at = excluded.last_crawled_at,
+      last_error = excluded.last_error
+  `);
+
+  const loop = createPeriodicLoop({
+    tick: () => tick(),
+    intervalMs,
+    log,
+    onTick: (found, ms) => {
+      if (found > 0) log.info("найдены новые каналы", { found, ms });
+    }
+  });
+
+  /**
+   * Запрашивает похожие каналы одного канала и пишет рёбра. Возвращает впервые найденные каналы
+   * ({ chat_id, via_chat_id, depth }) — в discovered_channels их пишет tick, когда они разрешатся.
+   */
+  const crawlChannel = async (client, state, nowSec) => {
+    const res = await client.invoke({ _: "getChatSimilarChats", chat_id: state.chat_id });
+    const similarIds = (Array.isArray(res?.chat_ids) ? res.chat_ids : [])
+      .map(toChatId)
+      .filter((id) => id !== null && id !== state.chat_id);
+    const discovered = [];
+    similarIds.forEach((similarChatId, position) => {
+      upsertEdge.run({ chat_id: state.chat_id, similar_chat_id: similarChatId, position, seen_at: nowSec });
+      if (selectKnown.get(similarChatId, similarChatId)) return;
+      discovered.push({ chat_id: similarChatId, via_chat_id: state.chat_id, depth: state.depth + 1 });
+    });
+    saveState.run({
+      chat_id: state.chat_id,
+      total_count: Number.isFinite(res?.total_count) ? res.total_count : null,
+      similar_count: similarIds.length,
+      last_crawled_at: nowSec,
+      last_error: null
+    });
+    return discovered;
+  };
+
+  /**
+   * Отдаёт найденные каналы в onChannels и записывает в discovered_channels те, что после этого
+   * есть в public_search. Возвращает их число.
+   */
+  const resolveDiscovered = async (discovered, nowSec) => {
+    let resolved = 0;
+    try {
+      await onChannels(discovered.map((entry) => entry.chat_id));
+    } finally {
+      // и при ошибке посреди onChannels: у уже разрешённых каналов иначе потерялась бы глубина
+      for (const entry of discovered) {
+        if (!selectResolved.get(entry.chat_id)) continue;
+        insertDiscovered.run({ ...entry, discovered_at: nowSec });
+        resolved += 1;
+      }
+    }
+    return resolved;
+  };
+
+  /**
+   * Один проход: до channelsPerTick каналов. Возвращает число впервые найденных каналов.
+   */
+  const tick = async () => {
+    const client = getClient();
+    if (!client) return 0;
+    const nowSec = Math.floor(Date.now() / 1000);
+    const due = selectDue.all(maxDepth, nowSec - recrawlSec, channelsPerTick);
+    let found = 0;
+    for (const state of due) {
+      if (loop.stopping()) break;
+      try {
+        const discovered = await crawlChannel(client, state, nowSec);
+        if (discovered.length > 0) found += await resolveDiscovered(discovered, nowSec);
+      } catch (err) {
+        log.warn("getChatSimilarChats failed", { chat_id: state.chat_id, error: err });
+        saveState.run({
+          chat_id: state.chat_id,
+          total_count: null,
+          similar_count: null,
+          last_crawled_at: nowSec,
+          last_error: String(err.message || err)
+        });
+      }
+      if (requestDelayMs > 0 && !loop.stopping()) await loop.wait(requestDelayMs);
+    }
+    return found;
+  };
+
+
+  return {
+    tick,
+    start: loop.start,
+    stop: loop.stop
+  };
+}
+
+module.exports = {
+  ensureSimilarChannelsTables,
+  createSimilarChannelsCrawler
+};
@@ -0,0 +1,158 @@
+"use strict";
+
+/**
+ * Бюджет на платные (за звёзды) запросы searchPublicPosts.
+ *
+ * Каждый платный вызов пишется в `star_spend` (run, аккаунт, запрос, страница, цена, исход).
+ * Лимиты — на сутки, неделю (с понедельника) и календарный месяц, по UTC: общие для всех
+ * аккаунтов и отдельные для аккаунта (`star_budget_daily|weekly|monthly` в конфиге аккаунтов).
+ * В расход засчитываются только вызовы, которые TDLib принял (исход `ok` или `limits`).
+ */
+
+const PERIODS = {
+  daily: "datetime('now', 'start of day')",
+  weekly: "datetime('now', 'start of day', 'weekday 0', '-6 days')",
+  monthly: "datetime('now', 'start of month')"
+};
+const CHARGED_OUTCOMES = "('ok', 'limits')";
+
+function toLimit(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 ? num : null;
+}
+
+function normalizeLimits(raw) {
+  return {
+    daily: toLimit(raw?.daily),
+    weekly: toLimit(raw?.weekly),
+    monthly: toLimit(raw?.monthly)
+  };
+}
+
+function accountLimits(account) {
+  return normalizeLimits({
+    daily: account?.star_budget_daily,
+    weekly: account?.star_budget_weekly,
+    monthly: account?.star_budget_monthly
+  });
+}
+
+function ensureStarSpendTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS star_spend (
+      spend_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER,
+      account_name TEXT NOT NULL,
+      query TEXT,
+      page INTEGER,
+      star_count INTEGER NOT NULL,
+      outcome TEXT NOT NULL,
+      message_count INTEGER,
+      error TEXT,
+      spent_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_star_spend_spent_at ON star_spend(spent_at);
+    CREATE INDEX IF NOT EXISTS idx_star_spend_account ON star_spend(account_name, spent_at);
+  `);
+}
+
+/**
+ * options.limits — общие лимиты { daily, weekly, monthly } (null — без ограничения).
+ */
+function createStarBudget(options) {
+  const { db } = options;
+  const globalLimits = normalizeLimits(options.limits);
+  ensureStarSpendTables(db);
+
+  const insertSpend = db.prepare(`
+    INSERT INTO star_spend (run_id, account_name, query, page, star_count, outcome, message_count, error, spent_at)
+    VALUES (@run_id, @account_name, @query, @page, @star_count, @outcome, @message_count, @error, datetime('now'))
+  `);
+  const spentTotal = {};
+  const spentByAccount = {};
+  for (const [period, since] of Object.entries(PERIODS)) {
+    spentTotal[period] = db.prepare(`
+      SELECT COALESCE(SUM(star_count), 0) AS spent
+      FROM star_spend
+      WHERE outcome IN ${CHARGED_OUTCOMES} AND spent_at >= ${since}
+    `);
+    spentByAccount[period] = db.prepare(`
+      SELECT COALESCE(SUM(star_count), 0) AS spent
+      FROM star_spend
+      WHERE outcome IN ${CHARGED_OUTCOMES} AND account_name = ? AND spent_at >= ${since}
+    `);
+  }
+
+  const spent = (period, accountName = null) => {
+    const row = accountName ? spentByAccount[period].get(accountName) : spentTotal[period].get();
+    return Number(row?.spent) || 0;
+  };
+
+  /**
+   * Сколько ещё можно потратить аккаунту с учётом общих и его собственных лимитов.
+   * Возвращает { remaining, reason } (remaining = Infinity, если лимитов нет).
+   */
+  const remaining = (account) => {
+    const name = account?.name || "default";
+    const own = accountLimits(account);
+    let result = { remaining: Infinity, reason: null };
+    for (const period of Object.keys(PERIODS)) {
+      for (const [scope, limit, accountName] of [
+        ["global", globalLimits[period], null],
+        [name, own[period], name]
+      ]) {
+        if (limit === null) continue;
+        const left = limit - spent(period, accountName);
+        if (left < result.remaining) {
+          result = { remaining: left, reason: `${scope} ${period} ${limit}` };
+        }
+      }
+    }
+    return result;
+  };
+
+  const allows = (account, cost) => {
+    if (!Number.isFinite(cost) || cost <= 0) return true;
+    return remaining(account).remaining >= cost;
+  };
+
+  const record = (entry) => {
+    insertSpend.run({
+      run_id: Number.isFinite(entry.runId) ? entry.runId : null,
+      account_name: entry.accountName || "default",
+      query: entry.query ?? null,
+      page: Number.isFinite(entry.page) ? entry.page : null,
+      star_count: entry.starCount,
+      outcome: entry.outcome,
+      message_count: Number.isFinite(entry.messageCount) ? entry.messageCount : null,
+      error: entry.error ?? null
+    });
+  };
+
+  /**
+   * Обвязка для одного run: runSearchLoop спрашивает allows() перед каждой платной страницей
+   * и вызывает record() с исходом вызова.
+   */
+  const forRun = ({ runId, account, query, starCount }) => ({
+    allows: () => allows(account, starCount),
+    describe: () => remaining(account).reason,
+    record: ({ page, outcome, messageCount, error }) =>
+      record({ runId, accountName: account?.name, query, page, starCount, outcome, messageCount, error })
+  });
+
+  return {
+    limits: globalLimits,
+    spent,
+    remaining,
+    allows,
+    record,
+    forRun
+  };
+}
+
+module.exports = {
+  ensureStarSpendTables,
+  createStarBudget
+};
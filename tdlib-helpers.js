@@ -10,18 +10,18 @@ const {
   TDLIB_FILES_DIR,
   TDLIB_PATH
 } = require("./config/paths");
+const { createLogger } = require("./logger");
+
+const log = createLogger("tdlib");
 
 const API_ID = Number(process.env.TELEGRAM_API_ID);
 const API_HASH = process.env.TELEGRAM_API_HASH;
 
-if (!Number.isFinite(API_ID) || !API_HASH) {
-  throw new Error("Set TELEGRAM_API_ID and TELEGRAM_API_HASH in the environment (see .env.example).");
-}
 
 if (TDLIB_PATH && fsSync.existsSync(TDLIB_PATH)) {
   tdl.configure({ tdjson: TDLIB_PATH });
 } else if (process.env.TDLIB_PATH) {
-  console.warn(`TDLib binary not found at ${TDLIB_PATH}, falling back to default lookup.`);
+  log.warn("TDLib binary not found, falling back to default lookup", { tdlib_path: TDLIB_PATH });
 }
 
 async function ensureDirectories() {
@@ -33,7 +33,15 @@ function createClient() {
   return createClientWithDirs({ databaseDirectory: TDLIB_DATABASE_DIR, filesDirectory: TDLIB_FILES_DIR });
 }
 
+// ключи проверяем при создании клиента, а не при require: воспроизведение записи обходится без них
+function assertCredentials() {
+  if (!Number.isFinite(API_ID) || !API_HASH) {
+    throw new Error("Set TELEGRAM_API_ID and TELEGRAM_API_HASH in the environment (see .env.example).");
+  }
+}
+
 function createClientWithDirs({ databaseDirectory, filesDirectory }) {
+  assertCredentials();
   return tdl.createClient({
     apiId: API_ID,
     apiHash: API_HASH,
@@ -68,7 +76,7 @@ function ask(question) {
 async function login(client) {
   await client.login(async (retry) => {
     if (retry?.error) {
-      console.error("Auth error:", retry.error.message || retry.error);
+      log.error("auth error", { error: retry.error.message || retry.error });
     }
 
     return {
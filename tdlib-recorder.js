@@ -0,0 +1,193 @@
+"use strict";
+
+/**
+ * Запись и воспроизведение общения с TDLib.
+ *
+ * Запись: клиент оборачивается так, что каждый `invoke` (запрос + ответ или ошибка) и каждый
+ * `update` дописываются строкой NDJSON: `{ t: "invoke" | "update", ts, account, ... }`.
+ *
+ * Воспроизведение: фейковый клиент с тем же интерфейсом (`invoke`, `on`, `off`, `login`,
+ * `close`, `destroy`) отвечает из записи, без сети и логина. Ответ ищется сначала по точному
+ * совпадению запроса, затем — следующий по порядку ответ на запрос того же типа (`_`).
+ * Апдейты, записанные после ответа, отдаются подписчикам сразу после того, как этот ответ выдан.
+ * Когда ответов нужного типа не осталось, invoke падает с кодом REPLAY_END.
+ */
+
+const fs = require("node:fs");
+const { createLogger } = require("./logger");
+
+const log = createLogger("replay");
+
+const REPLAY_END = "REPLAY_END";
+
+function serializeError(err) {
+  return { message: err?.message || String(err), code: Number.isFinite(err?.code) ? err.code : null };
+}
+
+function isReplayEnd(err) {
+  return err?.code === REPLAY_END;
+}
+
+function createRecorder(filePath) {
+  const stream = fs.createWriteStream(filePath, { flags: "a" });
+  let written = 0;
+
+  const write = (entry) => {
+    stream.write(`${JSON.stringify({ ts: Date.now(), ...entry })}\n`);
+    written += 1;
+  };
+
+  /**
+   * Возвращает обёртку над client, которая пишет все invoke и update в файл.
+   */
+  const wrap = (client, account = null) => {
+    const onUpdate = (update) => write({ t: "update", account, update });
+    client.on("update", onUpdate);
+    return {
+      invoke: async (request) => {
+        try {
+          const response = await client.invoke(request);
+          write({ t: "invoke", account, request, response });
+          return response;
+        } catch (err) {
+          write({ t: "invoke", account, request, error: serializeError(err) });
+          throw err;
+        }
+      },
+      on: (event, handler) => client.on(event, handler),
+      off: (event, handler) => client.off(event, handler),
+      login: (...args) => client.login(...args),
+      close: async () => {
+        client.off("update", onUpdate);
+        return client.close();
+      },
+      destroy: () => client.destroy()
+    };
+  };
+
+  const close = () =>
+    new Promise((resolve) => {
+      stream.end(resolve);
+    });
+
+  return {
+    wrap,
+    close,
+    written: () => written
+  };
+}
+
+function readRecording(filePath) {
+  const entries = [];
+  const lines = fs.readFileSync(filePath, "utf8").split("\n");
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      throw new Error(`${filePath}:${i + 1}: invalid NDJSON (${err.message})`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * options.onEnd — вызывается один раз, когда запросу не нашлось ответа в записи.
+ */
+function createReplaySource(filePath, options = {}) {
+  const { onEnd } = options;
+  const invokes = [];
+  const leadingUpdates = [];
+  for (const entry of readRecording(filePath)) {
+    if (entry.t === "invoke" && entry.request) {
+      invokes.push({ ...entry, key: JSON.stringify(entry.request), updates: [], used: false });
+    } else if (entry.t === "update" && entry.update) {
+      (invokes.length > 0 ? invokes[invokes.length - 1].updates : leadingUpdates).push(entry.update);
+    }
+  }
+
+  const listeners = new Set();
+  let served = 0;
+  let ended = false;
+
+  const emit = (updates) => {
+    if (updates.length === 0) return;
+    setImmediate(() => {
+      for (const update of updates) {
+        for (const handler of listeners) {
+          try {
+            handler(update);
+          } catch (err) {
+            log.warn("update handler failed", { update: update?._, error: err });
+          }
+        }
+      }
+    });
+  };
+
+  const take = (request) => {
+    const key = JSON.stringify(request);
+    const entry =
+      invokes.find((item) => !item.used && item.key === key) ||
+      invokes.find((item) => !item.used && item.request._ === request?._);
+    if (!entry) return null;
+    entry.used = true;
+    served += 1;
+    return entry;
+  };
+
+  const createClient = () => {
+    const handlers = new Set();
+    return {
+      invoke: async (request) => {
+        const entry = take(request);
+        if (!entry) {
+          if (!ended) {
+            ended = true;
+            if (typeof onEnd === "function") onEnd();
+          }
+          const err = new Error(`Replay has no response for ${request?._}`);
+          err.code = REPLAY_END;
+          throw err;
+        }
+        emit(entry.updates);
+        if (entry.error) {
+          const err = new Error(entry.error.message);
+          err.code = entry.error.code;
+          throw err;
+        }
+        return entry.response;
+      },
+      on: (event, handler) => {
+        if (event !== "update") return;
+        handlers.add(handler);
+        listeners.add(handler);
+      },
+      off: (event, handler) => {
+        handlers.delete(handler);
+        listeners.delete(handler);
+      },
+      login: async () => {
+        emit(leadingUpdates.splice(0, leadingUpdates.length));
+      },
+      close: async () => {
+        for (const handler of handlers) listeners.delete(handler);
+        handlers.clear();
+      },
+      destroy: () => {}
+    };
+  };
+
+  return {
+    createClient,
+    stats: () => ({ total: invokes.length, served, remaining: invokes.length - served })
+  };
+}
+
+module.exports = {
+  REPLAY_END,
+  isReplayEnd,
+  createRecorder,
+  createReplaySource
+};
@@ -0,0 +1,78 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { DatabaseSync } = require("node:sqlite");
+
+const { createHistoryCrawler } = require("../history-crawler");
+
+const CHAT_ID = -1001;
+const DAY = 86400;
+
+// история канала в памяти, getChatHistory отдаёт её так же, как TDLib: от новых к старым, с from_message_id
+function createFakeClient(messages) {
+  return {
+    messages,
+    invoke: async (request) => {
+      assert.strictEqual(request._, "getChatHistory");
+      const sorted = [...messages].sort((a, b) => b.id - a.id);
+      const page = sorted.filter((m) => request.from_message_id === 0 || m.id <= request.from_message_id);
+      return { messages: page.slice(0, request.limit) };
+    }
+  };
+}
+
+function message(id, date, text) {
+  return { id, chat_id: CHAT_ID, date, content: { _: "messageText", text: { text, entities: [] } } };
+}
+
+function setup(messages) {
+  const db = new DatabaseSync(":memory:");
+  db.exec("CREATE TABLE public_search (chat_id INTEGER PRIMARY KEY)");
+  db.prepare("INSERT INTO public_search (chat_id) VALUES (?)").run(CHAT_ID);
+  const client = createFakeClient(messages);
+  const found = [];
+  const crawler = createHistoryCrawler({
+    db,
+    getClient: () => client,
+    onMessages: async (ads) => {
+      found.push(...ads.map((m) => m.id));
+    },
+    windowDays: 30,
+    recrawlSec: 0,
+    pageDelayMs: 0
+  });
+  const state = () => db.prepare("SELECT * FROM history_crawl WHERE chat_id = ?").get(CHAT_ID);
+  return { client, crawler, found, state };
+}
+
+test("канал без постов в окне: граница — верхний пост, новые посты обходятся", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const { client, crawler, found, state } = setup([
+    message(10, now - 90 * DAY, "Реклама. старый пост"),
+    message(11, now - 60 * DAY, "обычный пост")
+  ]);
+
+  assert.strictEqual(await crawler.tick(), 0);
+  assert.strictEqual(state().complete, 1);
+  assert.strictEqual(state().newest_message_id, 11);
+
+  client.messages.push(message(12, now - 60, "Реклама. ООО «Ромашка»"));
+  assert.strictEqual(await crawler.tick(), 1);
+  assert.deepStrictEqual(found, [12]);
+  assert.strictEqual(state().newest_message_id, 12);
+});
+
+test("пустой канал: после первых постов они обходятся", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const { client, crawler, found, state } = setup([]);
+
+  assert.strictEqual(await crawler.tick(), 0);
+  assert.strictEqual(state().complete, 1);
+  assert.strictEqual(state().newest_message_id, null);
+
+  client.messages.push(message(1, now - 60, "Реклама. ООО «Ромашка»"));
+  assert.strictEqual(await crawler.tick(), 1);
+  assert.deepStrictEqual(found, [1]);
+  assert.strictEqual(state().newest_message_id, 1);
+});
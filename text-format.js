@@ -0,0 +1,301 @@
+"use strict";
+
+/**
+ * Форматированный текст TDLib (`formattedText`: text + entities) -> Markdown, безопасный HTML
+ * и плоский список сущностей. offset/length у TDLib — в UTF-16 code units, как и у строк JS.
+ *
+ * Сущности вкладываются друг в друга (жирный внутри ссылки и т.п.); частично пересекающиеся
+ * TDLib не отдаёт, а если такая встретится — её оформление пропускается, текст не теряется.
+ */
+
+const SAFE_URL_RE = /^(https?:|tg:|mailto:)/i;
+const MARKDOWN_SPECIAL_RE = /([\\`*_[\]~<>])/g;
+
+// textEntityTypeTextUrl -> text_url
+function entityTypeName(entity) {
+  const raw = entity?.type?._;
+  if (typeof raw !== "string") return null;
+  return raw
+    .replace(/^textEntityType/, "")
+    .replace(/(?!^)([A-Z])/g, "_$1")
+    .toLowerCase();
+}
+
+function getFormattedText(message) {
+  const content = message?.content;
+  if (!content) return null;
+  if (content.text && typeof content.text.text === "string") return content.text;
+  if (content.caption && typeof content.caption.text === "string") return content.caption;
+  return null;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function escapeMarkdown(value) {
+  return String(value).replace(MARKDOWN_SPECIAL_RE, "\\$1");
+}
+
+// ссылка, на которую указывает сущность (или null, если это не ссылка)
+function entityHref(entity, slice) {
+  const type = entity?.type || {};
+  switch (type._) {
+    case "textEntityTypeTextUrl":
+      return type.url || null;
+    case "textEntityTypeUrl":
+      return /^[a-z][a-z0-9+.-]*:/i.test(slice) ? slice : `https://${slice}`;
+    case "textEntityTypeEmailAddress":
+      return `mailto:${slice}`;
+    case "textEntityTypeMention":
+      return `https://t.me/${slice.replace(/^@/, "")}`;
+    case "textEntityTypeMentionName":
+      return Number.isFinite(type.user_id) ? `tg://user?id=${type.user_id}` : null;
+    default:
+      return null;
+  }
+}
+
+// пробелы по краям выносим за разделители: "**жирный **" в Markdown не распознаётся
+function delimit(inner, mark) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(inner);
+  if (!match[2]) return inner;
+  return `${match[1]}${mark}${match[2]}${mark}${match[3]}`;
+}
+
+function safeHref(href) {
+  return typeof href === "string" && SAFE_URL_RE.test(href.trim()) ? href.trim() : null;
+}
+
+function normalizeEntities(formatted) {
+  const text = formatted?.text || "";
+  const list = Array.isArray(formatted?.entities) ? formatted.entities : [];
+  return list
+    .filter((entity) => Number.isFinite(entity?.offset) && Number.isFinite(entity?.length) && entity.length > 0)
+    .filter((entity) => entity.offset >= 0 && entity.offset < text.length)
+    .map((entity, index) => ({ entity, index, start: entity.offset, end: Math.min(text.length, entity.offset + entity.length) }))
+    .sort((a, b) => a.start - b.start || b.end - a.end || a.index - b.index);
+}
+
+/**
+ * Обходит текст с вложенными сущностями: formatter.text(plain) для кусков без сущностей,
+ * formatter.wrap(entity, inner, slice) для сущности (inner — уже отрендеренное содержимое).
+ */
+function renderFormatted(formatted, formatter) {
+  const text = formatted?.text || "";
+  const spans = normalizeEntities(formatted);
+
+  const renderRange = (items, start, end) => {
+    let out = "";
+    let pos = start;
+    for (let i = 0; i < items.length; i += 1) {
+      const span = items[i];
+      if (span.start < pos || span.end > end) continue;
+      out += formatter.text(text.slice(pos, span.start));
+      const children = items.slice(i + 1).filter((child) => child.start >= span.start && child.end <= span.end);
+      const slice = text.slice(span.start, span.end);
+      out += formatter.wrap(span.entity, renderRange(children, span.start, span.end), slice);
+      pos = span.end;
+    }
+    return out + formatter.text(text.slice(pos, end));
+  };
+
+  return renderRange(spans, 0, text.length);
+}
+
+const MARKDOWN_FORMATTER = {
+  text: escapeMarkdown,
+  wrap: (entity, inner, slice) => {
+    const type = entity.type || {};
+    switch (type._) {
+      case "textEntityTypeBold":
+        return delimit(inner, "**");
+      case "textEntityTypeItalic":
+        return delimit(inner, "*");
+      case "textEntityTypeUnderline":
+        return `<u>${inner}</u>`;
+      case "textEntityTypeStrikethrough":
+        return delimit(inner, "~~");
+      case "textEntityTypeSpoiler":
+        return delimit(inner, "||");
+      case "textEntityTypeCode":
+        return `\`${slice.replace(/`/g, "\\`")}\``;
+      case "textEntityTypePre":
+      case "textEntityTypePreCode":
+        return `\n\`\`\`${type.language || ""}\n${slice}\n\`\`\`\n`;
+      case "textEntityTypeBlockQuote":
+      case "textEntityTypeExpandableBlockQuote":
+        return inner
+          .split("\n")
+          .map((line) => `> ${line}`)
+          .join("\n");
+      case "textEntityTypeTextUrl":
+      case "textEntityTypeUrl":
+      case "textEntityTypeEmailAddress":
+      case "textEntityTypeMentionName": {
+        const href = safeHref(entityHref(entity, slice));
+        return href ? `[${inner}](${href.replace(/[()]/g, (ch) => encodeURIComponent(ch))})` : inner;
+      }
+      default:
+        return inner;
+    }
+  }
+};
+
+const HTML_FORMATTER = {
+  text: (value) => escapeHtml(value).replace(/\n/g, "<br>"),
+  wrap: (entity, inner, slice) => {
+    const type = entity.type || {};
+    switch (type._) {
+      case "textEntityTypeBold":
+        return `<b>${inner}</b>`;
+      case "textEntityTypeItalic":
+        return `<i>${inner}</i>`;
+      case "textEntityTypeUnderline":
+        return `<u>${inner}</u>`;
+      case "textEntityTypeStrikethrough":
+        return `<s>${inner}</s>`;
+      case "textEntityTypeSpoiler":
+        return `<span class="tg-spoiler">${inner}</span>`;
+      case "textEntityTypeCode":
+        return `<code>${escapeHtml(slice)}</code>`;
+      case "textEntityTypePre":
+      case "textEntityTypePreCode": {
+        const language = /^[A-Za-z0-9_+-]+$/.test(type.language || "") ? ` class="language-${type.language}"` : "";
+        return `<pre><code${language}>${escapeHtml(slice)}</code></pre>`;
+      }
+      case "textEntityTypeBlockQuote":
+      case "textEntityTypeExpandableBlockQuote":
+        return `<blockquote>${inner}</blockquote>`;
+      default: {
+        const href = safeHref(entityHref(entity, slice));
+        if (!href) return inner;
+        return `<a href="${escapeHtml(href)}" target="_blank" rel="nofollow noopener noreferrer">${inner}</a>`;
+      }
+    }
+  }
+};
+
+function toMarkdown(formatted) {
+  if (!formatted?.text) return null;
+  return renderFormatted(formatted, MARKDOWN_FORMATTER);
+}
+
+function toHtml(formatted) {
+  if (!formatted?.text) return null;
+  return renderFormatted(formatted, HTML_FORMATTER);
+}
+
+/**
+ * Сущности в виде строк для `message_entities`: тип, границы, текст и параметры (url, user_id, language).
+ */
+function extractEntities(formatted) {
+  const text = formatted?.text || "";
+  return normalizeEntities(formatted).map(({ entity, start, end }, index) => {
+    const slice = text.slice(start, end);
+    const type = entity.type || {};
+    return {
+      entity_index: index,
+      offset: start,
+      length: end - start,
+      type: entityTypeName(entity),
+      text: slice,
+      url: entityHref(entity, slice),
+      user_id: Number.isFinite(type.user_id) ? type.user_id : null,
+      language: type.language || null,
+      custom_emoji_id: type.custom_emoji_id ? String(type.custom_emoji_id) : null
+    };
+  });
+}
+
+/**
+ * Обратное преобразование: строки `message_entities` -> entities TDLib (для повторного разбора).
+ */
+function entitiesFromRows(rows) {
+  const typeNames = {
+    text_url: (row) => ({ _: "textEntityTypeTextUrl", url: row.url }),
+    mention_name: (row) => ({ _: "textEntityTypeMentionName", user_id: row.user_id }),
+    pre_code: (row) => ({ _: "textEntityTypePreCode", language: row.language || "" }),
+    custom_emoji: (row) => ({ _: "textEntityTypeCustomEmoji", custom_emoji_id: row.custom_emoji_id })
+  };
+  return (rows || []).map((row) => {
+    const build = typeNames[row.type];
+    const camel = String(row.type || "").replace(/(^|_)([a-z])/g, (_, __, ch) => ch.toUpperCase());
+    return {
+      _: "textEntity",
+      offset: row.offset,
+      length: row.length,
+      type: build ? build(row) : { _: `textEntityType${camel}` }
+    };
+  });
+}
+
+function ensureEntitiesTables(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_entities (
+      chat_id INTEGER NOT NULL,
+      message_id INTEGER NOT NULL,
+      entity_index INTEGER NOT NULL,
+      offset INTEGER NOT NULL,
+      length INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      text TEXT,
+      url TEXT,
+      user_id INTEGER,
+      language TEXT,
+      custom_emoji_id TEXT,
+      PRIMARY KEY(chat_id, message_id, entity_index)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_entities_type ON message_entities(type);
+  `);
+}
+
+function createEntitiesStore(db) {
+  ensureEntitiesTables(db);
+
+  const deleteEntities = db.prepare(`DELETE FROM message_entities WHERE chat_id = ? AND message_id = ?`);
+  const insertEntity = db.prepare(`
+    INSERT OR REPLACE INTO message_entities (
+      chat_id, message_id, entity_index, offset, length, type, text, url, user_id, language, custom_emoji_id
+    ) VALUES (
+      @chat_id, @message_id, @entity_index, @offset, @length, @type, @text, @url, @user_id, @language, @custom_emoji_id
+    )
+  `);
+  const selectEntities = db.prepare(`
+    SELECT entity_index, offset, length, type, text, url, user_id, language, custom_emoji_id
+    FROM message_entities
+    WHERE chat_id = ? AND message_id = ?
+    ORDER BY entity_index
+  `);
+
+  /**
+   * Заменяет сущности поста сущностями formatted (null — просто удалить прежние).
+   */
+  const save = (chatId, messageId, formatted) => {
+    deleteEntities.run(chatId, messageId);
+    for (const row of extractEntities(formatted)) {
+      if (!row.type) continue;
+      insertEntity.run({ chat_id: chatId, message_id: messageId, ...row });
+    }
+  };
+
+  const list = (chatId, messageId) => selectEntities.all(chatId, messageId);
+
+  return { save, list };
+}
+
+module.exports = {
+  getFormattedText,
+  toMarkdown,
+  toHtml,
+  extractEntities,
+  entitiesFromRows,
+  ensureEntitiesTables,
+  createEntitiesStore
+};
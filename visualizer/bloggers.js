@@ -8,11 +8,13 @@
   }
 
   const searchInput = document.getElementById("search");
+  const categorySelect = document.getElementById("category");
   const tableBody = document.querySelector("#bloggers-table tbody");
   const countLabel = document.getElementById("count");
 
   let allItems = [];
   let filtered = [];
+  let categories = [];
   let sortState = { key: "p", dir: "desc" };
 
   function formatNumber(n) {
@@ -39,6 +41,14 @@
     render();
   }
 
+  function formatCategories(counts) {
+    const titles = new Map(categories.map((c) => [c.id, c.title]));
+    const parts = Object.entries(counts || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([id, posts]) => `${titles.get(id) || id}: ${posts}`);
+    return parts.length ? parts.join(", ") : "—";
+  }
+
   function render() {
     tableBody.innerHTML = "";
     for (const row of filtered) {
@@ -48,6 +58,7 @@
         <td>${formatNumber(row.s)}</td>
         <td>${formatNumber(row.p)}</td>
         <td>${formatNumber(row.v)}</td>
+        <td class="muted">${formatCategories(row.c)}</td>
       `;
       tr.addEventListener("click", () => {
         if (!row.id) return;
@@ -76,8 +87,17 @@
 
   async function load() {
     try {
-      const data = await fetchJson("/api/bloggers");
+      const category = categorySelect?.value || "";
+      const data = await fetchJson(`/api/bloggers${category ? `?category=${encodeURIComponent(category)}` : ""}`);
       allItems = Array.isArray(data.items) ? data.items : [];
+      if (Array.isArray(data.categories) && categories.length === 0) {
+        categories = data.categories;
+        categorySelect.innerHTML = [
+          `<option value="">Все категории</option>`,
+          ...categories.map((c) => `<option value="${c.id}">${c.title} (${c.channels})</option>`)
+        ].join("");
+        categorySelect.value = category;
+      }
       applyFilterAndSort();
     } catch (err) {
       console.error(err);
@@ -86,6 +106,7 @@
   }
 
   searchInput?.addEventListener("input", applyFilterAndSort);
+  categorySelect?.addEventListener("change", load);
   initSortHeaders();
   load();
 })();
@@ -20,6 +20,9 @@
   const limitInput = document.getElementById("limit-input");
   const sortPatternSelect = document.getElementById("sort-pattern-select");
   const minPointsInput = document.getElementById("min-points");
+  const hasEridSelect = document.getElementById("has-erid-select");
+  const eridInput = document.getElementById("erid-input");
+  const categorySelect = document.getElementById("category-select");
   const saveOpenBtn = document.getElementById("save-open-btn");
   const openSavedBtn = document.getElementById("open-saved-btn");
   const previewTotalEl = document.getElementById("preview-total");
@@ -78,7 +81,22 @@
     const sort_pattern = sortPatternSelect.value || null;
     const min_points_raw = Number(minPointsInput.value);
     const min_points = Number.isFinite(min_points_raw) && min_points_raw > 0 ? min_points_raw : undefined;
-    return { ids, from_date: fromDate, to_date: toDate, min_views, max_views, limit, sort_pattern, min_points };
+    const has_erid = hasEridSelect?.value ? hasEridSelect.value === "1" : undefined;
+    const erid = (eridInput?.value || "").trim() || undefined;
+    const category = categorySelect?.value || undefined;
+    return {
+      ids,
+      from_date: fromDate,
+      to_date: toDate,
+      min_views,
+      max_views,
+      limit,
+      sort_pattern,
+      min_points,
+      has_erid,
+      erid,
+      category
+    };
   }
 
   function fillFilters(filters, disabled) {
@@ -90,7 +108,23 @@
     limitInput.value = filters.limit ?? 5000;
     sortPatternSelect.value = filters.sort_pattern || "";
     minPointsInput.value = filters.min_points ?? "";
-    [searchNameInput, idsInput, dateFromInput, dateToInput, viewsMinInput, viewsMaxInput, limitInput, sortPatternSelect, minPointsInput].forEach((el) => {
+    if (hasEridSelect) hasEridSelect.value = typeof filters.has_erid === "boolean" ? (filters.has_erid ? "1" : "0") : "";
+    if (eridInput) eridInput.value = filters.erid || "";
+    if (categorySelect) categorySelect.value = filters.category || "";
+    [
+      searchNameInput,
+      idsInput,
+      dateFromInput,
+      dateToInput,
+      viewsMinInput,
+      viewsMaxInput,
+      limitInput,
+      sortPatternSelect,
+      minPointsInput,
+      hasEridSelect,
+      eridInput,
+      categorySelect
+    ].forEach((el) => {
       if (el) el.disabled = Boolean(disabled);
     });
     saveOpenBtn.disabled = Boolean(disabled);
@@ -120,6 +154,22 @@
     }
   }
 
+  async function loadCategories() {
+    if (!categorySelect) return;
+    try {
+      const data = await fetchJson("/api/categories");
+      const categories = Array.isArray(data.categories) ? data.categories : [];
+      const current = categorySelect.value;
+      categorySelect.innerHTML = [
+        `<option value="">Все</option>`,
+        ...categories.map((c) => `<option value="${c.id}">${c.title} (${c.posts})</option>`)
+      ].join("");
+      categorySelect.value = current;
+    } catch (err) {
+      console.error("categories failed", err);
+    }
+  }
+
   async function loadSavedSets() {
     try {
       const data = await fetchJson("/api/sets");
@@ -279,7 +329,19 @@
   openSavedBtn?.addEventListener("click", handleOpenSaved);
   refreshStatsBtn?.addEventListener("click", loadDbStats);
 
-  [idsInput, dateFromInput, dateToInput, viewsMinInput, viewsMaxInput, limitInput, sortPatternSelect, searchNameInput]
+  [
+    idsInput,
+    dateFromInput,
+    dateToInput,
+    viewsMinInput,
+    viewsMaxInput,
+    limitInput,
+    sortPatternSelect,
+    searchNameInput,
+    hasEridSelect,
+    eridInput,
+    categorySelect
+  ]
     .filter(Boolean)
     .forEach((el) => {
       el.addEventListener("input", () => {
@@ -294,6 +356,7 @@
 
   // init
   loadPatternTags();
+  loadCategories();
   loadSavedSets();
   resetForm();
   loadDbStats();
@@ -25,6 +25,9 @@
   const viewerSortSelect = document.getElementById("viewer-sort-select");
   const patternTableEl = document.getElementById("pattern-table");
   const metaEl = document.getElementById("meta");
+  const postEl = document.getElementById("post");
+  const postOriginEl = document.getElementById("post-origin");
+  const versionsEl = document.getElementById("versions");
   const tableBody = document.querySelector("#metrics-table tbody");
   const canvas = document.getElementById("chart");
   const prevBtn = document.getElementById("prev-btn");
@@ -81,6 +84,129 @@
     window.history.replaceState(null, "", newUrl);
   }
 
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function channelLabel(row) {
+    return row.username ? `@${row.username}` : row.title || `channel ${row.chat_id}`;
+  }
+
+  function postAnchor(row, text) {
+    const label = escapeHtml(text);
+    return /^https:\/\/t\.me\//.test(row.message_link || "")
+      ? `<a href="${escapeHtml(row.message_link)}" target="_blank" rel="noopener">${label}</a>`
+      : label;
+  }
+
+  // первоисточник (если пост — репост) и остальные известные репосты того же оригинала
+  function renderReposts(data) {
+    const parts = [];
+    if (data.forward && data.origin) {
+      const date = toMs(data.origin.message_date);
+      parts.push(
+        `<div>Репост из ${postAnchor(data.origin, channelLabel(data.origin))}${
+          date ? `, оригинал от ${new Date(date).toLocaleString()}` : ""
+        }</div>`
+      );
+    } else if (data.forward) {
+      const from = data.forward.origin_sender_name || data.forward.author_signature || data.forward.origin_type;
+      parts.push(`<div>Переслано: ${escapeHtml(from)}</div>`);
+    }
+    const others = (data.reposts || []).filter(
+      (r) => !(r.chat_id === data.chat_id && r.message_id === data.message_id)
+    );
+    if (others.length > 0) {
+      const items = others.map((r) => `<li>${postAnchor(r, channelLabel(r))}</li>`).join("");
+      parts.push(`<div>Репосты (${others.length}):</div><ul>${items}</ul>`);
+    }
+    postOriginEl.innerHTML = parts.join("");
+  }
+
+  // пословный diff (LCS): [{ op: "same" | "add" | "del", text }]
+  function diffWords(before, after) {
+    const a = String(before || "").split(/(\s+)/).filter(Boolean);
+    const b = String(after || "").split(/(\s+)/).filter(Boolean);
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+      for (let j = b.length - 1; j >= 0; j -= 1) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    const parts = [];
+    const push = (op, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.op === op) last.text += text;
+      else parts.push({ op, text });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push("same", a[i]);
+        i += 1;
+        j += 1;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push("del", a[i]);
+        i += 1;
+      } else {
+        push("add", b[j]);
+        j += 1;
+      }
+    }
+    while (i < a.length) push("del", a[i++]);
+    while (j < b.length) push("add", b[j++]);
+    return parts;
+  }
+
+  const VERSION_EVENTS = { initial: "первая версия", edit: "правка", delete: "удалён" };
+
+  // история правок: каждая версия — дата и diff текста относительно предыдущей
+  function renderVersions(versions) {
+    const list = Array.isArray(versions) ? versions : [];
+    if (list.length < 2 && !list.some((v) => v.event === "delete")) {
+      versionsEl.innerHTML = "";
+      return;
+    }
+    let prev = null;
+    const items = list.map((v) => {
+      const observed = toMs(v.observed_at);
+      const edited = toMs(v.edit_date);
+      const head = [
+        `v${v.version}`,
+        VERSION_EVENTS[v.event] || v.event,
+        observed ? new Date(observed).toLocaleString() : "",
+        edited ? `edit_date ${new Date(edited).toLocaleString()}` : "",
+        v.erids ? `erid: ${v.erids}` : "",
+        v.source || ""
+      ]
+        .filter(Boolean)
+        .map(escapeHtml)
+        .join(" · ");
+      let body = "";
+      if (v.event !== "delete") {
+        body = prev
+          ? diffWords(prev.text_plain, v.text_plain)
+              .map((p) => {
+                if (p.op === "same") return escapeHtml(p.text);
+                const tag = p.op === "add" ? "ins" : "del";
+                return `<${tag}>${escapeHtml(p.text)}</${tag}>`;
+              })
+              .join("")
+          : escapeHtml(v.text_plain || "");
+        prev = v;
+      }
+      return `<li class="version-${escapeHtml(v.event)}"><div class="version-head">${head}</div>${
+        body ? `<div class="version-body">${body}</div>` : ""
+      }</li>`;
+    });
+    versionsEl.innerHTML = `<h3>История правок</h3><ol class="versions">${items.join("")}</ol>`;
+  }
+
   function setStatus(msg) {
     if (statusBar) statusBar.textContent = msg || "";
   }
@@ -254,7 +380,7 @@
       const reacts = row.reactions_total ?? "";
       const tr = document.createElement("tr");
       tr.innerHTML = `
-        <td>${row.run_id}</td>
+        <td>${row.source && row.source !== "search" ? row.source : row.run_id}</td>
         <td>${new Date(row.ts_ms ?? null).toLocaleString()}</td>
         <td>${formatNumber(views)}</td>
         <td>${formatNumber(row.forward_count ?? "")}</td>
@@ -353,6 +479,16 @@
       metaEl.innerHTML = `<div><strong>${link}</strong></div><div>message_date: ${
         msgDateMs ? new Date(msgDateMs).toLocaleString() : ""
       }</div>`;
+      // text_html собирает сервер из entities, текст экранирован, ссылки только http(s)/tg/mailto
+      postEl.innerHTML = data.message?.text_html || '<span class="muted">Текста нет</span>';
+      renderVersions(data.versions);
+      postOriginEl.innerHTML = "";
+      fetchJson(`/api/reposts?chat_id=${item.chat_id}&message_id=${item.message_id}`)
+        .then((reposts) => {
+          // пока шёл запрос, могли перелистнуть на другой пост
+          if (sampleList[sampleIndex] === item) renderReposts(reposts);
+        })
+        .catch((err) => console.error(err));
       updateChart(series, item.chat_id);
       renderTable(metrics, msgDateMs);
       const labelsInfo = await loadLabels(item.chat_id, item.message_id);